@@ -31,6 +31,23 @@ async function query(text, params) {
 }
 
 
+// Run fn(client) inside BEGIN/COMMIT; rolls back and rethrows on error.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+
 async function shutdownPool() {
   try {
     console.log("[DB] shutting down pool...");
@@ -44,5 +61,6 @@ async function shutdownPool() {
 module.exports = {
   pool,
   query,
+  withTransaction,
   shutdownPool,
 };
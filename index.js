@@ -1,7 +1,6 @@
 require("dotenv").config();
 
 const express = require("express");
-const axios = require("axios");
 const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const http = require("http");
@@ -9,22 +8,48 @@ const { Server } = require("socket.io");
 const helmet = require("helmet");
 const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
-const path = require("path");
-const fs = require("fs");
 
-const SAMPLE_IMAGE_PATH = "/mnt/data/Screenshot 2025-11-25 at 10.04.22 PM.png";
-
-const dbModule = require("./db");
-const supabase = require("./supabaseClient");
+const { shutdownPool } = require("./db");
+const { getDriver, storageDriverName } = require("./lib/storage");
+const { authenticate } = require("./lib/auth");
+const { authenticateSocket, handleConnection, startEventLogSweeper, stopEventLogSweeper } = require("./lib/realtime");
+const { registerPartyHandlers } = require("./lib/listeningParty");
+const { startUploadSweeper, stopUploadSweeper } = require("./lib/uploadSessions");
+const { startWorker, stopWorker, listenForJobEvents, stopJobEventListener } = require("./lib/jobs");
+const { registerJobHandlers } = require("./lib/jobHandlers");
+const { startDailyMixScheduler, stopDailyMixScheduler } = require("./lib/dailyMix");
+const { assertSchemaCurrent } = require("./lib/migrations");
+const { requestMetrics, observeSockets } = require("./lib/metrics");
+const { ApiError, requestId, notFoundHandler, errorHandler } = require("./lib/errors");
+const { buildOpenApiDocument } = require("./lib/openapi");
+const { RATE_LIMIT_WINDOW_MS, requestLimit } = require("./lib/quotas");
+const { createRateLimitStore } = require("./lib/rateLimitStore");
+
+const healthRoutes = require("./routes/health");
 
 const uploadRouter = require("./routes/upload");
+const uploadSessionRoutes = require("./routes/uploads");
 const getTracksRoute = require("./routes/getTracks");
+const artistRoutes = require("./routes/artists");
 const playlistRoutes = require("./routes/playlists");
+const playlistSharingRoutes = require("./routes/playlistSharing");
+const moodRoutes = require("./routes/moods");
+const meRoutes = require("./routes/me");
+const socialRoutes = require("./routes/social");
+const authRoutes = require("./routes/auth");
+const adminRoutes = require("./routes/admin");
 
 const app = express();
 
+// latency per route for /metrics
+app.use(requestMetrics);
+// X-Request-Id on every response; error bodies and logs carry the same id
+app.use(requestId);
+
 // Basic security + logging
 app.use(helmet());
+// probes and scrapes: before the access log (they run every few seconds), rate limiter and auth
+app.use(healthRoutes);
 app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev"));
 
 // Body parsing
@@ -32,15 +57,6 @@ app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 
-// Rate limiter
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 300,
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use("/api/", apiLimiter);
-
 // 🔥 CORS settings for Localhost + Vercel + Render
 const ALLOWED_ORIGINS = [
   "http://localhost:5173",
@@ -52,107 +68,78 @@ app.use(
     origin: ALLOWED_ORIGINS,
     credentials: true,
     allowedHeaders: ["Content-Type", "Authorization", "Accept"],
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   })
 );
 
 app.use(express.json());
 
-// API routes
-app.use("/api", uploadRouter);
-app.use("/api/tracks", getTracksRoute);
-app.use("/api/playlists", playlistRoutes);
-
-// -----------------------------------------
-// GOOGLE AUTH ROUTES
-// -----------------------------------------
-app.get("/auth/google", (req, res) => {
-  const redirect =
-    `https://accounts.google.com/o/oauth2/v2/auth?` +
-    `client_id=${process.env.GOOGLE_CLIENT_ID}` +
-    `&redirect_uri=${process.env.GOOGLE_REDIRECT_URI}` +
-    `&response_type=code` +
-    `&scope=openid%20email%20profile`;
-
-  res.redirect(redirect);
-});
-
-app.get("/auth/google/callback", async (req, res) => {
-  const code = req.query.code;
-  if (!code) return res.status(400).send("Missing code parameter");
-
-  try {
-    const tokenResp = await axios.post(
-      "https://oauth2.googleapis.com/token",
-      new URLSearchParams({
-        code,
-        client_id: process.env.GOOGLE_CLIENT_ID,
-        client_secret: process.env.GOOGLE_CLIENT_SECRET,
-        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-        grant_type: "authorization_code",
-      }).toString(),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-
-    const accessToken = tokenResp.data.access_token;
-    if (!accessToken) return res.status(500).send("Authentication failed");
-
-    const profileResp = await axios.get("https://www.googleapis.com/oauth2/v2/userinfo", {
-      headers: { Authorization: `Bearer ${accessToken}` },
-    });
-
-    res.cookie("user", JSON.stringify(profileResp.data), {
-      httpOnly: false,
-      sameSite: "lax",
-    });
-
-    return res.redirect(`${ALLOWED_ORIGINS[0]}/?login=success`);
-  } catch (err) {
-    console.error("GOOGLE CALLBACK ERROR:", err?.response?.data || err.message);
-    return res.status(500).send("Authentication failed");
-  }
-});
+// req.user for every route below (signed session or Supabase bearer token)
+app.use(authenticate);
 
-app.get("/auth/me", (req, res) => {
-  try {
-    if (!req.cookies?.user) return res.json({ user: null });
-    return res.json({ user: JSON.parse(req.cookies.user) });
-  } catch (err) {
-    return res.json({ user: null });
-  }
+// Rate limiter: per account (limit by tier, lib/quotas.js), per IP for anonymous
+// callers; counted in Postgres so every instance shares the same windows
+const apiLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit: (req) => requestLimit(req.user),
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${rateLimit.ipKeyGenerator(req.ip)}`),
+  store: createRateLimitStore("api:"),
+  // the store already falls back to memory; never turn a store failure into a 500
+  passOnStoreError: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next) => next(new ApiError(429, "Too many requests, try again later")),
+  // a large resumable upload is hundreds of chunk PUTs; sessions are bounded by size instead
+  skip: (req) => req.method === "PUT" && /^\/api\/uploads\/[^/]+\/chunks\//.test(req.originalUrl),
 });
+app.use("/api/", apiLimiter);
 
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie("user");
-  res.json({ message: "Logged out" });
-});
+// API routes (also the source of the OpenAPI document)
+const API_ROUTES = [
+  ["/api", uploadRouter],
+  ["/api/uploads", uploadSessionRoutes],
+  ["/api/tracks", getTracksRoute],
+  ["/api/artists", artistRoutes],
+  // sharing first: /public and /shared/:token must win over /:playlistId
+  ["/api/playlists", playlistSharingRoutes],
+  ["/api/playlists", playlistRoutes],
+  ["/api/moods", moodRoutes],
+  ["/api/me", meRoutes],
+  ["/api/me", socialRoutes],
+  ["/api/admin", adminRoutes],
+  ["/auth", authRoutes],
+];
+for (const [path, router] of API_ROUTES) app.use(path, router);
 
-// -----------------------------------------
-// TEST ROUTES
-// -----------------------------------------
-app.get("/test-db", async (req, res) => {
-  try {
-    const result = await dbModule.query("SELECT NOW()");
-    res.json({ connected: true, time: result.rows[0] });
-  } catch (err) {
-    res.status(500).json({ connected: false, error: err.message });
-  }
+// OpenAPI 3 document built from the routes' validate() specs
+let openApiDocument = null;
+app.get("/api/docs", (req, res) => {
+  openApiDocument ||= buildOpenApiDocument([["", healthRoutes], ...API_ROUTES]);
+  res.json(openApiDocument);
 });
 
-app.get("/test-storage", async (req, res) => {
-  try {
-    const { data, error } = await supabase.storage.from("Tracks").list();
-    if (error) throw error;
-    res.json({ connected: true, files: data, sample_image: SAMPLE_IMAGE_PATH });
-  } catch (err) {
-    res.status(500).json({ connected: false, error: err.message });
-  }
-});
+// local storage driver: serve stored objects read-only, like a public bucket
+if (storageDriverName() === "local") {
+  // audio of hidden tracks (lib/moderation.js) is only reachable through /stream
+  app.use("/files/hidden", (req, res, next) => next(new ApiError(404, "Not found")));
+  app.use(
+    "/files",
+    express.static(getDriver().root, {
+      index: false,
+      fallthrough: false,
+      setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+    })
+  );
+}
 
 app.get("/", (req, res) => {
   res.send("Backend running");
 });
 
+// last: unmatched routes and every error become { code, message, fields, requestId }
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // ---------- SOCKET.IO ----------
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -161,12 +148,23 @@ const io = new Server(server, {
     methods: ["GET", "POST"],
     credentials: true,
   },
+  // replays room broadcasts to sockets that reconnect within the window
+  connectionStateRecovery: {
+    maxDisconnectionDuration: 2 * 60 * 1000,
+    skipMiddlewares: true,
+  },
 });
 
 app.set("io", io);
+observeSockets(io);
+
+// same token/cookie as the REST routes; joins user:<id> rooms
+io.use(authenticateSocket);
 
 io.on("connection", (socket) => {
-  console.log(`Socket connected: ${socket.id}`);
+  console.log(`Socket connected: ${socket.id} (user ${socket.data.userId ?? "anonymous"})`);
+  handleConnection(socket);
+  registerPartyHandlers(io, socket);
   socket.on("disconnect", (reason) => {
     console.log(`Disconnected: ${socket.id} (${reason})`);
   });
@@ -174,6 +172,64 @@ io.on("connection", (socket) => {
 
 // ---------- START SERVER ----------
 const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => {
+// refuse to serve against a schema the code doesn't match
+assertSchemaCurrent()
+  .then(() => server.listen(PORT, onListening))
+  .catch((err) => {
+    console.error("Startup aborted:", err?.message || err);
+    process.exit(1);
+  });
+
+function onListening() {
   console.log(`🔥 MoodStream Backend running on port ${PORT}`);
-});
+  // expire abandoned resumable uploads and free their chunks
+  startUploadSweeper();
+  // forget socket replay logs once their events have aged out
+  startEventLogSweeper();
+  // job status changes (from any worker) -> job-updated on the owner's sockets
+  listenForJobEvents(io);
+  // RUN_JOBS_IN_SERVER=false when jobs run in a separate `npm run worker`
+  registerJobHandlers();
+  if (process.env.RUN_JOBS_IN_SERVER !== "false") {
+    startWorker({ concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2 });
+    // queues daily mix rebuilds for active users
+    startDailyMixScheduler();
+  }
+}
+
+// ---------- GRACEFUL SHUTDOWN ----------
+// give in-flight requests this long to finish before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25_000;
+
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`${signal} received, draining connections...`);
+  // /readyz answers 503 from here on, so the load balancer stops routing to us
+  app.set("shuttingDown", true);
+  setTimeout(() => {
+    console.error(`Shutdown took longer than ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  stopUploadSweeper();
+  stopEventLogSweeper();
+  stopDailyMixScheduler();
+  // io.close() disconnects every socket (clients reconnect elsewhere) and then
+  // closes the HTTP server, which waits for in-flight requests to finish
+  const drained = new Promise((resolve) => io.close(() => resolve()));
+  // keep-alive connections go idle as their last response finishes and would
+  // otherwise hold the server open until they time out
+  server.closeIdleConnections();
+  const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+  await Promise.all([drained, stopWorker()]);
+  clearInterval(idleSweep);
+  await stopJobEventListener();
+  await shutdownPool();
+  console.log("Shutdown complete");
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,164 @@
+// Activity feed: new uploads and playlist updates, shown to followers.
+//
+// Every item is stored in `activities` and pushed as feed-item to the sockets
+// of the actor's followers only (never broadcast). Playlist updates are only
+// visible while the playlist is public, and bursts of additions to the same
+// playlist are folded into one item.
+const dbModule = require("../db");
+const { emitToUser } = require("./realtime");
+const { trackVisibleSql } = require("./moderation");
+
+const FEED_ITEM_EVENT = "feed-item";
+// additions to one playlist within this window become a single item
+const PLAYLIST_COALESCE_MINUTES = 60;
+const PLAYLIST_SAMPLE_SIZE = 5;
+
+const FEED_SELECT = `
+  SELECT a.id, a.type, a.created_at, a.data, a.actor_id, u.name AS actor_name,
+         t.id AS track_id, t.title AS track_title, t.artist_name, t.artist_id, t.cover_url, t.duration_seconds, t.moods,
+         p.id AS playlist_id, p.name AS playlist_name, p.visibility AS playlist_visibility
+  FROM activities a
+  LEFT JOIN users u ON u.id = a.actor_id
+  LEFT JOIN tracks t ON t.id = a.track_id
+  LEFT JOIN playlists p ON p.id = a.playlist_id`;
+
+function formatFeedItem(row) {
+  const item = {
+    id: Number(row.id),
+    type: row.type,
+    created_at: row.created_at,
+    actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+  };
+  if (row.type === "track_uploaded") {
+    item.track = {
+      id: row.track_id,
+      title: row.track_title,
+      artist_name: row.artist_name,
+      artist_id: row.artist_id,
+      cover_url: row.cover_url,
+      duration_seconds: row.duration_seconds,
+      moods: row.moods || [],
+      stream_url: `/api/tracks/${row.track_id}/stream`,
+    };
+  } else {
+    item.playlist = {
+      id: row.playlist_id,
+      name: row.playlist_name,
+      added_count: row.data?.added_count || 0,
+      track_ids: row.data?.track_ids || [],
+    };
+  }
+  return item;
+}
+
+async function loadActivity(id) {
+  const { rows } = await dbModule.query(`${FEED_SELECT} WHERE a.id = $1`, [id]);
+  return rows[0] ? formatFeedItem(rows[0]) : null;
+}
+
+// users following the actor, or (for uploads) the track's artist
+async function followerIds({ actorId = null, artistId = null }) {
+  const { rows } = await dbModule.query(
+    `SELECT DISTINCT follower_id FROM follows
+     WHERE ($1::int IS NOT NULL AND followee_id = $1)
+        OR ($2::int IS NOT NULL AND artist_id = $2)`,
+    [actorId, artistId]
+  );
+  return rows.map((r) => r.follower_id);
+}
+
+async function pushToFollowers(io, activityId, targets) {
+  const ids = (await followerIds(targets)).filter((id) => id !== targets.actorId);
+  if (ids.length === 0) return;
+  const item = await loadActivity(activityId);
+  if (!item) return;
+  for (const id of ids) emitToUser(io, id, FEED_ITEM_EVENT, item);
+}
+
+/**
+ * Record a new upload and push it to followers. Never throws: the upload
+ * already succeeded.
+ */
+async function recordTrackUpload(io, track) {
+  try {
+    const artistId = track.artist_id ?? null;
+    const { rows } = await dbModule.query(
+      `INSERT INTO activities (actor_id, type, track_id, artist_id)
+       VALUES ($1, 'track_uploaded', $2, $3)
+       RETURNING id`,
+      [track.user_id || null, track.id, artistId]
+    );
+    await pushToFollowers(io, rows[0].id, { actorId: track.user_id || null, artistId });
+  } catch (err) {
+    console.warn("Could not record upload activity:", err?.message || err);
+  }
+}
+
+/**
+ * Record tracks added to a playlist. Recent additions by the same user to the
+ * same playlist are merged into one (re-dated) item. Followers are only
+ * notified while the playlist is public. Never throws.
+ */
+async function recordPlaylistUpdate(io, { actorId, playlistId, trackIds }) {
+  if (!actorId || !trackIds?.length) return;
+  try {
+    const activityId = await dbModule.withTransaction(async (client) => {
+      const previous = await client.query(
+        `DELETE FROM activities
+         WHERE type = 'playlist_updated' AND actor_id = $1 AND playlist_id = $2
+           AND created_at > NOW() - make_interval(mins => $3)
+         RETURNING data`,
+        [actorId, playlistId, PLAYLIST_COALESCE_MINUTES]
+      );
+      let addedCount = trackIds.length;
+      let sample = [...trackIds];
+      for (const row of previous.rows) {
+        addedCount += row.data?.added_count || 0;
+        sample = sample.concat(row.data?.track_ids || []);
+      }
+      const data = { added_count: addedCount, track_ids: [...new Set(sample)].slice(0, PLAYLIST_SAMPLE_SIZE) };
+      const { rows } = await client.query(
+        `INSERT INTO activities (actor_id, type, playlist_id, data)
+         VALUES ($1, 'playlist_updated', $2, $3)
+         RETURNING id`,
+        [actorId, playlistId, JSON.stringify(data)]
+      );
+      return rows[0].id;
+    });
+
+    const playlist = await dbModule.query("SELECT visibility FROM playlists WHERE id = $1", [playlistId]);
+    if (playlist.rows[0]?.visibility === "public") {
+      await pushToFollowers(io, activityId, { actorId });
+    }
+  } catch (err) {
+    console.warn("Could not record playlist activity:", err?.message || err);
+  }
+}
+
+/**
+ * Feed page for a user, newest first. `before` is the id of the last item
+ * already shown.
+ * @returns {Promise<object[]>}
+ */
+async function fetchFeed(userId, { limit, before = null }) {
+  const { rows } = await dbModule.query(
+    `${FEED_SELECT}
+     WHERE (a.actor_id IN (SELECT followee_id FROM follows WHERE follower_id = $1 AND followee_id IS NOT NULL)
+            OR (a.type = 'track_uploaded'
+                AND a.artist_id IN (SELECT artist_id FROM follows WHERE follower_id = $1 AND artist_id IS NOT NULL)))
+       AND (a.type <> 'playlist_updated' OR p.visibility = 'public')
+       AND (a.type <> 'track_uploaded' OR ${trackVisibleSql("t", "$1")})
+       AND ($2::bigint IS NULL OR a.id < $2)
+     ORDER BY a.id DESC
+     LIMIT $3`,
+    [userId, before, limit]
+  );
+  return rows.map(formatFeedItem);
+}
+
+module.exports = {
+  FEED_ITEM_EVENT,
+  recordTrackUpload,
+  recordPlaylistUpdate,
+  fetchFeed,
+};
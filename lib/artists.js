@@ -0,0 +1,120 @@
+// Artist entities. Tracks point at an artist through tracks.artist_id, and
+// every spelling seen at upload time is kept as an alias, so "The Wren & Ash",
+// "wren and ash" and "Wren & Ash" all land on one artist page.
+//
+// Alias keys come from the artist_name_key() SQL function (migration 0010), so
+// the database backfill and uploads always normalise names the same way.
+const dbModule = require("../db");
+
+/**
+ * Find or create the artist for a spelling.
+ * Pass a transaction client to resolve inside the caller's transaction.
+ * @returns {Promise<number|null>} artist id; null for blank or "Unknown Artist"
+ */
+async function resolveArtist(name, { client = null } = {}) {
+  const run = client ? (text, params) => client.query(text, params) : dbModule.query;
+  const spelling = String(name || "").trim();
+
+  const { rows } = await run(
+    `SELECT k.key, a.artist_id
+     FROM (SELECT artist_name_key($1) AS key) k
+     LEFT JOIN artist_aliases a ON a.alias_key = k.key`,
+    [spelling]
+  );
+  const { key, artist_id: existingId } = rows[0];
+  if (!key) return null;
+  if (existingId) return existingId;
+
+  const created = await run("INSERT INTO artists (name) VALUES ($1) RETURNING id", [spelling]);
+  const artistId = created.rows[0].id;
+  // a concurrent upload of the same artist may have claimed the key first
+  const alias = await run(
+    `INSERT INTO artist_aliases (alias_key, artist_id, name) VALUES ($1, $2, $3)
+     ON CONFLICT (alias_key) DO NOTHING
+     RETURNING artist_id`,
+    [key, artistId, spelling]
+  );
+  if (alias.rows[0]) return artistId;
+
+  await run("DELETE FROM artists WHERE id = $1", [artistId]);
+  const winner = await run("SELECT artist_id FROM artist_aliases WHERE alias_key = $1", [key]);
+  return winner.rows[0].artist_id;
+}
+
+// artists with their track/play/follower counts; fallback_image_url is the newest track cover
+// (public numbers: hidden tracks don't count)
+const ARTIST_SELECT = `
+  SELECT a.id, a.name, a.bio, a.image_path, a.image_url, a.claimed_by, a.claimed_at, a.created_at,
+         u.name AS claimed_by_name,
+         COALESCE(s.track_count, 0) AS track_count,
+         COALESCE(s.play_count, 0) AS play_count,
+         (SELECT COUNT(*) FROM follows f WHERE f.artist_id = a.id) AS follower_count,
+         (SELECT t.cover_url FROM tracks t
+          WHERE t.artist_id = a.id AND t.cover_url IS NOT NULL AND t.hidden_at IS NULL
+          ORDER BY t.created_at DESC LIMIT 1) AS fallback_image_url
+  FROM artists a
+  LEFT JOIN users u ON u.id = a.claimed_by
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) AS track_count, SUM(t.play_count) AS play_count FROM tracks t
+    WHERE t.artist_id = a.id AND t.hidden_at IS NULL
+  ) s ON TRUE`;
+
+/**
+ * Load an artist with its counts.
+ * @returns {Promise<object|null>} the row (see formatArtist)
+ */
+async function loadArtist(artistId) {
+  const { rows } = await dbModule.query(`${ARTIST_SELECT} WHERE a.id = $1 LIMIT 1`, [artistId]);
+  return rows[0] || null;
+}
+
+/**
+ * Move everything of `sourceId` (tracks, aliases, followers, feed items) onto
+ * `targetId` and delete the source. Runs inside the caller's transaction.
+ */
+async function mergeArtists(client, sourceId, targetId) {
+  await client.query("UPDATE tracks SET artist_id = $2 WHERE artist_id = $1", [sourceId, targetId]);
+  await client.query("UPDATE artist_aliases SET artist_id = $2 WHERE artist_id = $1", [sourceId, targetId]);
+  await client.query("UPDATE activities SET artist_id = $2 WHERE artist_id = $1", [sourceId, targetId]);
+  await client.query(
+    `INSERT INTO follows (follower_id, artist_id, created_at)
+     SELECT follower_id, $2, created_at FROM follows WHERE artist_id = $1
+     ON CONFLICT (follower_id, artist_id) WHERE artist_id IS NOT NULL DO NOTHING`,
+    [sourceId, targetId]
+  );
+  // keep the target's profile; only fill gaps from the source
+  await client.query(
+    `UPDATE artists t
+        SET bio = COALESCE(t.bio, s.bio),
+            image_path = COALESCE(t.image_path, s.image_path),
+            image_url = COALESCE(t.image_url, s.image_url)
+       FROM artists s
+      WHERE t.id = $2 AND s.id = $1`,
+    [sourceId, targetId]
+  );
+  await client.query("DELETE FROM artists WHERE id = $1", [sourceId]);
+}
+
+// Public shape of an ARTIST_SELECT row; without an image of its own the newest track cover stands in
+function formatArtist(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    bio: row.bio ?? null,
+    image_url: row.image_url || row.fallback_image_url || null,
+    claimed: Boolean(row.claimed_by),
+    claimed_by: row.claimed_by ? { id: row.claimed_by, name: row.claimed_by_name ?? null } : null,
+    track_count: Number(row.track_count) || 0,
+    play_count: Number(row.play_count) || 0,
+    follower_count: Number(row.follower_count) || 0,
+    created_at: row.created_at,
+  };
+}
+
+module.exports = {
+  ARTIST_SELECT,
+  resolveArtist,
+  loadArtist,
+  mergeArtists,
+  formatArtist,
+};
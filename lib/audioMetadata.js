@@ -0,0 +1,119 @@
+// Audio metadata extraction for uploads (duration, stream info, ID3/Vorbis tags
+// and embedded artwork). music-metadata is ESM-only, so it is loaded lazily
+// through dynamic import().
+
+let musicMetadata = null;
+function loadMusicMetadata() {
+  if (!musicMetadata) musicMetadata = import("music-metadata");
+  return musicMetadata;
+}
+
+const PICTURE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+function cleanString(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  return trimmed || null;
+}
+
+function toInt(value) {
+  return Number.isFinite(value) ? Math.round(value) : null;
+}
+
+const EMPTY_METADATA = Object.freeze({
+  duration_seconds: null,
+  bitrate: null,
+  sample_rate: null,
+  codec: null,
+  title: null,
+  artist: null,
+  album: null,
+  year: null,
+  picture: null,
+});
+
+function toResult(meta, selectCover) {
+  const { format = {}, common = {} } = meta;
+
+  let picture = null;
+  const cover = selectCover(common.picture);
+  if (cover?.data?.length) {
+    const pictureMime = String(cover.format || "").toLowerCase();
+    const extension = PICTURE_EXTENSIONS[pictureMime];
+    if (extension) {
+      picture = { data: Buffer.from(cover.data), mimeType: pictureMime, extension };
+    }
+  }
+
+  return {
+    duration_seconds: Number.isFinite(format.duration)
+      ? Math.round(format.duration * 1000) / 1000
+      : null,
+    bitrate: toInt(format.bitrate),
+    sample_rate: toInt(format.sampleRate),
+    codec: cleanString(format.codec) || cleanString(format.container),
+    title: cleanString(common.title),
+    artist: cleanString(common.artist) || cleanString(common.albumartist),
+    album: cleanString(common.album),
+    year: toInt(common.year),
+    picture,
+  };
+}
+
+/**
+ * Parse an in-memory audio file.
+ * Never throws: unreadable/unknown files resolve to an object of nulls so the
+ * upload can carry on with whatever the form provided.
+ *
+ * @returns {Promise<{
+ *   duration_seconds: number|null, bitrate: number|null, sample_rate: number|null,
+ *   codec: string|null, title: string|null, artist: string|null, album: string|null,
+ *   year: number|null, picture: { data: Buffer, mimeType: string, extension: string }|null
+ * }>}
+ */
+async function extractAudioMetadata(buffer, mimeType, size) {
+  if (!buffer || buffer.length === 0) return { ...EMPTY_METADATA };
+
+  try {
+    const { parseBuffer, selectCover } = await loadMusicMetadata();
+    const meta = await parseBuffer(
+      buffer,
+      { mimeType: mimeType || undefined, size: size || buffer.length },
+      { duration: true, skipPostHeaders: true }
+    );
+    return toResult(meta, selectCover);
+  } catch (err) {
+    console.warn("Audio metadata parse failed:", err?.message || err);
+    return { ...EMPTY_METADATA };
+  }
+}
+
+/**
+ * Same as extractAudioMetadata, for files too large to hold in memory.
+ * The parser may stop before the end; the caller owns (and should destroy) the stream.
+ */
+async function extractAudioMetadataFromStream(stream, mimeType, size) {
+  try {
+    const { parseStream, selectCover } = await loadMusicMetadata();
+    const meta = await parseStream(
+      stream,
+      { mimeType: mimeType || undefined, size: size || undefined },
+      { duration: true, skipPostHeaders: true }
+    );
+    return toResult(meta, selectCover);
+  } catch (err) {
+    console.warn("Audio metadata parse failed:", err?.message || err);
+    return { ...EMPTY_METADATA };
+  }
+}
+
+module.exports = {
+  extractAudioMetadata,
+  extractAudioMetadataFromStream,
+};
@@ -0,0 +1,188 @@
+// One authentication layer for every route and socket.
+// (token issuing/rotation lives in ./session, password accounts in routes/auth.js)
+//
+// `authenticate` runs for all requests and sets req.user to
+//   { id, authUserId, name, email, emailVerified, tier, role, via }
+// (id = users.id, tier: see ./quotas, role: see ./moderation) or null.
+// emailVerified: the user has proven they control `email` (users.email_verified_at).
+// Credentials are tried in order:
+//   1. our signed session (httpOnly `session` cookie or `Authorization: Bearer <jwt>`)
+//   2. a Supabase access token (bearer), mapped onto a local users row
+// Banned accounts (users.banned_at) are never signed in.
+const dbModule = require("../db");
+const supabase = require("../supabaseClient");
+const { SESSION_COOKIE, verifySession } = require("./session");
+const { ApiError } = require("./errors");
+
+// bearer header first, then the token cookies older clients send
+function getBearerToken(headers = {}, cookies = {}) {
+  const header = headers.authorization || cookies.authorization;
+  if (typeof header === "string") {
+    const [scheme, token] = header.split(" ");
+    if (/^bearer$/i.test(scheme) && token) return token;
+  }
+  return cookies.token || null;
+}
+
+async function loadUserRow(userId) {
+  const { rows } = await dbModule.query(
+    `SELECT id, name, email, email_verified_at, auth_user_id, tier, role, banned_at, session_version
+     FROM users WHERE id = $1 LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Resolve the local users row for a Supabase access token.
+ * If a local user row doesn't exist, create one (keeps mapping).
+ */
+async function resolveSupabaseUser(token) {
+  // Note: supabase.auth.getUser may behave differently depending on SDK version.
+  const { data, error } = await supabase.auth.getUser(token).catch((e) => ({ error: e }));
+  if (error || !data?.user) return null;
+  const supaUser = data.user;
+
+  const q = await dbModule.query(
+    `SELECT id, name, email, email_verified_at, auth_user_id, tier, role, banned_at
+     FROM users WHERE auth_user_id = $1 LIMIT 1`,
+    [supaUser.id]
+  );
+  if (q.rows[0]) return q.rows[0];
+
+  // Supabase reports whether the user confirmed their address
+  const insert = await dbModule.query(
+    `INSERT INTO users (name, email, auth_user_id, email_verified_at) VALUES ($1,$2,$3,$4)
+     RETURNING id, name, email, email_verified_at, auth_user_id, tier, role, banned_at`,
+    [supaUser.user_metadata?.name || null, supaUser.email || null, supaUser.id, supaUser.email_confirmed_at || null]
+  );
+  return insert.rows[0];
+}
+
+function toRequestUser(row, via) {
+  return {
+    id: row.id,
+    authUserId: row.auth_user_id || null,
+    name: row.name || null,
+    email: row.email || null,
+    emailVerified: Boolean(row.email_verified_at),
+    tier: row.tier || "free",
+    role: row.role || "user",
+    via,
+  };
+}
+
+/**
+ * Resolve the user behind a request-like { headers, cookies } object.
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * Returns { user } (user may be null for anonymous) or { invalid: true }
+ * when credentials were presented but didn't check out.
+ */
+async function resolveUser({ headers = {}, cookies = {} }) {
+  const bearer = getBearerToken(headers, cookies);
+  const sessionToken = cookies[SESSION_COOKIE] || null;
+  if (!bearer && !sessionToken) return { user: null };
+
+  for (const token of [sessionToken, bearer]) {
+    const session = verifySession(token);
+    if (!session) continue;
+    const row = await loadUserRow(session.userId);
+    // session_version moves on logout-everywhere / password reset
+    if (row && !row.banned_at && (row.session_version ?? 0) === session.version) {
+      return { user: toRequestUser(row, "session") };
+    }
+  }
+
+  if (bearer) {
+    const row = await resolveSupabaseUser(bearer);
+    if (row && !row.banned_at) return { user: toRequestUser(row, "supabase") };
+  }
+  return { invalid: true };
+}
+
+// Express middleware: sets req.user (or null). Invalid credentials are treated
+// as anonymous so public routes keep working; protected routes answer 401.
+async function authenticate(req, res, next) {
+  try {
+    const { user } = await resolveUser(req);
+    req.user = user || null;
+  } catch (err) {
+    console.error("authenticate error:", err);
+    req.user = null;
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) return next(new ApiError(401, "Unauthorized"));
+  next();
+}
+
+/**
+ * Find or create the users row for an external identity (e.g. Google).
+ * Order: existing identity link -> existing user with the same email, when both the
+ * provider and that user have verified it -> new user. An unverified password
+ * account is never linked: whoever registered it may not own the mailbox.
+ * profile: { subject, email, emailVerified, name, avatarUrl }
+ */
+async function linkIdentity(provider, profile) {
+  return dbModule.withTransaction(async (client) => {
+    const linked = await client.query(
+      `SELECT u.id, u.name, u.email, u.email_verified_at, u.auth_user_id, u.banned_at, u.session_version
+       FROM user_identities i JOIN users u ON u.id = i.user_id
+       WHERE i.provider = $1 AND i.provider_user_id = $2
+       LIMIT 1`,
+      [provider, profile.subject]
+    );
+    if (linked.rows[0]) return linked.rows[0];
+
+    let user = null;
+    if (profile.email && profile.emailVerified) {
+      const byEmail = await client.query(
+        `SELECT id, name, email, email_verified_at, auth_user_id, banned_at, session_version
+         FROM users WHERE lower(email) = lower($1) AND email_verified_at IS NOT NULL
+         ORDER BY id LIMIT 1`,
+        [profile.email]
+      );
+      user = byEmail.rows[0] || null;
+    }
+    if (!user) {
+      const created = await client.query(
+        `INSERT INTO users (name, email, avatar_url, email_verified_at)
+         VALUES ($1, $2, $3, CASE WHEN $4::boolean THEN NOW() END)
+         RETURNING id, name, email, email_verified_at, auth_user_id, banned_at, session_version`,
+        [
+          profile.name || null,
+          profile.email || null,
+          profile.avatarUrl || null,
+          Boolean(profile.email && profile.emailVerified),
+        ]
+      );
+      user = created.rows[0];
+    }
+
+    await client.query(
+      `INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, provider_user_id) DO NOTHING`,
+      [user.id, provider, profile.subject, profile.email || null]
+    );
+    return user;
+  });
+}
+
+// uploader check for a tracks row ({ auth_user_id, user_id }) against req.user
+function isTrackOwner(track, user) {
+  if (!track || !user) return false;
+  if (track.auth_user_id && track.auth_user_id === user.authUserId) return true;
+  return track.user_id != null && track.user_id === user.id;
+}
+
+module.exports = {
+  getBearerToken,
+  resolveUser,
+  authenticate,
+  requireAuth,
+  linkIdentity,
+  isTrackOwner,
+};
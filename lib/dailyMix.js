@@ -0,0 +1,145 @@
+// Per-user "Daily Mix": a generated playlist (playlists.kind = 'daily_mix')
+// rebuilt from recommendations once it is older than DAILY_MIX_REFRESH_HOURS.
+//
+// The scheduler only queues `daily_mix` jobs for recently active users; the job
+// worker (in the server or `npm run worker`) does the rebuilding.
+const dbModule = require("../db");
+const { enqueueJob } = require("./jobs");
+const { recommendForUser } = require("./recommendations");
+
+const DAILY_MIX_JOB = "daily_mix";
+const DAILY_MIX_SIZE = parseInt(process.env.DAILY_MIX_SIZE, 10) || 30;
+const DAILY_MIX_REFRESH_HOURS = parseInt(process.env.DAILY_MIX_REFRESH_HOURS, 10) || 24;
+// users with plays or playlist activity in this window get a mix
+const ACTIVE_USER_DAYS = 30;
+const MAX_PER_ARTIST = 2;
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+let scheduleTimer = null;
+
+// best-first, at most MAX_PER_ARTIST per artist; fills from the rest if that runs short
+function pickMix(candidates, size) {
+  const perArtist = new Map();
+  const picked = [];
+  const skipped = [];
+  for (const track of candidates) {
+    const artist = track.artist_id ?? String(track.artist_name || "").toLowerCase();
+    const count = perArtist.get(artist) || 0;
+    if (count < MAX_PER_ARTIST) {
+      perArtist.set(artist, count + 1);
+      picked.push(track);
+    } else {
+      skipped.push(track);
+    }
+    if (picked.length === size) return picked;
+  }
+  return picked.concat(skipped).slice(0, size);
+}
+
+async function loadDailyMix(userId) {
+  const { rows } = await dbModule.query(
+    `SELECT id, user_id, name, visibility, kind, generated_at, created_at
+     FROM playlists WHERE user_id = $1 AND kind = 'daily_mix' LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+function isStale(mix) {
+  if (!mix?.generated_at) return true;
+  return Date.now() - new Date(mix.generated_at).getTime() > DAILY_MIX_REFRESH_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Rebuild a user's daily mix. Tracks from the previous mix are used only when
+ * there aren't enough new ones, so consecutive days differ.
+ * @returns {Promise<object>} the playlist row
+ */
+async function refreshDailyMix(userId) {
+  const previous = await loadDailyMix(userId);
+  const previousIds = [];
+  if (previous) {
+    const { rows } = await dbModule.query("SELECT track_id FROM playlist_songs WHERE playlist_id = $1", [previous.id]);
+    previousIds.push(...rows.map((r) => r.track_id));
+  }
+
+  let candidates = await recommendForUser(userId, { limit: DAILY_MIX_SIZE * 3, excludeTrackIds: previousIds });
+  if (candidates.length < DAILY_MIX_SIZE && previousIds.length > 0) {
+    candidates = candidates.concat(await recommendForUser(userId, { limit: DAILY_MIX_SIZE * 3 }));
+    candidates = candidates.filter((t, i) => candidates.findIndex((c) => c.id === t.id) === i);
+  }
+  const tracks = pickMix(candidates, DAILY_MIX_SIZE);
+
+  return dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO playlists (user_id, name, visibility, kind, generated_at)
+       VALUES ($1, 'Daily Mix', 'private', 'daily_mix', NOW())
+       ON CONFLICT (user_id) WHERE kind = 'daily_mix'
+       DO UPDATE SET generated_at = NOW()
+       RETURNING id, user_id, name, visibility, kind, generated_at, created_at`,
+      [userId]
+    );
+    const mix = rows[0];
+    await client.query("DELETE FROM playlist_songs WHERE playlist_id = $1", [mix.id]);
+    for (const [position, track] of tracks.entries()) {
+      await client.query(
+        "INSERT INTO playlist_songs (playlist_id, track_id, position, added_at) VALUES ($1, $2, $3, NOW())",
+        [mix.id, track.id, position]
+      );
+    }
+    return mix;
+  });
+}
+
+/**
+ * The user's daily mix, rebuilt first when missing or stale.
+ * @returns {Promise<object>} the playlist row
+ */
+async function getDailyMix(userId) {
+  const mix = await loadDailyMix(userId);
+  return isStale(mix) ? refreshDailyMix(userId) : mix;
+}
+
+// Queue a rebuild for every active user whose mix is stale and not already queued
+async function scheduleDailyMixes() {
+  const { rows } = await dbModule.query(
+    `SELECT u.id
+     FROM users u
+     LEFT JOIN playlists mix ON mix.user_id = u.id AND mix.kind = 'daily_mix'
+     WHERE (mix.generated_at IS NULL OR mix.generated_at < NOW() - make_interval(hours => $1))
+       AND (EXISTS (SELECT 1 FROM plays p WHERE p.user_id = u.id AND p.played_at > NOW() - make_interval(days => $2))
+            OR EXISTS (SELECT 1 FROM playlist_songs ps JOIN playlists p ON p.id = ps.playlist_id
+                       WHERE p.user_id = u.id AND p.kind = 'user' AND ps.added_at > NOW() - make_interval(days => $2)))
+       AND NOT EXISTS (SELECT 1 FROM jobs j
+                       WHERE j.type = $3 AND j.user_id = u.id AND j.status IN ('queued', 'running'))`,
+    [DAILY_MIX_REFRESH_HOURS, ACTIVE_USER_DAYS, DAILY_MIX_JOB]
+  );
+  for (const { id } of rows) {
+    await enqueueJob(DAILY_MIX_JOB, { userId: id }, { userId: id });
+  }
+  return rows.length;
+}
+
+function startDailyMixScheduler(intervalMs = SCHEDULE_INTERVAL_MS) {
+  if (scheduleTimer) return;
+  const run = () =>
+    scheduleDailyMixes().catch((err) => console.warn("Daily mix scheduling failed:", err?.message || err));
+  scheduleTimer = setInterval(run, intervalMs);
+  scheduleTimer.unref();
+  run();
+}
+
+function stopDailyMixScheduler() {
+  clearInterval(scheduleTimer);
+  scheduleTimer = null;
+}
+
+module.exports = {
+  DAILY_MIX_JOB,
+  DAILY_MIX_SIZE,
+  refreshDailyMix,
+  getDailyMix,
+  scheduleDailyMixes,
+  startDailyMixScheduler,
+  stopDailyMixScheduler,
+};
@@ -0,0 +1,115 @@
+// One error contract for every route:
+//
+//   { code, message, fields, requestId }            (+ details when there is more to say)
+//
+// Handlers throw ApiError (or call next() with one from callbacks) and the
+// central errorHandler, mounted last in index.js, writes the body. Anything
+// that is not an ApiError is a bug or an outage: it is logged with the request
+// id and the client only gets a generic 500, never the underlying message.
+const crypto = require("crypto");
+const http = require("http");
+
+// default `code` per status; pass { code } for something more specific
+const STATUS_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  410: "gone",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  416: "range_not_satisfiable",
+  422: "unprocessable_entity",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "bad_gateway",
+  503: "service_unavailable",
+};
+
+class ApiError extends Error {
+  /**
+   * @param {number} status   HTTP status
+   * @param {string} message  safe to show to the user
+   * @param {{ code?: string, fields?: Object<string, string>, details?: object }} [options]
+   */
+  constructor(status, message, { code, fields = null, details = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+/**
+ * Per-field failure, so forms can show each message next to its input.
+ * The first message doubles as the overall message.
+ */
+function fieldError(fields, status = 400, { details } = {}) {
+  return new ApiError(status, Object.values(fields)[0], { code: "validation_failed", fields, details });
+}
+
+// ids from a proxy or client are kept when they look like ids; anything else is replaced
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// req.id for logs and error bodies, echoed as X-Request-Id
+function requestId(req, res, next) {
+  const given = req.headers["x-request-id"];
+  req.id = typeof given === "string" && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+// errors raised by Express, body-parser and multer before a handler runs
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err?.type === "entity.parse.failed") return new ApiError(400, "Request body is not valid JSON");
+  if (err?.type === "entity.too.large") return new ApiError(413, "Request body is too large");
+  if (err?.name === "MulterError") {
+    return err.code === "LIMIT_FILE_SIZE"
+      ? fieldError({ [err.field || "file"]: "File is too large" }, 413)
+      : fieldError({ [err.field || "file"]: err.message });
+  }
+  // client errors keep their status; http-errors marks the ones whose message is safe to show
+  if (err?.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, err.expose ? err.message : http.STATUS_CODES[err.status]);
+  }
+  return new ApiError(500, "Internal server error");
+}
+
+function errorBody(req, error) {
+  return {
+    code: error.code,
+    message: error.message,
+    fields: error.fields || null,
+    requestId: req.id ?? null,
+    ...(error.details ? { details: error.details } : {}),
+  };
+}
+
+// 404 for anything no router answered
+function notFoundHandler(req, res, next) {
+  next(new ApiError(404, `No route for ${req.method} ${req.path}`));
+}
+
+// Express spots error handlers by their four arguments, so `next` stays
+function errorHandler(err, req, res, next) {
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+  }
+  // a stream that failed half way can't get a JSON body any more
+  if (res.headersSent) return res.destroy(err);
+  res.status(error.status).json(errorBody(req, error));
+}
+
+module.exports = {
+  ApiError,
+  fieldError,
+  errorBody,
+  requestId,
+  notFoundHandler,
+  errorHandler,
+};
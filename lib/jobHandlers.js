@@ -0,0 +1,65 @@
+// Job types and their handlers. Both the API server and `npm run worker` call
+// registerJobHandlers() so either can run the queue.
+const dbModule = require("../db");
+const { registerJobHandler, enqueueJob } = require("./jobs");
+const { generateWaveform } = require("./waveform");
+const { DAILY_MIX_JOB, refreshDailyMix } = require("./dailyMix");
+const { TRACK_STORAGE_JOB, syncTrackStorage } = require("./moderation");
+
+const WAVEFORM_JOB = "waveform";
+
+// payload: { trackId }
+async function waveformJob({ trackId }) {
+  const { rows } = await dbModule.query(
+    "SELECT id, storage_key, mime_type FROM tracks WHERE id = $1 LIMIT 1",
+    [trackId]
+  );
+  const track = rows[0];
+  // deleted before the job ran, or never stored: retrying won't change anything
+  if (!track) throw Object.assign(new Error(`Track ${trackId} not found`), { permanent: true });
+  if (!track.storage_key || track.storage_key.startsWith("debug/")) {
+    throw Object.assign(new Error(`Track ${trackId} has no stored audio`), { permanent: true });
+  }
+
+  const { peaks, points } = await generateWaveform(track.storage_key, track.mime_type);
+  await dbModule.query(
+    `INSERT INTO track_waveforms (track_id, points, peaks, created_at, updated_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     ON CONFLICT (track_id) DO UPDATE
+       SET points = EXCLUDED.points, peaks = EXCLUDED.peaks, updated_at = NOW()`,
+    [track.id, points, JSON.stringify(peaks)]
+  );
+  return { track_id: track.id, points };
+}
+
+// payload: { userId }
+async function dailyMixJob({ userId }) {
+  const mix = await refreshDailyMix(userId);
+  return { playlist_id: mix.id };
+}
+
+function registerJobHandlers() {
+  registerJobHandler(WAVEFORM_JOB, waveformJob, { maxAttempts: 5 });
+  // the next scheduler pass retries anyway
+  registerJobHandler(DAILY_MIX_JOB, dailyMixJob, { maxAttempts: 2 });
+  registerJobHandler(TRACK_STORAGE_JOB, syncTrackStorage, { maxAttempts: 5 });
+}
+
+/**
+ * Queue post-upload processing for a new track. Never fails the upload: a
+ * missing waveform only means the player falls back to a plain scrubber.
+ */
+async function queueTrackProcessing(track, userId) {
+  try {
+    return await enqueueJob(WAVEFORM_JOB, { trackId: track.id }, { userId });
+  } catch (err) {
+    console.warn(`Could not queue waveform job for track ${track.id}:`, err?.message || err);
+    return null;
+  }
+}
+
+module.exports = {
+  WAVEFORM_JOB,
+  registerJobHandlers,
+  queueTrackProcessing,
+};
@@ -0,0 +1,319 @@
+// Durable background jobs on the existing pg pool.
+//
+// Jobs live in the `jobs` table. Workers claim them with FOR UPDATE SKIP LOCKED,
+// so any number of workers (inside the server or `npm run worker`) can share
+// the queue. A failed job is retried with exponential backoff until
+// max_attempts, then parked as 'dead' (the dead-letter state) for inspection.
+//
+// Status changes are published with pg_notify('job_events'); the API server
+// listens and forwards them to the job owner's sockets as job-updated, which
+// works whether the job ran in-process or in a separate worker.
+const os = require("os");
+const dbModule = require("../db");
+const { emitToUser } = require("./realtime");
+
+const JOB_EVENTS_CHANNEL = "job_events";
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+// running jobs whose lock is older than this belonged to a worker that died
+const STALE_LOCK_MS = JOB_TIMEOUT_MS * 2;
+
+const handlers = new Map();
+let activeWorker = null;
+
+/**
+ * Register the function that runs jobs of `type`.
+ * handler(payload, job) may return a JSON-serialisable result.
+ * Throw an error with `permanent = true` to skip the remaining retries.
+ */
+function registerJobHandler(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  handlers.set(type, { handler, maxAttempts });
+}
+
+function formatJob(row) {
+  return {
+    id: Number(row.id),
+    type: row.type,
+    status: row.status,
+    payload: row.payload,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    last_error: row.last_error,
+    result: row.result,
+    run_at: row.run_at,
+    created_at: row.created_at,
+    completed_at: row.completed_at,
+  };
+}
+
+async function publishJobEvent(row, client = dbModule) {
+  const event = { ...formatJob(row), user_id: row.user_id };
+  try {
+    await client.query("SELECT pg_notify($1, $2)", [JOB_EVENTS_CHANNEL, JSON.stringify(event)]);
+  } catch (err) {
+    console.warn("Job event publish failed:", err?.message || err);
+  }
+}
+
+/**
+ * Queue a job. Pass `client` to enqueue inside an open transaction.
+ * @returns {Promise<object>} the job
+ */
+async function enqueueJob(type, payload = {}, { userId = null, maxAttempts, delayMs = 0, client } = {}) {
+  const attempts = maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const { rows } = await (client || dbModule).query(
+    `INSERT INTO jobs (type, payload, user_id, max_attempts, run_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     RETURNING *`,
+    [type, JSON.stringify(payload), userId, attempts, delayMs / 1000]
+  );
+  await publishJobEvent(rows[0], client);
+  // an in-process worker picks it up now instead of at the next poll
+  if (activeWorker && !client) activeWorker.wake();
+  return formatJob(rows[0]);
+}
+
+async function getJob(id) {
+  const { rows } = await dbModule.query("SELECT * FROM jobs WHERE id = $1", [id]);
+  return rows[0] ? formatJob(rows[0]) : null;
+}
+
+function backoffMs(attempts) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(base * (1 + Math.random() * 0.2));
+}
+
+async function claimJob(workerId, types) {
+  const { rows } = await dbModule.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= NOW() AND type = ANY($2)
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId, types]
+  );
+  return rows[0] || null;
+}
+
+async function finishJob(job, result) {
+  const { rows } = await dbModule.query(
+    `UPDATE jobs
+     SET status = 'completed', result = $2, last_error = NULL, locked_at = NULL, locked_by = NULL,
+         completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, result === undefined ? null : JSON.stringify(result)]
+  );
+  if (rows[0]) await publishJobEvent(rows[0]);
+}
+
+async function failJob(job, err) {
+  const dead = err?.permanent || job.attempts >= job.max_attempts;
+  const message = String(err?.message || err).slice(0, 2000);
+  const { rows } = await dbModule.query(
+    `UPDATE jobs
+     SET status = $2, last_error = $3, locked_at = NULL, locked_by = NULL, updated_at = NOW(),
+         run_at = CASE WHEN $2 = 'queued' THEN NOW() + make_interval(secs => $4) ELSE run_at END
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, dead ? "dead" : "queued", message, dead ? 0 : backoffMs(job.attempts) / 1000]
+  );
+  if (dead) console.error(`Job ${job.id} (${job.type}) moved to dead letters:`, message);
+  else console.warn(`Job ${job.id} (${job.type}) failed, will retry:`, message);
+  if (rows[0]) await publishJobEvent(rows[0]);
+}
+
+// Requeue (or dead-letter) jobs left 'running' by a worker that crashed
+async function recoverStaleJobs() {
+  const { rows } = await dbModule.query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+         last_error = 'Worker stopped while running the job',
+         locked_at = NULL, locked_by = NULL, run_at = NOW(), updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(secs => $1)
+     RETURNING *`,
+    [STALE_LOCK_MS / 1000]
+  );
+  for (const row of rows) await publishJobEvent(row);
+  return rows.length;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Job timed out after ${ms} ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function runJob(job) {
+  const entry = handlers.get(job.type);
+  if (!entry) {
+    return failJob(job, Object.assign(new Error(`No handler for job type "${job.type}"`), { permanent: true }));
+  }
+  try {
+    const result = await withTimeout(Promise.resolve(entry.handler(job.payload || {}, job)), JOB_TIMEOUT_MS);
+    await finishJob(job, result);
+  } catch (err) {
+    await failJob(job, err);
+  }
+}
+
+/**
+ * Start polling for jobs. One worker per process.
+ * @returns {{ stop: () => Promise<void>, wake: () => void }}
+ */
+function startWorker({ concurrency = 2, pollIntervalMs = 1000, types } = {}) {
+  if (activeWorker) return activeWorker;
+
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const jobTypes = types || [...handlers.keys()];
+  const running = new Set();
+  let stopped = false;
+  let timer = null;
+  let lastRecovery = 0;
+
+  let ticking = false;
+  let tickAgain = false;
+
+  async function tick() {
+    timer = null;
+    if (stopped) return;
+    // a finishing job can ask for a tick while one is still claiming
+    if (ticking) {
+      tickAgain = true;
+      return;
+    }
+    ticking = true;
+    try {
+      if (Date.now() - lastRecovery > 60_000) {
+        lastRecovery = Date.now();
+        await recoverStaleJobs();
+      }
+      while (!stopped && running.size < concurrency) {
+        const job = await claimJob(workerId, jobTypes);
+        if (!job) break;
+        const run = runJob(job).finally(() => {
+          running.delete(run);
+          schedule(0);
+        });
+        running.add(run);
+      }
+    } catch (err) {
+      console.warn("Job poll failed:", err?.message || err);
+    } finally {
+      ticking = false;
+    }
+    schedule(tickAgain ? 0 : pollIntervalMs);
+    tickAgain = false;
+  }
+
+  function schedule(ms) {
+    if (stopped) return;
+    if (timer && ms > 0) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, ms);
+  }
+
+  activeWorker = {
+    id: workerId,
+    wake: () => schedule(0),
+    // stop claiming, then wait for the jobs already running
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await Promise.allSettled([...running]);
+      if (activeWorker?.id === workerId) activeWorker = null;
+    },
+  };
+  console.log(`Job worker ${workerId} started (${jobTypes.join(", ") || "no job types"})`);
+  schedule(0);
+  return activeWorker;
+}
+
+async function stopWorker() {
+  if (activeWorker) await activeWorker.stop();
+}
+
+// ---------- job events -> sockets ----------
+
+let listener = null;
+
+/**
+ * LISTEN for job events and forward them to the owner's sockets.
+ * Uses one dedicated pool connection; reconnects if it drops.
+ */
+function listenForJobEvents(io) {
+  let client = null;
+  let closed = false;
+
+  async function connect() {
+    try {
+      client = await dbModule.pool.connect();
+      client.on("notification", (msg) => {
+        if (msg.channel !== JOB_EVENTS_CHANNEL) return;
+        try {
+          const { user_id: userId, ...job } = JSON.parse(msg.payload);
+          if (userId) emitToUser(io, userId, "job-updated", job);
+        } catch (e) {
+          console.warn("Bad job event:", e?.message || e);
+        }
+      });
+      client.on("error", (err) => {
+        console.warn("Job event listener lost its connection:", err?.message || err);
+        retry();
+      });
+      await client.query(`LISTEN ${JOB_EVENTS_CHANNEL}`);
+    } catch (err) {
+      console.warn("Job event listener failed to connect:", err?.message || err);
+      retry();
+    }
+  }
+
+  function retry() {
+    if (client) {
+      client.release(true);
+      client = null;
+    }
+    if (!closed) setTimeout(connect, 5000).unref();
+  }
+
+  connect();
+  listener = {
+    async close() {
+      closed = true;
+      if (client) {
+        await client.query(`UNLISTEN ${JOB_EVENTS_CHANNEL}`).catch(() => {});
+        client.release();
+        client = null;
+      }
+    },
+  };
+  return listener;
+}
+
+async function stopJobEventListener() {
+  if (listener) await listener.close();
+  listener = null;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  formatJob,
+  recoverStaleJobs,
+  startWorker,
+  stopWorker,
+  listenForJobEvents,
+  stopJobEventListener,
+};
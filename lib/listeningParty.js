@@ -0,0 +1,357 @@
+// Listening parties: a host plays a track/playlist and guests follow along.
+//
+// The server owns the playback clock. State is stored as "position at
+// updatedAt" so the current position can be derived at any time; clients send
+// party:sync with their own position and get party:correction back when they
+// drift outside DRIFT_TOLERANCE_MS. Rooms live in memory on this instance and
+// are dropped once nobody has been in them for EMPTY_ROOM_GRACE_MS.
+const crypto = require("crypto");
+const dbModule = require("../db");
+const { normalizeMood } = require("./moods");
+const { loadPlaylistAccess } = require("./playlists");
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
+const CODE_LENGTH = 6;
+const DRIFT_TOLERANCE_MS = 750;
+const HEARTBEAT_MS = 5000;
+const EMPTY_ROOM_GRACE_MS = 30 * 1000;
+const MAX_CHAT_LENGTH = 500;
+const MAX_QUEUE_LENGTH = 500;
+
+// code -> party
+const parties = new Map();
+
+function partyRoom(code) {
+  return `party:${code}`;
+}
+
+function generateCode() {
+  for (;;) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = "";
+    for (const b of bytes) code += CODE_ALPHABET[b % CODE_ALPHABET.length];
+    if (!parties.has(code)) return code;
+  }
+}
+
+async function loadTracks(trackIds) {
+  if (trackIds.length === 0) return [];
+  const { rows } = await dbModule.query(
+    "SELECT id, title, artist_name, cover_url, duration_seconds FROM tracks WHERE id = ANY($1::int[]) AND hidden_at IS NULL",
+    [trackIds]
+  );
+  const byId = new Map(rows.map((t) => [t.id, t]));
+  // keep the requested order (and duplicates), drop ids that no longer exist or are hidden
+  return trackIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+// current playback position in seconds
+function currentPosition(party, now = Date.now()) {
+  const { playback } = party;
+  if (playback.paused) return playback.position;
+  return playback.position + (now - playback.updatedAt) / 1000;
+}
+
+function snapshot(party) {
+  const now = Date.now();
+  return {
+    code: party.code,
+    hostId: party.hostId,
+    members: [...party.members.values()].map((m) => ({ id: m.id, name: m.name, userId: m.userId })),
+    current: party.queue[party.index] || null,
+    index: party.index,
+    queue: party.queue,
+    paused: party.playback.paused,
+    position: currentPosition(party, now),
+    serverTime: now,
+  };
+}
+
+function broadcastState(io, party, event = "party:state") {
+  io.to(partyRoom(party.code)).emit(event, snapshot(party));
+}
+
+function setPlayback(party, position, paused) {
+  party.playback = { position: Math.max(0, position), paused, updatedAt: Date.now() };
+}
+
+// schedule the auto-advance at the end of the current track
+function scheduleTrackEnd(io, party) {
+  clearTimeout(party.endTimer);
+  party.endTimer = null;
+
+  const track = party.queue[party.index];
+  const duration = Number(track?.duration_seconds);
+  if (party.playback.paused || !Number.isFinite(duration) || duration <= 0) return;
+
+  const remainingMs = Math.max(0, (duration - currentPosition(party)) * 1000);
+  party.endTimer = setTimeout(() => {
+    if (!parties.has(party.code)) return;
+    if (party.index < party.queue.length - 1) {
+      party.index += 1;
+      setPlayback(party, 0, false);
+    } else {
+      setPlayback(party, duration, true);
+    }
+    scheduleTrackEnd(io, party);
+    broadcastState(io, party);
+  }, remainingMs);
+}
+
+function destroyParty(party) {
+  clearTimeout(party.endTimer);
+  clearTimeout(party.cleanupTimer);
+  clearInterval(party.heartbeat);
+  parties.delete(party.code);
+}
+
+function leaveParty(io, socket) {
+  const code = socket.data.partyCode;
+  const party = code ? parties.get(code) : null;
+  socket.data.partyCode = null;
+  if (!party) return;
+
+  socket.leave(partyRoom(code));
+  party.members.delete(socket.id);
+
+  if (party.members.size === 0) {
+    // keep the room briefly so a host that refreshes can come back
+    party.cleanupTimer = setTimeout(() => {
+      if (party.members.size === 0) destroyParty(party);
+    }, EMPTY_ROOM_GRACE_MS);
+    return;
+  }
+
+  // host left: hand over to whoever has been in the room longest
+  if (party.hostId === socket.id) {
+    party.hostId = party.members.keys().next().value;
+    io.to(partyRoom(code)).emit("party:host-changed", { hostId: party.hostId, reason: "host-left" });
+  }
+  broadcastState(io, party);
+}
+
+function joinParty(io, socket, party, name) {
+  if (socket.data.partyCode && socket.data.partyCode !== party.code) leaveParty(io, socket);
+
+  clearTimeout(party.cleanupTimer);
+  party.cleanupTimer = null;
+
+  socket.join(partyRoom(party.code));
+  socket.data.partyCode = party.code;
+  party.members.set(socket.id, {
+    id: socket.id,
+    userId: socket.data.userId || null,
+    name: String(name || "").trim().slice(0, 40) || "Guest",
+  });
+  // empty room reclaimed by the first one back
+  if (!party.members.has(party.hostId)) party.hostId = socket.id;
+}
+
+// ack helper: socket.io acks are optional on the client side
+function reply(ack, payload) {
+  if (typeof ack === "function") ack(payload);
+}
+
+/**
+ * Register party:* handlers on a connected socket.
+ * Creating a party needs an authenticated socket; joining only needs the code.
+ */
+function registerPartyHandlers(io, socket) {
+  const withParty = (handler, { hostOnly = false } = {}) => async (payload = {}, ack) => {
+    try {
+      const party = parties.get(socket.data.partyCode);
+      if (!party) return reply(ack, { error: "Not in a party" });
+      if (hostOnly && party.hostId !== socket.id) return reply(ack, { error: "Only the host can do that" });
+      await handler(party, payload || {}, ack);
+    } catch (err) {
+      console.error("Party handler error:", err);
+      reply(ack, { error: "Party action failed" });
+    }
+  };
+
+  // { trackId } or { playlistId, share? }, plus optional { name }
+  socket.on("party:create", async (payload = {}, ack) => {
+    try {
+      if (!socket.data.userId) return reply(ack, { error: "Unauthorized" });
+
+      let trackIds = [];
+      if (payload.playlistId !== undefined) {
+        const playlistId = parseInt(payload.playlistId, 10);
+        const access = Number.isInteger(playlistId)
+          ? await loadPlaylistAccess(playlistId, socket.data.userId, { shareToken: payload.share })
+          : { error: "playlistId must be an integer" };
+        if (access.error || !access.role) return reply(ack, { error: access.error || "Forbidden" });
+        const { rows } = await dbModule.query(
+          "SELECT track_id FROM playlist_songs WHERE playlist_id = $1 ORDER BY position ASC, added_at ASC, id ASC",
+          [playlistId]
+        );
+        trackIds = rows.map((r) => r.track_id);
+      } else {
+        const trackId = parseInt(payload.trackId, 10);
+        if (!Number.isInteger(trackId)) return reply(ack, { error: "trackId or playlistId is required" });
+        trackIds = [trackId];
+      }
+
+      const queue = await loadTracks(trackIds.slice(0, MAX_QUEUE_LENGTH));
+      if (queue.length === 0) return reply(ack, { error: "Nothing to play" });
+
+      const party = {
+        code: generateCode(),
+        hostId: socket.id,
+        members: new Map(),
+        queue,
+        index: 0,
+        playback: { position: 0, paused: true, updatedAt: Date.now() },
+        endTimer: null,
+        cleanupTimer: null,
+        heartbeat: null,
+      };
+      parties.set(party.code, party);
+      joinParty(io, socket, party, payload.name);
+
+      // periodic clock broadcast so late drift is caught even without party:sync
+      party.heartbeat = setInterval(() => {
+        if (!party.playback.paused && party.members.size > 0) broadcastState(io, party, "party:heartbeat");
+      }, HEARTBEAT_MS);
+
+      reply(ack, { ok: true, state: snapshot(party) });
+    } catch (err) {
+      console.error("party:create error:", err);
+      reply(ack, { error: "Could not create party" });
+    }
+  });
+
+  // { code, name? }
+  socket.on("party:join", (payload = {}, ack) => {
+    const party = parties.get(String(payload?.code || "").trim().toUpperCase());
+    if (!party) return reply(ack, { error: "Party not found" });
+
+    joinParty(io, socket, party, payload.name);
+    reply(ack, { ok: true, state: snapshot(party) });
+    socket.to(partyRoom(party.code)).emit("party:member-joined", party.members.get(socket.id));
+    broadcastState(io, party);
+  });
+
+  socket.on("party:leave", (payload, ack) => {
+    leaveParty(io, socket);
+    reply(ack, { ok: true });
+  });
+
+  // --- host playback controls ---
+  socket.on("party:play", withParty((party, { position }, ack) => {
+    const from = Number.isFinite(Number(position)) ? Number(position) : currentPosition(party);
+    setPlayback(party, from, false);
+    scheduleTrackEnd(io, party);
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  socket.on("party:pause", withParty((party, { position }, ack) => {
+    const at = Number.isFinite(Number(position)) ? Number(position) : currentPosition(party);
+    setPlayback(party, at, true);
+    scheduleTrackEnd(io, party);
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  socket.on("party:seek", withParty((party, { position }, ack) => {
+    const to = Number(position);
+    if (!Number.isFinite(to) || to < 0) return reply(ack, { error: "position must be a non-negative number" });
+    setPlayback(party, to, party.playback.paused);
+    scheduleTrackEnd(io, party);
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  // { index } jumps within the queue; without it, next track
+  socket.on("party:skip", withParty((party, { index }, ack) => {
+    const target = index === undefined ? party.index + 1 : parseInt(index, 10);
+    if (!Number.isInteger(target) || target < 0 || target >= party.queue.length) {
+      return reply(ack, { error: "No such queue entry" });
+    }
+    party.index = target;
+    setPlayback(party, 0, party.playback.paused);
+    scheduleTrackEnd(io, party);
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  socket.on("party:queue-add", withParty(async (party, { trackId }, ack) => {
+    const id = parseInt(trackId, 10);
+    if (!Number.isInteger(id)) return reply(ack, { error: "trackId must be an integer" });
+    if (party.queue.length >= MAX_QUEUE_LENGTH) return reply(ack, { error: "Queue is full" });
+    const [track] = await loadTracks([id]);
+    if (!track) return reply(ack, { error: "Track not found" });
+    party.queue.push(track);
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  socket.on("party:queue-remove", withParty((party, { index }, ack) => {
+    const i = parseInt(index, 10);
+    if (!Number.isInteger(i) || i < 0 || i >= party.queue.length) return reply(ack, { error: "No such queue entry" });
+    if (i === party.index) return reply(ack, { error: "Can't remove the playing track" });
+    party.queue.splice(i, 1);
+    if (i < party.index) party.index -= 1;
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  // { memberId } -> make another member the host
+  socket.on("party:handover", withParty((party, { memberId }, ack) => {
+    if (!party.members.has(memberId)) return reply(ack, { error: "Member not in party" });
+    party.hostId = memberId;
+    io.to(partyRoom(party.code)).emit("party:host-changed", { hostId: memberId, reason: "handover" });
+    broadcastState(io, party);
+    reply(ack, { ok: true });
+  }, { hostOnly: true }));
+
+  // --- everyone ---
+  // { position } as seen by the client; corrected if outside the drift window
+  socket.on("party:sync", withParty((party, { position }, ack) => {
+    const expected = currentPosition(party);
+    const driftMs = Math.round((Number(position) - expected) * 1000);
+    if (!Number.isFinite(driftMs) || Math.abs(driftMs) > DRIFT_TOLERANCE_MS) {
+      socket.emit("party:correction", { ...snapshot(party), driftMs: Number.isFinite(driftMs) ? driftMs : null });
+    }
+    reply(ack, { ok: true, driftMs: Number.isFinite(driftMs) ? driftMs : null });
+  }));
+
+  socket.on("party:chat", withParty((party, { text }, ack) => {
+    const message = String(text || "").trim().slice(0, MAX_CHAT_LENGTH);
+    if (!message) return reply(ack, { error: "Message is empty" });
+    const member = party.members.get(socket.id);
+    io.to(partyRoom(party.code)).emit("party:chat", {
+      from: { id: member.id, name: member.name },
+      text: message,
+      at: Date.now(),
+    });
+    reply(ack, { ok: true });
+  }));
+
+  // { mood } from the shared mood vocabulary
+  socket.on("party:reaction", withParty((party, { mood }, ack) => {
+    const reaction = normalizeMood(mood);
+    if (!reaction) return reply(ack, { error: "Unknown mood" });
+    const member = party.members.get(socket.id);
+    io.to(partyRoom(party.code)).emit("party:reaction", {
+      from: { id: member.id, name: member.name },
+      mood: reaction,
+      position: currentPosition(party),
+      at: Date.now(),
+    });
+    reply(ack, { ok: true });
+  }));
+
+  socket.on("disconnect", () => leaveParty(io, socket));
+}
+
+function activePartyCount() {
+  return parties.size;
+}
+
+module.exports = {
+  DRIFT_TOLERANCE_MS,
+  registerPartyHandlers,
+  activePartyCount,
+};
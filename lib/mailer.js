@@ -0,0 +1,62 @@
+// Outgoing mail behind a pluggable transport.
+//
+// MAIL_TRANSPORT picks the transport (default "console"):
+//   console - prints the message to stdout (local development)
+//   file    - writes one JSON file per message into MAIL_DIR (default ./mail-outbox)
+// Other transports (SMTP, an email API, ...) plug in with registerTransport(name, factory),
+// where factory() returns { send(message) } and send may be async.
+const fs = require("fs");
+const path = require("path");
+
+const MAIL_FROM = process.env.MAIL_FROM || "MoodStream <no-reply@moodstream.local>";
+
+const transports = {
+  console: () => ({
+    send(message) {
+      console.log(
+        `[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`
+      );
+    },
+  }),
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_DIR || "mail-outbox");
+    return {
+      async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`;
+        await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+      },
+    };
+  },
+};
+
+let active = null;
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  active = null;
+}
+
+function getTransport() {
+  if (!active) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    active = factory();
+  }
+  return active;
+}
+
+/**
+ * Send a message: { to, subject, text, html? }.
+ * Throws if the transport fails; callers decide whether that is fatal.
+ */
+async function sendMail({ to, subject, text, html }) {
+  const message = { from: MAIL_FROM, to, subject, text, ...(html ? { html } : {}), date: new Date().toISOString() };
+  await getTransport().send(message);
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+};
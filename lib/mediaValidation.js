@@ -0,0 +1,345 @@
+// Server-side checks for uploaded media. The client's mimetype is never
+// trusted: formats are identified from the file's leading bytes.
+//
+// Limits (env, bytes / pixels):
+//   COVER_MAX_BYTES        default 5 MB
+//   COVER_MIN_DIMENSION    default 300 (shortest side)
+//   COVER_MAX_DIMENSION    default 4096 (longest side)
+//   COVER_MAX_ASPECT       default 1.25 (longest / shortest side; covers are near-square)
+// Audio size limits live with the upload routes (direct vs resumable).
+const crypto = require("crypto");
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const COVER_MAX_BYTES = envNumber("COVER_MAX_BYTES", 5 * 1024 * 1024);
+const COVER_MIN_DIMENSION = envNumber("COVER_MIN_DIMENSION", 300);
+const COVER_MAX_DIMENSION = envNumber("COVER_MAX_DIMENSION", 4096);
+const COVER_MAX_ASPECT = envNumber("COVER_MAX_ASPECT", 1.25);
+
+// leading bytes kept for sniffing (the smallest resumable chunk): enough for every
+// signature below and, usually, for the track list of an MP4 or WebM file
+const SNIFF_BYTES = 256 * 1024;
+
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+
+// MP4 brands only used for audio files (iTunes audio, audiobooks, Flash audio)
+const MP4_AUDIO_BRANDS = ["M4A ", "M4B ", "M4P ", "F4A ", "F4B "];
+// brands shared by audio and video files: only accepted when the track list is in view
+const MP4_GENERIC_BRANDS = ["isom", "iso2", "iso3", "iso4", "iso5", "iso6", "mp41", "mp42", "dash"];
+// hdlr types of picture tracks
+const MP4_VIDEO_HANDLERS = ["vide", "pict", "auxv"];
+
+/**
+ * ISO BMFF boxes between start and end: [{ type, start, end, complete }], where
+ * start/end bound the payload and complete is false for a box cut off by `end`.
+ */
+function mp4Boxes(buf, start, end) {
+  const boxes = [];
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    let header = 8;
+    if (size === 1) {
+      if (i + 16 > end) break;
+      size = Number(buf.readBigUInt64BE(i + 8));
+      header = 16;
+    }
+    // 0 = "up to the end of the file", which a sniffed head can't confirm
+    const complete = size !== 0 && i + size <= end;
+    if (size === 0) size = end - i;
+    if (size < header) break;
+    boxes.push({ type: ascii(buf, i + 4, i + 8), start: i + header, end: Math.min(i + size, end), complete });
+    i += size;
+  }
+  return boxes;
+}
+
+// handler type ("soun", "vide", ...) of every track in a moov box
+function mp4TrackHandlers(buf, moov) {
+  return mp4Boxes(buf, moov.start, moov.end)
+    .filter((box) => box.type === "trak")
+    .map((trak) => {
+      const mdia = mp4Boxes(buf, trak.start, trak.end).find((box) => box.type === "mdia");
+      const hdlr = mdia && mp4Boxes(buf, mdia.start, mdia.end).find((box) => box.type === "hdlr");
+      // version/flags (4), pre_defined (4), handler_type (4)
+      return hdlr && hdlr.end - hdlr.start >= 12 ? ascii(buf, hdlr.start + 8, hdlr.start + 12) : null;
+    });
+}
+
+/**
+ * An MP4 container holding audio only. An audio brand is enough when the track
+ * list isn't in the sniffed bytes (moov at the end of a resumable upload); a
+ * generic brand (isom, mp42, ...) needs a visible track list. A visible video
+ * track rejects the file either way; HEIC, 3GP and QuickTime brands never pass.
+ */
+function isMp4Audio(buf) {
+  const boxes = mp4Boxes(buf, 0, buf.length);
+  const ftyp = boxes[0];
+  if (!ftyp || ftyp.type !== "ftyp" || !ftyp.complete || ftyp.end - ftyp.start < 8) return false;
+  // major brand, minor version, then compatible brands
+  const brands = [ascii(buf, ftyp.start, ftyp.start + 4)];
+  for (let i = ftyp.start + 8; i + 4 <= ftyp.end; i += 4) brands.push(ascii(buf, i, i + 4));
+
+  const moov = boxes.find((box) => box.type === "moov" && box.complete);
+  if (moov) {
+    const handlers = mp4TrackHandlers(buf, moov);
+    if (!handlers.includes("soun") || handlers.some((h) => MP4_VIDEO_HANDLERS.includes(h))) return false;
+  }
+  if (brands.some((brand) => MP4_AUDIO_BRANDS.includes(brand))) return true;
+  return Boolean(moov) && brands.some((brand) => MP4_GENERIC_BRANDS.includes(brand));
+}
+
+const EBML_IDS = {
+  header: 0x1a45dfa3,
+  docType: 0x4282,
+  segment: 0x18538067,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackType: 0x83,
+  cluster: 0x1f43b675,
+};
+// Matroska TrackType values
+const MKV_VIDEO_TRACK = 1;
+const MKV_AUDIO_TRACK = 2;
+
+/**
+ * EBML variable-length integer at buf[i]: { length, value }. Element ids keep
+ * their marker bit; sizes drop it, and an all-ones size ("unknown") is null.
+ */
+function ebmlVint(buf, i, isId) {
+  const first = buf[i];
+  if (first === undefined || first === 0) return null;
+  const length = Math.clz32(first) - 23;
+  if (i + length > buf.length) return null;
+  const mask = 0xff >> length;
+  let value = isId ? first : first & mask;
+  let unknown = !isId && value === mask;
+  for (let k = 1; k < length; k++) {
+    value = value * 256 + buf[i + k];
+    if (buf[i + k] !== 0xff) unknown = false;
+  }
+  return { length, value: unknown ? null : value };
+}
+
+// EBML elements between start and end: [{ id, start, end, complete }] (as mp4Boxes)
+function ebmlElements(buf, start, end) {
+  const elements = [];
+  let i = start;
+  while (i < end) {
+    const id = ebmlVint(buf, i, true);
+    const size = id && ebmlVint(buf, i + id.length, false);
+    if (!size) break;
+    const dataStart = i + id.length + size.length;
+    // unknown size (live recordings): runs to the end of its parent
+    const dataEnd = size.value === null ? end : dataStart + size.value;
+    elements.push({ id: id.value, start: dataStart, end: Math.min(dataEnd, end), complete: dataEnd <= end });
+    i = dataEnd;
+  }
+  return elements;
+}
+
+/**
+ * A WebM/Matroska file whose track list (always ahead of the first Cluster)
+ * is in the sniffed bytes and holds audio tracks only.
+ * @returns {"webm"|"matroska"|null} the DocType
+ */
+function matroskaAudioDocType(buf) {
+  const [header, segment] = ebmlElements(buf, 0, buf.length);
+  if (!header || header.id !== EBML_IDS.header || !header.complete) return null;
+  const docType = ebmlElements(buf, header.start, header.end).find((el) => el.id === EBML_IDS.docType);
+  const name = docType ? ascii(buf, docType.start, docType.end).replace(/\0+$/, "") : null;
+  if (name !== "webm" && name !== "matroska") return null;
+  if (!segment || segment.id !== EBML_IDS.segment) return null;
+
+  for (const el of ebmlElements(buf, segment.start, segment.end)) {
+    if (el.id === EBML_IDS.cluster) return null;
+    if (el.id !== EBML_IDS.tracks) continue;
+    if (!el.complete) return null;
+    const types = ebmlElements(buf, el.start, el.end)
+      .filter((entry) => entry.id === EBML_IDS.trackEntry)
+      .map((entry) => {
+        const type = ebmlElements(buf, entry.start, entry.end).find((e) => e.id === EBML_IDS.trackType);
+        const length = type ? type.end - type.start : 0;
+        return length >= 1 && length <= 6 ? buf.readUIntBE(type.start, length) : null;
+      });
+    return types.includes(MKV_AUDIO_TRACK) && !types.includes(MKV_VIDEO_TRACK) ? name : null;
+  }
+  return null;
+}
+
+/**
+ * Identify an allowed audio format from its leading bytes. MP4 and WebM/Matroska
+ * are containers for video too, so their brands and track lists are checked.
+ * @returns {{ mime: string, extension: string } | null}
+ */
+function sniffAudio(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (ascii(buf, 0, 3) === "ID3") return { mime: "audio/mpeg", extension: "mp3" };
+  if (ascii(buf, 0, 4) === "fLaC") return { mime: "audio/flac", extension: "flac" };
+  if (ascii(buf, 0, 4) === "OggS") return { mime: "audio/ogg", extension: "ogg" };
+  if (ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 12) === "WAVE") {
+    return { mime: "audio/wav", extension: "wav" };
+  }
+  if (ascii(buf, 0, 4) === "FORM" && ["AIFF", "AIFC"].includes(ascii(buf, 8, 12))) {
+    return { mime: "audio/aiff", extension: "aiff" };
+  }
+  if (ascii(buf, 4, 8) === "ftyp") return isMp4Audio(buf) ? { mime: "audio/mp4", extension: "m4a" } : null;
+  if (buf.readUInt32BE(0) === EBML_IDS.header) {
+    const docType = matroskaAudioDocType(buf);
+    if (docType === "webm") return { mime: "audio/webm", extension: "webm" };
+    return docType ? { mime: "audio/x-matroska", extension: "mka" } : null;
+  }
+  // MPEG frame sync: 11 set bits; layer bits 00 mean an ADTS (AAC) stream
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) {
+    return (buf[1] & 0x06) === 0
+      ? { mime: "audio/aac", extension: "aac" }
+      : { mime: "audio/mpeg", extension: "mp3" };
+  }
+  return null;
+}
+
+/**
+ * Identify an allowed cover image format from its leading bytes.
+ * @returns {{ mime: string, extension: string } | null}
+ */
+function sniffImage(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return { mime: "image/jpeg", extension: "jpg" };
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) {
+    return { mime: "image/png", extension: "png" };
+  }
+  if (ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 12) === "WEBP") {
+    return { mime: "image/webp", extension: "webp" };
+  }
+  if (ascii(buf, 0, 6) === "GIF87a" || ascii(buf, 0, 6) === "GIF89a") {
+    return { mime: "image/gif", extension: "gif" };
+  }
+  return null;
+}
+
+function jpegDimensions(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    // fill bytes between markers
+    if (marker === 0xff) {
+      i += 1;
+      continue;
+    }
+    // SOF0..SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buf) {
+  const chunk = ascii(buf, 12, 16);
+  if (chunk === "VP8 " && buf.length >= 30) {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buf.length >= 30) {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Pixel size of a sniffed image, read from its header.
+ * @returns {{ width: number, height: number } | null}
+ */
+function imageDimensions(buf, mime) {
+  try {
+    switch (mime) {
+      case "image/png":
+        return buf.length >= 24 ? { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) } : null;
+      case "image/gif":
+        return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+      case "image/jpeg":
+        return jpegDimensions(buf);
+      case "image/webp":
+        return webpDimensions(buf);
+      default:
+        return null;
+    }
+  } catch {
+    // truncated header
+    return null;
+  }
+}
+
+/**
+ * Check an audio file's contents (not its declared type) and size.
+ * @returns {{ format: { mime, extension } } | { error: string }}
+ */
+function validateAudio(buf, maxBytes) {
+  if (!buf || buf.length === 0) return { error: "The audio file is empty" };
+  if (maxBytes && buf.length > maxBytes) {
+    return { error: `The audio file must be at most ${formatBytes(maxBytes)}` };
+  }
+  const format = sniffAudio(buf);
+  if (!format) {
+    return { error: "Unsupported audio format (use MP3, AAC/M4A, FLAC, WAV, AIFF, Ogg or WebM)" };
+  }
+  return { format };
+}
+
+/**
+ * Check a cover image: real image format, size and dimensions.
+ * @returns {{ format: { mime, extension }, width: number, height: number } | { error: string }}
+ */
+function validateCover(buf) {
+  if (!buf || buf.length === 0) return { error: "The cover image is empty" };
+  if (buf.length > COVER_MAX_BYTES) {
+    return { error: `The cover image must be at most ${formatBytes(COVER_MAX_BYTES)}` };
+  }
+  const format = sniffImage(buf);
+  if (!format) return { error: "Unsupported cover format (use JPEG, PNG, WebP or GIF)" };
+
+  const size = imageDimensions(buf, format.mime);
+  if (!size || !size.width || !size.height) return { error: "The cover image could not be read" };
+
+  const shortSide = Math.min(size.width, size.height);
+  const longSide = Math.max(size.width, size.height);
+  if (shortSide < COVER_MIN_DIMENSION) {
+    return { error: `The cover image must be at least ${COVER_MIN_DIMENSION}x${COVER_MIN_DIMENSION} pixels` };
+  }
+  if (longSide > COVER_MAX_DIMENSION) {
+    return { error: `The cover image must be at most ${COVER_MAX_DIMENSION} pixels on each side` };
+  }
+  if (longSide / shortSide > COVER_MAX_ASPECT) {
+    return { error: "The cover image must be (close to) square" };
+  }
+  return { format, width: size.width, height: size.height };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${Math.round((bytes / (1024 * 1024 * 1024)) * 10) / 10} GB`;
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+module.exports = {
+  COVER_MAX_BYTES,
+  SNIFF_BYTES,
+  sniffAudio,
+  sniffImage,
+  imageDimensions,
+  validateAudio,
+  validateCover,
+  formatBytes,
+  sha256,
+};
@@ -0,0 +1,165 @@
+// Prometheus metrics, served in the text exposition format at GET /metrics.
+//
+// A counter, a histogram and scrape-time gauges are all this app needs, so
+// they are kept here instead of pulling in a client library. Values live in
+// process memory: each API instance is scraped on its own.
+const { pool } = require("../db");
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+function counter(name, help) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    lines() {
+      return [...values].map(([key, value]) => `${name}${key} ${value}`);
+    },
+  });
+}
+
+// collect() runs at scrape time and returns the current value
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    lines() {
+      return [`${name} ${Number(collect()) || 0}`];
+    },
+  });
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      // buckets are cumulative: a value lands in every bucket it fits
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    lines() {
+      const out = [];
+      for (const [key, entry] of series) {
+        buckets.forEach((le, i) => {
+          out.push(`${name}_bucket${formatLabels({ ...entry.labels, le })} ${entry.counts[i]}`);
+        });
+        out.push(`${name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`);
+        out.push(`${name}_sum${key} ${entry.sum}`);
+        out.push(`${name}_count${key} ${entry.count}`);
+      }
+      return out;
+    },
+  });
+}
+
+// ---------------------------
+// Metrics
+// ---------------------------
+
+const requestDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by method, route and status",
+  DURATION_BUCKETS
+);
+
+const uploadBytes = counter("upload_received_bytes_total", "Audio and cover bytes received by upload routes");
+
+gauge("pg_pool_total_connections", "Connections open in the pg pool", () => pool.totalCount);
+gauge("pg_pool_idle_connections", "Idle connections in the pg pool", () => pool.idleCount);
+gauge("pg_pool_waiting_clients", "Queries waiting for a pg pool connection", () => pool.waitingCount);
+gauge("pg_pool_max_connections", "Size limit of the pg pool", () => pool.options.max);
+
+let socketServer = null;
+gauge("socketio_connected_clients", "Open Socket.IO connections", () => socketServer?.engine?.clientsCount ?? 0);
+
+gauge("process_resident_memory_bytes", "Resident memory size in bytes", () => process.memoryUsage().rss);
+gauge("nodejs_heap_used_bytes", "V8 heap in use in bytes", () => process.memoryUsage().heapUsed);
+gauge("process_uptime_seconds", "Seconds since the process started", () => Math.round(process.uptime()));
+
+/**
+ * Express middleware timing every response.
+ * Routes are labelled by their pattern (/api/tracks/:id), never the raw URL,
+ * so the number of series stays bounded.
+ */
+function requestMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    let route = "unmatched";
+    if (req.route) route = `${req.baseUrl}${req.route.path}`;
+    else if (req.baseUrl) route = req.baseUrl;
+    requestDuration.observe(
+      { method: req.method, route, status: res.statusCode },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+  next();
+}
+
+/**
+ * Count bytes received by an upload route.
+ * @param {"direct"|"chunk"} kind  one-shot multipart upload or resumable chunk
+ */
+function recordUploadBytes(kind, bytes) {
+  if (bytes > 0) uploadBytes.inc({ kind }, bytes);
+}
+
+// socket connections are read from the engine at scrape time
+function observeSockets(io) {
+  socketServer = io;
+}
+
+/**
+ * Every metric in the Prometheus text format.
+ * @returns {string}
+ */
+function renderMetrics() {
+  const out = [];
+  for (const metric of registry) {
+    out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  requestMetrics,
+  recordUploadBytes,
+  observeSockets,
+  renderMetrics,
+};
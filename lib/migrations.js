@@ -0,0 +1,177 @@
+// Versioned SQL migrations (migrations/NNNN_name.up.sql + .down.sql), applied
+// through db.js. Applied versions are recorded in schema_migrations with a
+// checksum, so editing a migration after it ran shows up in `status`.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dbModule = require("../db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+// pg_advisory_xact_lock key: one migration runner at a time
+const LOCK_KEY = 727_001;
+
+/**
+ * Migrations on disk, oldest first.
+ * @returns {{ version: string, name: string, up: string, down: string|null, checksum: string }[]}
+ */
+function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) || { version, name, up: null, down: null };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${version} has files with different names (${entry.name}, ${name})`);
+    }
+    entry[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    byVersion.set(version, entry);
+  }
+  return [...byVersion.values()].map((m) => {
+    if (!m.up) throw new Error(`Migration ${m.version}_${m.name} has no .up.sql file`);
+    return { ...m, checksum: crypto.createHash("sha256").update(m.up).digest("hex") };
+  });
+}
+
+async function ensureMigrationsTable(client = dbModule) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version TEXT PRIMARY KEY,
+       name TEXT NOT NULL,
+       checksum TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+// `create: false` for read-only callers: a missing table means nothing applied
+async function appliedMigrations(client = dbModule, { create = true } = {}) {
+  if (create) {
+    await ensureMigrationsTable(client);
+  } else {
+    const { rows } = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS present");
+    if (!rows[0].present) return [];
+  }
+  const { rows } = await client.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  return rows;
+}
+
+/**
+ * Every migration on disk plus any applied version missing from disk.
+ * @returns {Promise<{ version, name, applied: boolean, applied_at, modified: boolean, missing: boolean }[]>}
+ */
+async function migrationStatus() {
+  const migrations = loadMigrations();
+  const applied = new Map((await appliedMigrations(dbModule, { create: false })).map((r) => [r.version, r]));
+  const status = migrations.map((m) => {
+    const row = applied.get(m.version);
+    applied.delete(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      applied: Boolean(row),
+      applied_at: row?.applied_at || null,
+      modified: Boolean(row && row.checksum !== m.checksum),
+      missing: false,
+    };
+  });
+  // applied by a newer checkout of the code
+  for (const row of applied.values()) {
+    status.push({ ...row, applied: true, modified: false, missing: true });
+  }
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+// Each migration runs in its own transaction; the advisory lock makes a second
+// runner wait and then see the version as already applied.
+async function runMigration(migration, direction) {
+  return dbModule.withTransaction(async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock($1)", [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const { rows } = await client.query("SELECT 1 FROM schema_migrations WHERE version = $1", [migration.version]);
+    const isApplied = rows.length > 0;
+    if (direction === "up" ? isApplied : !isApplied) return false;
+
+    if (direction === "up") {
+      await client.query(migration.up);
+      await client.query("INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)", [
+        migration.version,
+        migration.name,
+        migration.checksum,
+      ]);
+    } else {
+      if (!migration.down) throw new Error(`Migration ${migration.version}_${migration.name} can't be rolled back`);
+      await client.query(migration.down);
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    return true;
+  });
+}
+
+/**
+ * Apply pending migrations, up to and including `to` when given.
+ * @returns {Promise<string[]>} the versions applied
+ */
+async function migrateUp({ to, log = console.log } = {}) {
+  const done = [];
+  const applied = new Set((await appliedMigrations()).map((r) => r.version));
+  for (const m of loadMigrations()) {
+    if (to && m.version > to) break;
+    if (applied.has(m.version)) continue;
+    if (await runMigration(m, "up")) {
+      log(`  up    ${m.version}_${m.name}`);
+      done.push(m.version);
+    }
+  }
+  return done;
+}
+
+/**
+ * Roll back the newest `steps` applied migrations (all of them with steps = Infinity).
+ * @returns {Promise<string[]>} the versions rolled back
+ */
+async function migrateDown({ steps = 1, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  const applied = (await appliedMigrations()).map((r) => r.version).reverse();
+  const done = [];
+  for (const version of applied.slice(0, steps)) {
+    const m = migrations.get(version);
+    if (!m) throw new Error(`Migration ${version} is applied but its files are missing`);
+    if (await runMigration(m, "down")) {
+      log(`  down  ${m.version}_${m.name}`);
+      done.push(version);
+    }
+  }
+  return done;
+}
+
+/**
+ * Startup check: throws on anything `migrate status` flags (pending migrations,
+ * applied ones edited since, or applied ones missing from disk), so the server
+ * doesn't serve against a schema the code doesn't match.
+ */
+async function assertSchemaCurrent() {
+  const status = await migrationStatus();
+  const label = (m) => `${m.version}_${m.name}`;
+  const problems = [];
+  const pending = status.filter((m) => !m.applied);
+  if (pending.length > 0) problems.push(`pending migrations: ${pending.map(label).join(", ")}`);
+  const modified = status.filter((m) => m.modified);
+  if (modified.length > 0) problems.push(`changed since they were applied: ${modified.map(label).join(", ")}`);
+  const missing = status.filter((m) => m.missing);
+  if (missing.length > 0) problems.push(`applied but missing from disk: ${missing.map(label).join(", ")}`);
+
+  if (problems.length > 0) {
+    const hint = pending.length > 0 ? "Run `npm run db -- migrate up`." : "See `npm run db -- migrate status`.";
+    throw new Error(`Database schema does not match the migrations, ${problems.join("; ")}. ${hint}`);
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent,
+};
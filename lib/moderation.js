@@ -0,0 +1,172 @@
+// Track reports, hidden tracks, bans and the moderation audit log.
+//
+// users.role is 'user' or 'admin'. A hidden track (tracks.hidden_at) drops out
+// of listings, playlists, feeds, recommendations and streaming for everyone but
+// its uploader and admins. Every admin action writes a moderation_actions row
+// in the same transaction as the change itself.
+//
+// Hidden audio is also moved under hidden/<random>/ in storage (track_storage
+// job), so the old public URL and the local /files mount stop serving it.
+const crypto = require("crypto");
+const dbModule = require("../db");
+const { ApiError } = require("./errors");
+const { isTrackOwner } = require("./auth");
+const { enqueueJob } = require("./jobs");
+const { userRoom } = require("./realtime");
+const { isStoredKey, moveObject, getPublicUrl } = require("./storage");
+
+const REPORT_REASONS = ["spam", "copyright", "offensive", "explicit", "impersonation", "other"];
+const ROLES = ["user", "admin"];
+const TRACK_STORAGE_JOB = "track_storage";
+const HIDDEN_PREFIX = /^hidden\/[0-9a-f]+\//;
+
+const ACTIONS = {
+  hideTrack: "hide_track",
+  restoreTrack: "restore_track",
+  deleteTrack: "delete_track",
+  dismissReports: "dismiss_reports",
+  banUser: "ban_user",
+  unbanUser: "unban_user",
+  setRole: "set_role",
+};
+
+function isAdmin(user) {
+  return user?.role === "admin";
+}
+
+// after requireAuth
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) return next(new ApiError(403, "Forbidden"));
+  next();
+}
+
+/**
+ * SQL condition: the tracks row `alias` is visible to the user whose id is bound
+ * at `viewerParam` (NULL for anonymous callers).
+ * Ownership matches isTrackOwner: same user id or same Supabase auth id.
+ *   trackVisibleSql("t", "$2") -> (t.hidden_at IS NULL OR t.user_id = $2::int OR <$2 owns it or is an admin>)
+ */
+function trackVisibleSql(alias, viewerParam) {
+  return `(${alias}.hidden_at IS NULL OR ${alias}.user_id = ${viewerParam}::int
+           OR EXISTS (SELECT 1 FROM users viewer WHERE viewer.id = ${viewerParam}::int
+                      AND (viewer.role = 'admin' OR viewer.auth_user_id = ${alias}.auth_user_id)))`;
+}
+
+// same rule for a loaded row ({ hidden_at, user_id, auth_user_id })
+function canSeeTrack(track, user) {
+  return !track.hidden_at || isAdmin(user) || isTrackOwner(track, user);
+}
+
+/**
+ * Append to the audit log. Pass the transaction client so the entry commits
+ * (or rolls back) with the change it describes.
+ */
+async function recordModerationAction(client, entry) {
+  const { adminId, action, trackId = null, userId = null, reason = null, details = {} } = entry;
+  const { rows } = await client.query(
+    `INSERT INTO moderation_actions (admin_id, action, track_id, user_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [adminId, action, trackId, userId, reason, JSON.stringify(details)]
+  );
+  return { ...rows[0], id: Number(rows[0].id) };
+}
+
+/**
+ * Close a track's open reports.
+ * @param {"actioned"|"dismissed"} status
+ * @returns {Promise<number>} how many were closed
+ */
+async function resolveReports(client, trackId, status, adminId) {
+  const { rowCount } = await client.query(
+    `UPDATE track_reports SET status = $2, resolved_by = $3, resolved_at = NOW()
+     WHERE track_id = $1 AND status = 'open'`,
+    [trackId, status, adminId]
+  );
+  return rowCount;
+}
+
+/**
+ * Queue the storage move for a track that was just hidden or restored. Pass
+ * the transaction client so the job only exists if the change commits.
+ */
+async function queueTrackStorageSync(client, trackId) {
+  return enqueueJob(TRACK_STORAGE_JOB, { trackId }, { client });
+}
+
+/**
+ * Job handler: move a track's audio to match tracks.hidden_at. Hidden objects
+ * live under hidden/<random>/<key> with no public_url; restoring moves them
+ * back. Reads the current row, so a hide quickly undone ends where it started.
+ */
+async function syncTrackStorage({ trackId }) {
+  return dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      "SELECT id, storage_key, hidden_at FROM tracks WHERE id = $1 FOR UPDATE",
+      [trackId]
+    );
+    const track = rows[0];
+    if (!track || !isStoredKey(track.storage_key)) return { track_id: trackId, moved: false };
+
+    const isHiddenKey = HIDDEN_PREFIX.test(track.storage_key);
+    if (Boolean(track.hidden_at) === isHiddenKey) return { track_id: track.id, moved: false };
+
+    const toKey = track.hidden_at
+      ? `hidden/${crypto.randomBytes(16).toString("hex")}/${track.storage_key}`
+      : track.storage_key.replace(HIDDEN_PREFIX, "");
+    await moveObject(track.storage_key, toKey);
+    try {
+      await client.query("UPDATE tracks SET storage_key = $2, public_url = $3 WHERE id = $1", [
+        track.id,
+        toKey,
+        track.hidden_at ? null : getPublicUrl(toKey),
+      ]);
+    } catch (err) {
+      // keep the row pointing at a real object
+      await moveObject(toKey, track.storage_key).catch((e) =>
+        console.warn(`Could not move track ${track.id} audio back:`, e?.message || e)
+      );
+      throw err;
+    }
+    return { track_id: track.id, moved: true, storage_key: toKey };
+  });
+}
+
+/**
+ * Socket rooms of the users who can see a hidden track: its uploader (by user
+ * id or Supabase auth id) and every admin.
+ */
+async function hiddenTrackRooms(track) {
+  const { rows } = await dbModule.query(
+    `SELECT id FROM users
+     WHERE role = 'admin' OR id = $1::int OR (auth_user_id IS NOT NULL AND auth_user_id = $2)`,
+    [track.user_id ?? null, track.auth_user_id ?? null]
+  );
+  return rows.map((r) => userRoom(r.id));
+}
+
+// Hide or restore tracks for everyone else (non-fatal)
+function emitVisibility(io, event, payload) {
+  try {
+    if (io) io.emit(event, payload);
+  } catch (e) {
+    console.warn(`Could not emit socket ${event}:`, e);
+  }
+}
+
+module.exports = {
+  REPORT_REASONS,
+  ROLES,
+  ACTIONS,
+  TRACK_STORAGE_JOB,
+  isAdmin,
+  requireAdmin,
+  trackVisibleSql,
+  canSeeTrack,
+  recordModerationAction,
+  resolveReports,
+  queueTrackStorageSync,
+  syncTrackStorage,
+  hiddenTrackRooms,
+  emitVisibility,
+};
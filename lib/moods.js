@@ -0,0 +1,105 @@
+// Mood vocabulary shared by upload, listing and the /api/moods catalogue.
+// Tags are stored lowercase in tracks.moods (TEXT[]); energy/valence are
+// optional REAL scores in the 0..1 range.
+
+const MOODS = [
+  "chill",
+  "happy",
+  "sad",
+  "energetic",
+  "focus",
+  "romantic",
+  "angry",
+  "calm",
+  "dreamy",
+  "party",
+  "melancholic",
+  "uplifting",
+];
+
+const MAX_MOODS_PER_TRACK = 5;
+
+function normalizeMood(value) {
+  if (typeof value !== "string") return null;
+  const mood = value.trim().toLowerCase();
+  return MOODS.includes(mood) ? mood : null;
+}
+
+/**
+ * Parse moods from a form/JSON value.
+ * Accepts an array, a JSON array string or a comma-separated string.
+ * Returns { moods, invalid } — `invalid` lists tags outside the vocabulary.
+ */
+function parseMoods(input) {
+  if (input === undefined || input === null || input === "") {
+    return { moods: [], invalid: [] };
+  }
+
+  let list = input;
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (trimmed.startsWith("[")) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch (e) {
+        return { moods: [], invalid: [input] };
+      }
+    } else {
+      list = trimmed.split(",");
+    }
+  }
+  if (!Array.isArray(list)) list = [list];
+
+  const moods = [];
+  const invalid = [];
+  for (const raw of list) {
+    if (typeof raw === "string" && !raw.trim()) continue;
+    const mood = normalizeMood(raw);
+    if (!mood) invalid.push(raw);
+    else if (!moods.includes(mood)) moods.push(mood);
+  }
+  return { moods, invalid };
+}
+
+/**
+ * Parse an optional 0..1 score (energy / valence).
+ * Returns { value } with null for "not provided", or { error } if out of range.
+ */
+function parseScore(input, field) {
+  if (input === undefined || input === null || input === "") return { value: null };
+  const n = Number(input);
+  if (!Number.isFinite(n) || n < 0 || n > 1) {
+    return { error: `${field} must be a number between 0 and 1` };
+  }
+  return { value: n };
+}
+
+/**
+ * Validate mood-related fields from a request body.
+ * Returns { moods, energy, valence } or { error, field }.
+ */
+function parseMoodFields(body = {}) {
+  const { moods, invalid } = parseMoods(body.moods);
+  if (invalid.length > 0) {
+    return { error: `Unknown mood(s): ${invalid.join(", ")}`, field: "moods" };
+  }
+  if (moods.length > MAX_MOODS_PER_TRACK) {
+    return { error: `At most ${MAX_MOODS_PER_TRACK} moods per track`, field: "moods" };
+  }
+
+  const energy = parseScore(body.energy, "energy");
+  if (energy.error) return { error: energy.error, field: "energy" };
+  const valence = parseScore(body.valence, "valence");
+  if (valence.error) return { error: valence.error, field: "valence" };
+
+  return { moods, energy: energy.value, valence: valence.value };
+}
+
+module.exports = {
+  MOODS,
+  MAX_MOODS_PER_TRACK,
+  normalizeMood,
+  parseMoods,
+  parseScore,
+  parseMoodFields,
+};
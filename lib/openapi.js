@@ -0,0 +1,133 @@
+// OpenAPI 3.0 document generated from the routers and their validate() specs
+// (lib/validation.js); served at GET /api/docs.
+const { requireAuth } = require("./auth");
+const { version } = require("../package.json");
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["code", "message", "fields", "requestId"],
+  properties: {
+    code: { type: "string", description: "Stable machine-readable error code, e.g. not_found" },
+    message: { type: "string", description: "Human-readable message, safe to show" },
+    fields: {
+      type: "object",
+      nullable: true,
+      additionalProperties: { type: "string" },
+      description: "Per-field messages for validation failures",
+    },
+    requestId: { type: "string", description: "Also sent as X-Request-Id; quote it in bug reports" },
+    details: { type: "object", description: "Extra context for some errors" },
+  },
+};
+
+// "/:id/like" -> "/{id}/like"
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function parameters(location, schema) {
+  if (!schema?.properties) return [];
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === "path" || required.has(name),
+      ...(description ? { description } : {}),
+      schema: rest,
+    };
+  });
+}
+
+function requestBody(spec) {
+  if (spec.raw) {
+    return { required: true, content: { [spec.raw]: { schema: { type: "string", format: "binary" } } } };
+  }
+  if (!spec.body && !spec.files) return undefined;
+  const schema = spec.body || { type: "object", properties: {} };
+  if (!spec.multipart) return { required: true, content: { "application/json": { schema } } };
+
+  const files = Object.fromEntries(
+    Object.entries(spec.files || {}).map(([name, description]) => [
+      name,
+      { type: "string", format: "binary", description },
+    ])
+  );
+  return {
+    required: true,
+    content: {
+      "multipart/form-data": { schema: { ...schema, properties: { ...schema.properties, ...files } } },
+    },
+  };
+}
+
+function operation(spec, { tag, authRequired }) {
+  const successes = spec.responses || { 200: "Success" };
+  return {
+    tags: [tag],
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    ...(authRequired ? { security: [{ bearerAuth: [] }, { sessionCookie: [] }] } : {}),
+    parameters: [...parameters("path", spec.params), ...parameters("query", spec.query)],
+    ...(requestBody(spec) ? { requestBody: requestBody(spec) } : {}),
+    responses: {
+      ...Object.fromEntries(Object.entries(successes).map(([status, description]) => [status, { description }])),
+      default: {
+        description: "Error",
+        content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+      },
+    },
+  };
+}
+
+/**
+ * Build the document from [mountPath, router] pairs, in mount order.
+ * Routes without a validate() spec are left out.
+ */
+function buildOpenApiDocument(mounts) {
+  const paths = {};
+  for (const [mountPath, router] of mounts) {
+    // router.use(requireAuth) guards every route declared after it
+    let guarded = false;
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle === requireAuth) guarded = true;
+        continue;
+      }
+      const handles = layer.route.stack.map((l) => l.handle);
+      const spec = handles.find((handle) => handle.spec)?.spec;
+      if (!spec) continue;
+
+      const fullPath = `${mountPath}${layer.route.path}`.replace(/\/$/, "") || "/";
+      const tag = spec.tag || fullPath.split("/").filter((part) => part && part !== "api")[0] || "root";
+      const authRequired = guarded || handles.includes(requireAuth);
+      const item = (paths[toOpenApiPath(fullPath)] ||= {});
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === "_all") continue;
+        item[method] = operation(spec, { tag, authRequired });
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "MoodStream API",
+      version,
+      description: "Every error response has the shape of the Error schema.",
+    },
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "Session JWT or Supabase access token" },
+        sessionCookie: { type: "apiKey", in: "cookie", name: "session" },
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+};
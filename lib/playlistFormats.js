@@ -0,0 +1,269 @@
+// Playlist files in and out: extended M3U (m3u8), XSPF and our own JSON.
+//
+// Exports carry title, artist, album, duration and an absolute stream URL per
+// entry. Imports only need title/artist (plus duration and location when the
+// file has them); matching entries to tracks happens in lib/trackMatching.js.
+const FORMATS = {
+  m3u8: { contentType: "audio/x-mpegurl; charset=utf-8", extension: "m3u8" },
+  xspf: { contentType: "application/xspf+xml; charset=utf-8", extension: "xspf" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+const JSON_FORMAT_ID = "moodstream.playlist";
+
+// ---------------------------
+// Export
+// ---------------------------
+
+// "Artist - Title" as used by #EXTINF and most players
+function displayName(entry) {
+  return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+}
+
+function toM3U8(playlist, entries) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${oneLine(playlist.name)}`];
+  for (const entry of entries) {
+    const seconds = Number.isFinite(entry.duration_seconds) ? Math.round(entry.duration_seconds) : -1;
+    lines.push(`#EXTINF:${seconds},${oneLine(displayName(entry))}`);
+    lines.push(entry.stream_url);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toXSPF(playlist, entries) {
+  const element = (name, value) =>
+    value === null || value === undefined || value === "" ? "" : `<${name}>${escapeXml(value)}</${name}>`;
+  const tracks = entries.map((entry) => {
+    const duration = Number.isFinite(entry.duration_seconds) ? Math.round(entry.duration_seconds * 1000) : null;
+    return (
+      "    <track>" +
+      element("location", entry.stream_url) +
+      element("title", entry.title) +
+      element("creator", entry.artist) +
+      element("album", entry.album) +
+      element("duration", duration) +
+      "</track>"
+    );
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  ${element("title", playlist.name)}`,
+    "  <trackList>",
+    ...tracks,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].join("\n");
+}
+
+function toJSON(playlist, entries) {
+  return JSON.stringify(
+    {
+      format: JSON_FORMAT_ID,
+      version: 1,
+      name: playlist.name,
+      exported_at: new Date().toISOString(),
+      tracks: entries.map((entry) => ({
+        title: entry.title,
+        artist: entry.artist,
+        album: entry.album,
+        duration_seconds: entry.duration_seconds,
+        stream_url: entry.stream_url,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Serialise a playlist.
+ * entries: [{ title, artist, album, duration_seconds, stream_url }] in play order
+ * @returns {string}
+ */
+function serializePlaylist(format, playlist, entries) {
+  if (format === "m3u8") return toM3U8(playlist, entries);
+  if (format === "xspf") return toXSPF(playlist, entries);
+  return toJSON(playlist, entries);
+}
+
+// ---------------------------
+// Import
+// ---------------------------
+
+function oneLine(value) {
+  return String(value ?? "").replace(/[\r\n]+/g, " ").trim();
+}
+
+function optionalNumber(value) {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// "Artist - Title" -> { artist, title }; anything else is just a title
+function splitDisplayName(text) {
+  const value = oneLine(text);
+  const dash = value.indexOf(" - ");
+  if (dash > 0) return { artist: value.slice(0, dash).trim(), title: value.slice(dash + 3).trim() };
+  return { artist: null, title: value };
+}
+
+// last path segment of a file path or URL, without extension
+function nameFromLocation(location) {
+  const clean = location.split(/[?#]/)[0];
+  let base = clean.split(/[\\/]/).pop() || "";
+  try {
+    base = decodeURIComponent(base);
+  } catch (e) {
+    // keep it encoded
+  }
+  return base.replace(/\.[a-z0-9]{1,5}$/i, "").replace(/_/g, " ");
+}
+
+function parseM3U(text) {
+  const entries = [];
+  let name = null;
+  let pending = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith("#PLAYLIST:")) {
+      name = line.slice("#PLAYLIST:".length).trim() || null;
+    } else if (line.startsWith("#EXTINF:")) {
+      // #EXTINF:<seconds>[ attr="..."],<display name>
+      const body = line.slice("#EXTINF:".length);
+      const comma = body.indexOf(",");
+      const seconds = parseFloat(comma >= 0 ? body.slice(0, comma) : body);
+      pending = {
+        ...splitDisplayName(comma >= 0 ? body.slice(comma + 1) : ""),
+        duration_seconds: seconds >= 0 ? seconds : null,
+      };
+    } else if (line.startsWith("#")) {
+      continue;
+    } else {
+      const fromLocation = splitDisplayName(nameFromLocation(line));
+      const entry = pending?.title ? pending : { ...fromLocation, duration_seconds: pending?.duration_seconds ?? null };
+      entries.push({ ...entry, album: null, location: line });
+      pending = null;
+    }
+  }
+  return { name, entries };
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+      if (code[0] === "#") {
+        const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+      }
+      return XML_ENTITIES[code.toLowerCase()] ?? match;
+    })
+    .trim();
+}
+
+// first <name>…</name> directly inside `xml` (XSPF has no nesting we care about)
+function xmlChild(xml, name) {
+  const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i").exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+function parseXSPF(text) {
+  const trackList = /<trackList(?:\s[^>]*)?>([\s\S]*?)<\/trackList>/i.exec(text);
+  if (!/<playlist[\s>]/i.test(text) || !trackList) throw new Error("Not an XSPF playlist (no <playlist>/<trackList>)");
+  const header = text.slice(0, trackList.index);
+
+  const entries = [];
+  for (const match of trackList[1].matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi)) {
+    const xml = match[1];
+    const location = xmlChild(xml, "location");
+    let title = xmlChild(xml, "title");
+    let artist = xmlChild(xml, "creator");
+    if (!title && location) {
+      const fromLocation = splitDisplayName(nameFromLocation(location));
+      title = fromLocation.title;
+      artist = artist || fromLocation.artist;
+    }
+    const ms = optionalNumber(xmlChild(xml, "duration"));
+    entries.push({
+      title: title || "",
+      artist: artist || null,
+      album: xmlChild(xml, "album"),
+      duration_seconds: ms === null ? null : ms / 1000,
+      location,
+    });
+  }
+  return { name: xmlChild(header, "title"), entries };
+}
+
+// our export, a bare array, or { tracks | entries: [...] } from other tools
+function parseJSONPlaylist(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.tracks || data?.entries;
+  if (!Array.isArray(list)) throw new Error("Expected an array of tracks or an object with a tracks array");
+  const entries = list.map((item) => {
+    if (typeof item === "string") {
+      return { ...splitDisplayName(item), album: null, duration_seconds: null, location: null };
+    }
+    const durationMs = optionalNumber(item?.duration_ms);
+    return {
+      title: oneLine(item?.title ?? item?.name ?? ""),
+      artist: oneLine(item?.artist ?? item?.artist_name ?? item?.creator ?? "") || null,
+      album: oneLine(item?.album ?? "") || null,
+      duration_seconds:
+        optionalNumber(item?.duration_seconds) ?? (durationMs !== null ? durationMs / 1000 : optionalNumber(item?.duration)),
+      location: item?.stream_url || item?.location || item?.url || null,
+    };
+  });
+  return { name: Array.isArray(data) ? null : oneLine(data?.name ?? data?.title ?? "") || null, entries };
+}
+
+// format from an explicit value, a file name, or the content itself
+function detectFormat(text, { format, filename } = {}) {
+  const explicit = String(format || "").trim().toLowerCase();
+  if (explicit) return explicit === "m3u" ? "m3u8" : explicit;
+  const extension = /\.([a-z0-9]+)$/i.exec(filename || "")?.[1]?.toLowerCase();
+  if (extension === "m3u" || extension === "m3u8") return "m3u8";
+  if (extension === "xspf" || extension === "json") return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith("#EXTM3U")) return "m3u8";
+  if (start.startsWith("<")) return "xspf";
+  if (start.startsWith("{") || start.startsWith("[")) return "json";
+  // plain M3U: one path/URL per line
+  return "m3u8";
+}
+
+/**
+ * Parse a playlist file.
+ * @returns {{ format: string, name: string|null, entries: object[] } | { error: string }}
+ *   entries: [{ title, artist, album, duration_seconds, location }]
+ */
+function parsePlaylist(text, options = {}) {
+  const format = detectFormat(text, options);
+  if (!FORMATS[format]) return { error: `format must be one of: ${Object.keys(FORMATS).join(", ")}` };
+  try {
+    const parsed = format === "m3u8" ? parseM3U(text) : format === "xspf" ? parseXSPF(text) : parseJSONPlaylist(text);
+    return { format, ...parsed };
+  } catch (err) {
+    return { error: `Could not read the ${format} playlist: ${err.message}` };
+  }
+}
+
+module.exports = {
+  FORMATS,
+  serializePlaylist,
+  parsePlaylist,
+};
@@ -0,0 +1,181 @@
+// Playlist access rules and queries shared by the playlist and sharing routes.
+//
+// Roles, strongest first: owner > editor > viewer.
+// - owner:  playlists.user_id
+// - editor/viewer: playlist_collaborators row (matched by user_id, or by email
+//   for invites sent before the invitee had an account)
+// - viewer: anyone when visibility is public/unlisted, or with a live share token
+const dbModule = require("../db");
+const { emitToUser } = require("./realtime");
+const { trackVisibleSql } = require("./moderation");
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const COLLABORATOR_ROLES = ["viewer", "editor"];
+const VISIBILITIES = ["private", "unlisted", "public"];
+
+// Track columns returned for playlist entries (entry_id/position identify the slot,
+// so the same track can appear more than once); $2 = viewer, who only gets hidden
+// tracks that are theirs. position is the index among the entries returned, the
+// same index move-track and add-track take.
+const PLAYLIST_TRACKS_SQL = `
+  SELECT ps.id AS entry_id,
+         (ROW_NUMBER() OVER (ORDER BY ps.position ASC, ps.added_at ASC, ps.id ASC) - 1)::int AS position,
+         ps.track_id, ps.added_at, ps.added_by,
+         t.title, t.artist_name, t.public_url, t.cover_url, t.duration_seconds
+  FROM playlist_songs ps
+  LEFT JOIN tracks t ON t.id = ps.track_id
+  WHERE ps.playlist_id = $1 AND ${trackVisibleSql("t", "$2")}
+  ORDER BY ps.position ASC, ps.added_at ASC, ps.id ASC`;
+
+// viewerId: users.id of the caller, or null for anonymous and share-link readers
+async function fetchPlaylistTracks(playlistId, viewerId = null) {
+  const tRes = await dbModule.query(PLAYLIST_TRACKS_SQL, [playlistId, viewerId]);
+  return tRes.rows || [];
+}
+
+/**
+ * A page of the user's Liked Songs, most recently liked first.
+ * `after` is { at, track_id } of the last row already returned, where `at` is
+ * the row's cursor_at (full-precision timestamp text; a Date would drop microseconds).
+ */
+async function fetchLikedTracks(userId, { limit, after = null }) {
+  const { rows } = await dbModule.query(
+    `SELECT l.track_id, l.created_at AS liked_at, l.created_at::text AS cursor_at,
+            t.title, t.artist_name, t.public_url, t.cover_url, t.duration_seconds
+     FROM track_likes l
+     JOIN tracks t ON t.id = l.track_id
+     WHERE l.user_id = $1 AND ${trackVisibleSql("t", "$1")}
+       AND ($2::timestamptz IS NULL OR (l.created_at, l.track_id) < ($2, $3::int))
+     ORDER BY l.created_at DESC, l.track_id DESC
+     LIMIT $4`,
+    [userId, after?.at ?? null, after?.track_id ?? null, limit]
+  );
+  return rows;
+}
+
+function hasRole(role, minRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+}
+
+/**
+ * Load a playlist with the caller's effective role.
+ * userId and shareToken are both optional (anonymous callers).
+ * Pass a transaction client + forUpdate to lock the row while entries are rewritten.
+ * membersOnly skips the public/unlisted and share-link "viewer" fallbacks, so
+ * only the owner and collaborators get a role.
+ * Returns { playlist, role } (role may be null) or { status: 404, error }.
+ */
+async function loadPlaylistAccess(
+  playlistId,
+  userId,
+  { client = null, forUpdate = false, shareToken = null, membersOnly = false } = {}
+) {
+  const run = client ? (text, params) => client.query(text, params) : dbModule.query;
+
+  const plRes = await run(
+    `SELECT id, user_id, name, visibility, kind, created_at
+     FROM playlists WHERE id = $1 LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [playlistId]
+  );
+  const playlist = plRes.rows[0];
+  if (!playlist) return { status: 404, error: "Playlist not found" };
+
+  if (userId && playlist.user_id === userId) return { playlist, role: "owner" };
+
+  let role = null;
+  if (userId) {
+    const cRes = await run(
+      `SELECT c.role
+       FROM playlist_collaborators c
+       LEFT JOIN users u ON u.id = $2
+       WHERE c.playlist_id = $1
+         AND (c.user_id = $2 OR (c.user_id IS NULL AND u.email_verified_at IS NOT NULL AND lower(c.email) = lower(u.email)))
+       LIMIT 1`,
+      [playlistId, userId]
+    );
+    role = cRes.rows[0]?.role || null;
+  }
+
+  if (membersOnly) return { playlist, role };
+
+  if (!role && playlist.visibility !== "private") role = "viewer";
+
+  if (!role && shareToken) {
+    const sRes = await run(
+      "SELECT 1 FROM playlist_share_links WHERE playlist_id = $1 AND token = $2 AND revoked_at IS NULL LIMIT 1",
+      [playlistId, String(shareToken)]
+    );
+    if (sRes.rows.length > 0) role = "viewer";
+  }
+
+  return { playlist, role };
+}
+
+/**
+ * loadPlaylistAccess + a minimum role.
+ * Returns { playlist, role } or { status, error } (404 missing, 403 not allowed,
+ * 409 editing the entries of a generated playlist).
+ */
+async function requirePlaylistRole(playlistId, userId, minRole, options) {
+  const access = await loadPlaylistAccess(playlistId, userId, options);
+  if (access.error) return access;
+  if (!hasRole(access.role, minRole)) return { status: 403, error: "Forbidden" };
+  // "editor" is what the entry routes ask for; a daily mix is rebuilt from scratch
+  if (minRole === "editor" && access.playlist.kind !== "user") {
+    return { status: 409, error: "Generated playlists can't be edited; duplicate it to make changes" };
+  }
+  return access;
+}
+
+// owner + every collaborator with a linked account
+async function getPlaylistMemberIds(playlistId, client = null) {
+  const run = client ? (text, params) => client.query(text, params) : dbModule.query;
+  const { rows } = await run(
+    `SELECT user_id FROM playlists WHERE id = $1
+     UNION
+     SELECT user_id FROM playlist_collaborators WHERE playlist_id = $1 AND user_id IS NOT NULL`,
+    [playlistId]
+  );
+  return rows.map((r) => r.user_id);
+}
+
+/**
+ * Emit a playlist event to every member's user room (non-fatal).
+ * memberIds can be passed when the playlist is already gone (delete).
+ */
+async function notifyPlaylistMembers(req, playlistId, event, payload, memberIds = null) {
+  try {
+    const io = req.app?.get("io");
+    const ids = memberIds || (await getPlaylistMemberIds(playlistId));
+    for (const id of ids) emitToUser(io, id, event, payload);
+  } catch (e) {
+    console.warn(`Could not emit socket ${event}:`, e);
+  }
+}
+
+// link pending email invites to the account that now owns that email
+// (once verified: anyone can register an address they don't control)
+async function claimEmailInvites(userId) {
+  await dbModule.query(
+    `UPDATE playlist_collaborators c
+        SET user_id = u.id
+       FROM users u
+      WHERE u.id = $1 AND c.user_id IS NULL
+        AND u.email_verified_at IS NOT NULL AND lower(c.email) = lower(u.email)`,
+    [userId]
+  );
+}
+
+module.exports = {
+  ROLE_RANK,
+  COLLABORATOR_ROLES,
+  VISIBILITIES,
+  fetchPlaylistTracks,
+  fetchLikedTracks,
+  hasRole,
+  loadPlaylistAccess,
+  requirePlaylistRole,
+  getPlaylistMemberIds,
+  notifyPlaylistMembers,
+  claimEmailInvites,
+};
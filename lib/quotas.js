@@ -0,0 +1,149 @@
+// Per-user limits by account tier (users.tier): stored bytes, tracks per day,
+// file size, and API requests per rate-limit window.
+//
+// Stored bytes are the uploader's tracks (tracks.size_bytes) plus the declared
+// size of their open resumable uploads, so parallel sessions can't overshoot.
+// Checks run before a file is stored; two uploads racing past the same check can
+// still land a little over the limit, which is fine for a quota.
+const dbModule = require("../db");
+const { MAX_UPLOAD_BYTES } = require("./uploadSessions");
+const { formatBytes } = require("./mediaValidation");
+const { ApiError, fieldError } = require("./errors");
+
+const GiB = 1024 * 1024 * 1024;
+const MiB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// the rate limiter's fixed window (index.js)
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+// requests per window for callers without an account, counted per IP
+const ANONYMOUS_REQUESTS_PER_WINDOW = 300;
+
+const TIERS = {
+  free: {
+    storageBytes: 1 * GiB,
+    tracksPerDay: 20,
+    maxFileBytes: 100 * MiB,
+    requestsPerWindow: 600,
+  },
+  pro: {
+    storageBytes: 50 * GiB,
+    tracksPerDay: 200,
+    maxFileBytes: 2 * GiB,
+    requestsPerWindow: 2000,
+  },
+};
+
+// unknown or missing tiers get the free limits
+function tierName(user) {
+  return TIERS[user?.tier] ? user.tier : "free";
+}
+
+function tierLimits(user) {
+  return TIERS[tierName(user)];
+}
+
+function requestLimit(user) {
+  return user ? tierLimits(user).requestsPerWindow : ANONYMOUS_REQUESTS_PER_WINDOW;
+}
+
+/**
+ * What the user has stored and uploaded recently.
+ * excludeUploadId leaves one open upload session out of pending_bytes (the one being completed).
+ */
+async function getQuotaUsage(userId, { excludeUploadId = null } = {}) {
+  const { rows } = await dbModule.query(
+    `SELECT
+       (SELECT COALESCE(SUM(size_bytes), 0) FROM tracks WHERE user_id = $1)::bigint AS stored_bytes,
+       (SELECT COUNT(*) FROM tracks WHERE user_id = $1)::int AS track_count,
+       recent.tracks_last_day,
+       recent.oldest_at,
+       (SELECT COALESCE(SUM(size_bytes), 0) FROM upload_sessions
+        WHERE user_id = $1 AND status IN ('active', 'completing') AND id IS DISTINCT FROM $2::uuid)::bigint AS pending_bytes
+     FROM (
+       SELECT COUNT(*)::int AS tracks_last_day, MIN(created_at) AS oldest_at
+       FROM tracks WHERE user_id = $1 AND created_at > NOW() - INTERVAL '24 hours'
+     ) recent`,
+    [userId, excludeUploadId]
+  );
+  const row = rows[0];
+  return {
+    storedBytes: Number(row.stored_bytes),
+    pendingBytes: Number(row.pending_bytes),
+    trackCount: row.track_count,
+    tracksLastDay: row.tracks_last_day,
+    // when the oldest upload of the last 24 hours stops counting
+    nextSlotAt: row.oldest_at ? new Date(new Date(row.oldest_at).getTime() + DAY_MS) : null,
+  };
+}
+
+/**
+ * Throw unless `user` may upload a file of `sizeBytes`:
+ * 413 (file too large, or storage full) or 429 (daily track limit).
+ */
+async function checkUploadQuota(user, sizeBytes, options = {}) {
+  const limits = tierLimits(user);
+  const maxFileBytes = Math.min(limits.maxFileBytes, MAX_UPLOAD_BYTES);
+  if (sizeBytes > maxFileBytes) {
+    const message = `Files on the ${tierName(user)} plan can be at most ${formatBytes(maxFileBytes)}`;
+    throw fieldError({ audio: message }, 413, { details: { max_file_bytes: maxFileBytes } });
+  }
+
+  const usage = await getQuotaUsage(user.id, options);
+  if (usage.tracksLastDay >= limits.tracksPerDay) {
+    throw new ApiError(429, `Daily upload limit reached (${limits.tracksPerDay} tracks per 24 hours)`, {
+      code: "upload_limit_reached",
+      details: { tracks_per_day: limits.tracksPerDay, retry_at: usage.nextSlotAt },
+    });
+  }
+  const used = usage.storedBytes + usage.pendingBytes;
+  if (used + sizeBytes > limits.storageBytes) {
+    throw new ApiError(413, `Not enough storage left (${formatBytes(limits.storageBytes)} on your plan)`, {
+      code: "storage_quota_exceeded",
+      details: {
+        storage_bytes: limits.storageBytes,
+        used_bytes: used,
+        remaining_bytes: Math.max(limits.storageBytes - used, 0),
+      },
+    });
+  }
+  return usage;
+}
+
+// GET /api/me/quota body
+async function describeQuota(user) {
+  const limits = tierLimits(user);
+  const usage = await getQuotaUsage(user.id);
+  const used = usage.storedBytes + usage.pendingBytes;
+  return {
+    tier: tierName(user),
+    limits: {
+      storage_bytes: limits.storageBytes,
+      tracks_per_day: limits.tracksPerDay,
+      max_file_bytes: Math.min(limits.maxFileBytes, MAX_UPLOAD_BYTES),
+      requests_per_window: limits.requestsPerWindow,
+      window_seconds: RATE_LIMIT_WINDOW_MS / 1000,
+    },
+    usage: {
+      stored_bytes: usage.storedBytes,
+      pending_bytes: usage.pendingBytes,
+      track_count: usage.trackCount,
+      tracks_last_24h: usage.tracksLastDay,
+    },
+    remaining: {
+      storage_bytes: Math.max(limits.storageBytes - used, 0),
+      tracks_today: Math.max(limits.tracksPerDay - usage.tracksLastDay, 0),
+    },
+    next_upload_slot_at: usage.tracksLastDay >= limits.tracksPerDay ? usage.nextSlotAt : null,
+  };
+}
+
+module.exports = {
+  TIERS,
+  RATE_LIMIT_WINDOW_MS,
+  tierLimits,
+  requestLimit,
+  getQuotaUsage,
+  checkUploadQuota,
+  describeQuota,
+};
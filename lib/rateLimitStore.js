@@ -0,0 +1,103 @@
+// express-rate-limit store backed by Postgres (rate_limit_hits), so every API
+// instance counts against the same windows. Fixed windows: the first hit of a
+// key starts a window of windowMs, and a hit after reset_at starts a new one.
+//
+// When Postgres can't be reached the store counts in this process instead, so a
+// database hiccup neither fails every request nor switches the limiter off.
+const { MemoryStore } = require("express-rate-limit");
+const dbModule = require("../db");
+
+/**
+ * One store per limiter; the prefix keeps their keys apart.
+ * @param {string} prefix  e.g. "api:"
+ */
+function createRateLimitStore(prefix) {
+  let windowMs = 60 * 1000;
+  let lastSweep = Date.now();
+  const fallback = new MemoryStore();
+  let degraded = false;
+
+  // run a Postgres operation, or the same one on the in-memory store if it fails;
+  // logs once on the way into the fallback and once on the way out
+  async function withFallback(operation, key, fn) {
+    try {
+      const result = await fn();
+      if (degraded) {
+        degraded = false;
+        console.warn(`Rate limit store "${prefix}" is back on Postgres`);
+      }
+      return result;
+    } catch (err) {
+      if (!degraded) {
+        degraded = true;
+        console.warn(`Rate limit store "${prefix}" failed (${operation}), counting in memory:`, err?.message || err);
+      }
+      return fallback[operation](key);
+    }
+  }
+
+  // rows of clients that never came back; the upsert below recycles everyone else's
+  function sweepExpired() {
+    if (Date.now() - lastSweep < windowMs) return;
+    lastSweep = Date.now();
+    dbModule
+      .query("DELETE FROM rate_limit_hits WHERE key LIKE $1 AND reset_at < NOW()", [`${prefix}%`])
+      .catch((err) => console.warn("Rate limit sweep failed:", err?.message || err));
+  }
+
+  return {
+    prefix,
+    // counts are shared between instances
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+      fallback.init(options);
+    },
+
+    get(key) {
+      return withFallback("get", key, async () => {
+        const { rows } = await dbModule.query(
+          "SELECT hits, reset_at FROM rate_limit_hits WHERE key = $1 AND reset_at > NOW()",
+          [prefix + key]
+        );
+        return rows[0] ? { totalHits: rows[0].hits, resetTime: new Date(rows[0].reset_at) } : undefined;
+      });
+    },
+
+    increment(key) {
+      sweepExpired();
+      return withFallback("increment", key, async () => {
+        const { rows } = await dbModule.query(
+          `INSERT INTO rate_limit_hits (key, hits, reset_at)
+           VALUES ($1, 1, NOW() + make_interval(secs => $2))
+           ON CONFLICT (key) DO UPDATE SET
+             hits = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN 1 ELSE rate_limit_hits.hits + 1 END,
+             reset_at = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_hits.reset_at END
+           RETURNING hits, reset_at`,
+          [prefix + key, windowMs / 1000]
+        );
+        return { totalHits: rows[0].hits, resetTime: new Date(rows[0].reset_at) };
+      });
+    },
+
+    decrement(key) {
+      return withFallback("decrement", key, async () => {
+        await dbModule.query(
+          "UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE key = $1 AND reset_at > NOW()",
+          [prefix + key]
+        );
+      });
+    },
+
+    resetKey(key) {
+      return withFallback("resetKey", key, async () => {
+        await dbModule.query("DELETE FROM rate_limit_hits WHERE key = $1", [prefix + key]);
+      });
+    },
+  };
+}
+
+module.exports = {
+  createRateLimitStore,
+};
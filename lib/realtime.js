@@ -0,0 +1,192 @@
+// Socket.IO auth, per-user rooms and a short replay log for missed events.
+//
+// Public events (new-track, track-updated, ...) are still broadcast with io.emit,
+// except for hidden tracks (uploader and admin rooms only); private ones go
+// through emitToUser so only the owner's sockets see them.
+const { resolveUser } = require("./auth");
+
+const EVENT_LOG_SIZE = 100;                // per user
+const EVENT_LOG_TTL_MS = 10 * 60 * 1000;   // how long a client can catch up after a drop
+const EVENT_LOG_SWEEP_MS = 60 * 1000;
+
+// userId -> Set<socket.id>
+const connections = new Map();
+// userId -> { seq, events: [{ seq, event, payload, at }] }
+const eventLogs = new Map();
+// highest seq of any swept log: a user's next log starts above it, so a client
+// holding a seq from the swept log never mistakes new events for old ones
+let seqFloor = 0;
+let sweepTimer = null;
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function parseCookieHeader(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    try {
+      cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (e) {
+      cookies[key] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Socket.IO middleware: resolves the same session cookie / bearer token the REST
+ * routes accept (handshake.auth.token counts as a bearer token).
+ * No credentials -> anonymous socket (public broadcasts only).
+ * Credentials that don't resolve -> handshake rejected.
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const authorization = auth.token ? `Bearer ${auth.token}` : headers.authorization;
+    const cookies = parseCookieHeader(headers.cookie);
+
+    const { user, invalid } = await resolveUser({ headers: { authorization }, cookies });
+    if (invalid) return next(new Error("Unauthorized"));
+
+    socket.data.userId = user?.id ?? null;
+    next();
+  } catch (err) {
+    console.error("Socket auth error:", err);
+    next(new Error("Unauthorized"));
+  }
+}
+
+function trackConnection(socket) {
+  const { userId } = socket.data;
+  if (!userId) return;
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket.id);
+}
+
+function untrackConnection(socket) {
+  const { userId } = socket.data;
+  const sockets = userId ? connections.get(userId) : null;
+  if (!sockets) return;
+  sockets.delete(socket.id);
+  if (sockets.size === 0) connections.delete(userId);
+}
+
+function isUserOnline(userId) {
+  return connections.has(userId);
+}
+
+function connectionCount() {
+  let total = 0;
+  for (const sockets of connections.values()) total += sockets.size;
+  return total;
+}
+
+function recordEvent(userId, event, payload) {
+  const now = Date.now();
+  let log = eventLogs.get(userId);
+  if (!log) {
+    log = { seq: seqFloor, events: [] };
+    eventLogs.set(userId, log);
+  }
+  log.seq += 1;
+  log.events.push({ seq: log.seq, event, payload, at: now });
+
+  dropExpired(log, now);
+  return log.seq;
+}
+
+// drop anything past the size/age limits
+function dropExpired(log, now) {
+  while (log.events.length > EVENT_LOG_SIZE || (log.events[0] && now - log.events[0].at > EVENT_LOG_TTL_MS)) {
+    log.events.shift();
+  }
+}
+
+// Forget logs whose events have all aged out; without this eventLogs keeps
+// one entry for every user ever emitted to
+function sweepEventLogs(now = Date.now()) {
+  for (const [userId, log] of eventLogs) {
+    dropExpired(log, now);
+    if (log.events.length === 0) {
+      seqFloor = Math.max(seqFloor, log.seq);
+      eventLogs.delete(userId);
+    }
+  }
+}
+
+function startEventLogSweeper(intervalMs = EVENT_LOG_SWEEP_MS) {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => sweepEventLogs(), intervalMs);
+  sweepTimer.unref();
+}
+
+function stopEventLogSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+/**
+ * Events recorded for userId after lastSeq.
+ * `complete` is false when older events have already aged out and the client
+ * should refetch state over REST instead.
+ */
+function getMissedEvents(userId, lastSeq) {
+  const log = eventLogs.get(userId);
+  if (!log) return { events: [], lastSeq: seqFloor, complete: true };
+
+  const since = Number.isInteger(lastSeq) ? lastSeq : 0;
+  const now = Date.now();
+  const events = log.events.filter((e) => e.seq > since && now - e.at <= EVENT_LOG_TTL_MS);
+  const oldest = events[0]?.seq ?? log.seq + 1;
+  return { events, lastSeq: log.seq, complete: since >= log.seq || oldest === since + 1 };
+}
+
+/**
+ * Emit to every socket of one user and keep it in the replay log.
+ * Payloads get a `seq` so clients can ask for what they missed.
+ */
+function emitToUser(io, userId, event, payload = {}) {
+  if (!userId) return;
+  const seq = recordEvent(userId, event, payload);
+  if (io) io.to(userRoom(userId)).emit(event, { ...payload, seq });
+}
+
+// Wire a connected socket into its room and the catch-up protocol
+function handleConnection(socket) {
+  const { userId } = socket.data;
+
+  if (userId) {
+    socket.join(userRoom(userId));
+    trackConnection(socket);
+
+    // client sends its last seen seq after reconnecting
+    socket.on("events:since", (lastSeq, ack) => {
+      if (typeof ack === "function") ack(getMissedEvents(userId, parseInt(lastSeq, 10)));
+    });
+  }
+
+  socket.emit("session", {
+    userId,
+    recovered: Boolean(socket.recovered),
+    lastSeq: userId ? eventLogs.get(userId)?.seq ?? seqFloor : 0,
+  });
+
+  socket.on("disconnect", () => untrackConnection(socket));
+}
+
+module.exports = {
+  userRoom,
+  authenticateSocket,
+  handleConnection,
+  emitToUser,
+  getMissedEvents,
+  startEventLogSweeper,
+  stopEventLogSweeper,
+  isUserOnline,
+  connectionCount,
+};
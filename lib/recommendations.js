@@ -0,0 +1,227 @@
+// "More like this" and per-user recommendations, scored in SQL from our own data:
+//   - co-occurrence: tracks that share user playlists (generated mixes don't count)
+//   - same artist (artist entity, so spelling variants count) / same uploader
+//   - mood tag overlap and energy/valence closeness (plus release era)
+//   - for users: what they like, put in playlists and actually listen to
+// Tracks already in the caller's playlists, and hidden tracks, are never recommended.
+const dbModule = require("../db");
+const { trackVisibleSql } = require("./moderation");
+
+// score = sum of weight * component (each component is roughly 0..1, co-occurrence log-scaled)
+const WEIGHTS = {
+  coPlaylist: 3,
+  artist: 2,
+  uploader: 1,
+  mood: 3,
+  features: 1.5,
+  era: 0.5,
+  popularity: 0.1,
+};
+
+// how far back listening history shapes a user's taste
+const HISTORY_DAYS = 90;
+// recently played tracks are pushed down so recommendations stay fresh
+const RECENT_PLAY_DAYS = 2;
+
+// tracks in playlists the user owns or collaborates on (not generated mixes); $N = user id
+function userPlaylistTracksSql(param) {
+  return `
+    SELECT ps.track_id
+    FROM playlist_songs ps
+    JOIN playlists p ON p.id = ps.playlist_id
+    WHERE p.kind = 'user'
+      AND (p.user_id = ${param}
+           OR EXISTS (SELECT 1 FROM playlist_collaborators c WHERE c.playlist_id = p.id AND c.user_id = ${param}))`;
+}
+
+// 1 for identical energy/valence, 0 for opposite corners; 0 when either side is unscored
+function featureClosenessSql(a, b) {
+  return `CASE WHEN ${a}.energy IS NOT NULL AND ${a}.valence IS NOT NULL
+                AND ${b}.energy IS NOT NULL AND ${b}.valence IS NOT NULL
+           THEN 1 - sqrt(power(${a}.energy - ${b}.energy, 2) + power(${a}.valence - ${b}.valence, 2)) / sqrt(2)
+           ELSE 0 END`;
+}
+
+function formatRecommendation(row) {
+  const reasons = [];
+  if (row.co_playlists > 0) reasons.push("playlisted_together");
+  if (row.same_artist) reasons.push("same_artist");
+  if (row.same_uploader) reasons.push("same_uploader");
+  if (row.mood_match >= 0.3) reasons.push("similar_mood");
+  if (row.feature_match >= 0.8) reasons.push("similar_energy");
+  if (row.listened_with > 0) reasons.push("fans_also_playlisted");
+  return {
+    id: row.id,
+    title: row.title,
+    artist_name: row.artist_name,
+    artist_id: row.artist_id,
+    uploader_name: row.uploader_name,
+    cover_url: row.cover_url,
+    stream_url: `/api/tracks/${row.id}/stream`,
+    moods: row.moods || [],
+    energy: row.energy,
+    valence: row.valence,
+    duration_seconds: row.duration_seconds,
+    play_count: Number(row.play_count) || 0,
+    score: Math.round(Number(row.score) * 1000) / 1000,
+    reasons,
+  };
+}
+
+/**
+ * Tracks similar to one track. With a userId, tracks already in that
+ * user's playlists are left out.
+ * @returns {Promise<object[]|null>} null when the track doesn't exist (or is hidden from userId)
+ */
+async function similarTracks(trackId, { userId = null, limit = 20 } = {}) {
+  const seed = await dbModule.query(
+    `SELECT id FROM tracks WHERE id = $1 AND ${trackVisibleSql("tracks", "$2")}`,
+    [trackId, userId]
+  );
+  if (seed.rows.length === 0) return null;
+
+  const { rows } = await dbModule.query(
+    `WITH seed AS (
+       SELECT id, user_id, artist_id, moods, energy, valence, release_year
+       FROM tracks WHERE id = $1
+     ),
+     co AS (
+       SELECT b.track_id, COUNT(DISTINCT b.playlist_id) AS n
+       FROM playlist_songs a
+       JOIN playlists p ON p.id = a.playlist_id AND p.kind = 'user'
+       JOIN playlist_songs b ON b.playlist_id = a.playlist_id AND b.track_id <> a.track_id
+       WHERE a.track_id = $1
+       GROUP BY b.track_id
+     ),
+     scored AS (
+       SELECT t.*,
+              COALESCE(co.n, 0)::int AS co_playlists,
+              (s.artist_id IS NOT NULL AND t.artist_id = s.artist_id) AS same_artist,
+              (s.user_id IS NOT NULL AND t.user_id = s.user_id) AS same_uploader,
+              COALESCE(
+                cardinality(ARRAY(SELECT unnest(t.moods) INTERSECT SELECT unnest(s.moods)))::float
+                / NULLIF(cardinality(ARRAY(SELECT unnest(t.moods) UNION SELECT unnest(s.moods))), 0),
+                0) AS mood_match,
+              ${featureClosenessSql("t", "s")} AS feature_match,
+              (t.release_year IS NOT NULL AND s.release_year IS NOT NULL
+               AND abs(t.release_year - s.release_year) <= 3) AS same_era,
+              0 AS listened_with
+       FROM tracks t
+       CROSS JOIN seed s
+       LEFT JOIN co ON co.track_id = t.id
+       WHERE t.id <> s.id AND t.hidden_at IS NULL
+         AND ($2::int IS NULL OR t.id NOT IN (${userPlaylistTracksSql("$2::int")}))
+     )
+     SELECT *,
+            ${WEIGHTS.coPlaylist} * ln(1 + co_playlists)
+            + ${WEIGHTS.artist} * same_artist::int
+            + ${WEIGHTS.uploader} * same_uploader::int
+            + ${WEIGHTS.mood} * mood_match
+            + ${WEIGHTS.features} * feature_match
+            + ${WEIGHTS.era} * same_era::int
+            + ${WEIGHTS.popularity} * ln(1 + play_count) AS score
+     FROM scored
+     WHERE co_playlists > 0 OR same_artist OR same_uploader OR mood_match > 0 OR feature_match >= 0.8
+     ORDER BY score DESC, play_count DESC, id DESC
+     LIMIT $3`,
+    [trackId, userId, limit]
+  );
+  return rows.map(formatRecommendation);
+}
+
+/**
+ * Recommendations for a user from their playlists and listening history.
+ * Users with no history get popular tracks. Their own uploads, tracks they
+ * liked or keep in playlists and anything in `excludeTrackIds` are left out.
+ * @returns {Promise<object[]>}
+ */
+async function recommendForUser(userId, { limit = 20, excludeTrackIds = [] } = {}) {
+  const { rows } = await dbModule.query(
+    `WITH taste AS (
+       -- what the user likes, weighted: likes 3, playlist entries 2, plays up to 5 each
+       SELECT track_id, SUM(w)::float AS w FROM (
+         SELECT track_id, 3 AS w FROM track_likes WHERE user_id = $1
+         UNION ALL
+         SELECT track_id, 2 AS w FROM (${userPlaylistTracksSql("$1::int")}) mine
+         UNION ALL
+         SELECT track_id, LEAST(COUNT(*), 5) AS w
+         FROM plays
+         WHERE user_id = $1 AND counted AND played_at > NOW() - make_interval(days => ${HISTORY_DAYS})
+         GROUP BY track_id
+       ) signals
+       GROUP BY track_id
+     ),
+     taste_tracks AS (
+       SELECT t.*, taste.w FROM taste JOIN tracks t ON t.id = taste.track_id
+     ),
+     total AS (SELECT COALESCE(SUM(w), 0) AS w FROM taste),
+     mood_pref AS (
+       SELECT m AS mood, SUM(w) AS w FROM taste_tracks, unnest(moods) AS m GROUP BY m
+     ),
+     artist_pref AS (
+       SELECT artist_id, SUM(w) AS w FROM taste_tracks WHERE artist_id IS NOT NULL GROUP BY artist_id
+     ),
+     uploader_pref AS (
+       SELECT user_id, SUM(w) AS w FROM taste_tracks WHERE user_id IS NOT NULL GROUP BY user_id
+     ),
+     profile AS (
+       SELECT AVG(energy) AS energy, AVG(valence) AS valence FROM taste_tracks
+     ),
+     -- tracks other people keep in the same playlists as the user's favourites
+     co AS (
+       SELECT b.track_id, SUM(tt.w) AS w, COUNT(DISTINCT b.playlist_id) AS n
+       FROM taste_tracks tt
+       JOIN playlist_songs a ON a.track_id = tt.id
+       JOIN playlists p ON p.id = a.playlist_id AND p.kind = 'user' AND p.user_id <> $1
+       JOIN playlist_songs b ON b.playlist_id = a.playlist_id AND b.track_id <> a.track_id
+       GROUP BY b.track_id
+     ),
+     recent AS (
+       SELECT DISTINCT track_id FROM plays
+       WHERE user_id = $1 AND played_at > NOW() - make_interval(days => ${RECENT_PLAY_DAYS})
+     ),
+     scored AS (
+       SELECT t.*,
+              0 AS co_playlists,
+              COALESCE(co.n, 0)::int AS listened_with,
+              COALESCE(ap.w, 0) > 0 AS same_artist,
+              COALESCE(up.w, 0) > 0 AS same_uploader,
+              COALESCE(ln(1 + co.w), 0) AS co_score,
+              COALESCE(ln(1 + ap.w) / NULLIF(ln(1 + total.w), 0), 0) AS artist_score,
+              COALESCE(ln(1 + up.w) / NULLIF(ln(1 + total.w), 0), 0) AS uploader_score,
+              COALESCE((SELECT SUM(mp.w) FROM mood_pref mp WHERE mp.mood = ANY(t.moods)) / NULLIF(total.w, 0), 0)
+                AS mood_match,
+              ${featureClosenessSql("t", "profile")} AS feature_match,
+              (t.id IN (SELECT track_id FROM recent)) AS recently_played
+       FROM tracks t
+       CROSS JOIN total
+       CROSS JOIN profile
+       LEFT JOIN co ON co.track_id = t.id
+       LEFT JOIN artist_pref ap ON ap.artist_id = t.artist_id
+       LEFT JOIN uploader_pref up ON up.user_id = t.user_id
+       WHERE (t.user_id IS NULL OR t.user_id <> $1) AND t.hidden_at IS NULL
+         AND t.id NOT IN (${userPlaylistTracksSql("$1::int")})
+         AND t.id NOT IN (SELECT track_id FROM track_likes WHERE user_id = $1)
+         AND NOT (t.id = ANY($3::int[]))
+     )
+     SELECT *,
+            ${WEIGHTS.coPlaylist} * co_score
+            + ${WEIGHTS.artist} * artist_score
+            + ${WEIGHTS.uploader} * uploader_score
+            + ${WEIGHTS.mood} * mood_match
+            + ${WEIGHTS.features} * feature_match
+            + ${WEIGHTS.popularity} * ln(1 + play_count)
+            - CASE WHEN recently_played THEN 1 ELSE 0 END AS score
+     FROM scored
+     ORDER BY score DESC, play_count DESC, created_at DESC, id DESC
+     LIMIT $2`,
+    [userId, limit, excludeTrackIds]
+  );
+  return rows.map(formatRecommendation);
+}
+
+module.exports = {
+  WEIGHTS,
+  similarTracks,
+  recommendForUser,
+};
@@ -0,0 +1,197 @@
+// Session tokens.
+//
+// - access token: short-lived JWT, in the httpOnly `session` cookie and/or used as
+//   `Authorization: Bearer <jwt>`. Carries users.session_version as `ver`, so
+//   bumping that column (logout-everywhere, password reset) kills it immediately.
+// - refresh token: opaque random string, stored hashed in refresh_tokens and sent
+//   as the httpOnly `refresh_token` cookie (scoped to /auth). Every refresh rotates
+//   it; presenting an already-rotated token revokes its whole family (reuse = theft).
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const dbModule = require("../db");
+
+const SESSION_COOKIE = "session";
+const REFRESH_COOKIE = "refresh_token";
+const ACCESS_TTL_SECONDS = 15 * 60;
+const REFRESH_TTL_SECONDS = 30 * 24 * 60 * 60;
+const ISSUER = "moodstream";
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  // dev only: sessions won't survive a restart
+  SESSION_SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("[session] SESSION_SECRET not set; using a random per-process secret");
+}
+
+const isProduction = process.env.NODE_ENV === "production";
+
+// frontend and API live on different sites in production, so the cookie must be SameSite=None
+function cookieOptions(maxAgeSeconds, path = "/") {
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "lax",
+    path,
+    ...(maxAgeSeconds !== undefined ? { maxAge: maxAgeSeconds * 1000 } : {}),
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function signSession(user) {
+  return jwt.sign(
+    { name: user.name || null, email: user.email || null, ver: user.session_version ?? 0 },
+    SESSION_SECRET,
+    { subject: String(user.id), issuer: ISSUER, expiresIn: ACCESS_TTL_SECONDS }
+  );
+}
+
+// Returns { userId, version, name, email } or null for missing/invalid/expired tokens
+function verifySession(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, SESSION_SECRET, { issuer: ISSUER });
+    const userId = parseInt(payload.sub, 10);
+    if (!Number.isInteger(userId)) return null;
+    return { userId, version: payload.ver ?? 0, name: payload.name || null, email: payload.email || null };
+  } catch (err) {
+    return null;
+  }
+}
+
+function setSessionCookie(res, user) {
+  const token = signSession(user);
+  res.cookie(SESSION_COOKIE, token, cookieOptions(ACCESS_TTL_SECONDS));
+  return token;
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(undefined, "/auth"));
+}
+
+async function createRefreshToken(userId, familyId, req, client = null) {
+  const run = client ? (text, params) => client.query(text, params) : dbModule.query;
+  const token = crypto.randomBytes(48).toString("base64url");
+  const { rows } = await run(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     RETURNING id`,
+    [userId, hashToken(token), familyId, String(req?.headers?.["user-agent"] || "").slice(0, 255) || null, REFRESH_TTL_SECONDS]
+  );
+  return { token, id: rows[0].id };
+}
+
+/**
+ * Start a new session: access cookie + fresh refresh-token family.
+ * Returns the body the auth routes send back (bearer clients use the tokens directly).
+ */
+async function issueSession(req, res, user) {
+  const accessToken = setSessionCookie(res, user);
+  const { token: refreshToken } = await createRefreshToken(user.id, crypto.randomUUID(), req);
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_TTL_SECONDS, "/auth"));
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TTL_SECONDS,
+  };
+}
+
+/**
+ * Rotate a refresh token.
+ * Returns { user, accessToken, refreshToken } or { error } (invalid, expired, reused, or
+ * `banned` when the account has been suspended).
+ */
+async function rotateRefreshToken(req, res, presented) {
+  if (!presented) return { error: "Missing refresh token" };
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT r.id, r.user_id, r.family_id, r.expires_at, r.revoked_at,
+              u.id AS uid, u.name, u.email, u.email_verified_at, u.session_version, u.banned_at
+       FROM refresh_tokens r JOIN users u ON u.id = r.user_id
+       WHERE r.token_hash = $1
+       FOR UPDATE OF r`,
+      [hashToken(presented)]
+    );
+    const current = rows[0];
+    if (!current) return { error: "Invalid refresh token" };
+
+    if (current.revoked_at) {
+      // an old token came back: assume it was stolen and end the whole family
+      await client.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL",
+        [current.family_id]
+      );
+      return { error: "Refresh token reused", reused: true };
+    }
+    if (new Date(current.expires_at) <= new Date()) return { error: "Refresh token expired" };
+    // banned after this token was issued: end the family rather than rely on the ban having revoked it
+    if (current.banned_at) {
+      await client.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL",
+        [current.family_id]
+      );
+      return { error: "This account has been suspended", banned: true };
+    }
+
+    const next = await createRefreshToken(current.user_id, current.family_id, req, client);
+    await client.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1",
+      [current.id, next.id]
+    );
+    return {
+      user: {
+        id: current.uid,
+        name: current.name,
+        email: current.email,
+        email_verified_at: current.email_verified_at,
+        session_version: current.session_version,
+      },
+      refreshToken: next.token,
+    };
+  });
+  // the family revoke has to persist, so only report the error after commit
+  if (result.error) return result;
+
+  const accessToken = setSessionCookie(res, result.user);
+  res.cookie(REFRESH_COOKIE, result.refreshToken, cookieOptions(REFRESH_TTL_SECONDS, "/auth"));
+  return { ...result, accessToken };
+}
+
+// revoke one refresh token (plain logout); unknown tokens are ignored
+async function revokeRefreshToken(presented) {
+  if (!presented) return;
+  await dbModule.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL",
+    [hashToken(presented)]
+  );
+}
+
+// logout everywhere: every refresh token + every outstanding access token
+async function revokeAllSessions(userId, client = null) {
+  const run = client ? (text, params) => client.query(text, params) : dbModule.query;
+  await run("UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL", [userId]);
+  await run("UPDATE users SET session_version = session_version + 1 WHERE id = $1", [userId]);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  REFRESH_COOKIE,
+  ACCESS_TTL_SECONDS,
+  cookieOptions,
+  hashToken,
+  signSession,
+  verifySession,
+  setSessionCookie,
+  clearSessionCookie,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+};
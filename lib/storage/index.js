@@ -0,0 +1,132 @@
+// Object storage behind a small driver interface, so routes never talk to a
+// provider directly.
+//
+// STORAGE_DRIVER picks the backend (default "supabase"):
+//   supabase - a Supabase Storage bucket (STORAGE_BUCKET, default "Tracks")
+//   s3       - any S3-compatible service via aws-sdk (S3_BUCKET, S3_REGION, S3_ENDPOINT, ...)
+//   local    - files under LOCAL_STORAGE_DIR, served by this app at /files
+//
+// Every driver implements:
+//   put(key, buffer, contentType)   -> public URL of the stored object
+//   putStream(key, stream, contentType) -> same, without buffering the body
+//   getStream(key, range?)          -> { stream, status, contentLength, contentRange }
+//   remove(keys)                    -> void
+//   move(fromKey, toKey)            -> void (the old key stops resolving)
+//   signedUrl(key, ttlSeconds)      -> short-lived URL (falls back to the public URL)
+//   publicUrl(key)                  -> permanent URL
+//   list(prefix)                    -> [{ key, size, updatedAt }]
+//   ping()                          -> resolves when the backend is reachable
+// and throws errors carrying an HTTP-ish `status` (404 missing, 416 bad range).
+
+const SIGNED_URL_TTL_SECONDS = 60;
+
+const DRIVERS = {
+  supabase: () => require("./supabase"),
+  s3: () => require("./s3"),
+  local: () => require("./local"),
+};
+
+let driver = null;
+
+function getDriver() {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "supabase";
+    const load = DRIVERS[name];
+    if (!load) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    driver = load().createDriver();
+  }
+  return driver;
+}
+
+// Make filenames safe
+function makeSafeName(name) {
+  return String(name || "file")
+    .replace(/\s+/g, "_")
+    // allow letters, numbers, underscores, hyphens and dots
+    .replace(/[^a-zA-Z0-9_\-\.]/g, "");
+}
+
+// keys written by older code can be absolute URLs or debug/ placeholders from failed uploads
+function isStoredKey(key) {
+  return Boolean(key) && !key.startsWith("debug/") && !/^https?:\/\//i.test(key);
+}
+
+// Store a buffer; returns its public URL or throws
+async function putObject(key, buffer, contentType) {
+  return getDriver().put(key, buffer, contentType || "application/octet-stream");
+}
+
+// Store a readable stream; returns its public URL or throws
+async function putObjectStream(key, stream, contentType) {
+  return getDriver().putStream(key, stream, contentType || "application/octet-stream");
+}
+
+/**
+ * Open a read stream for a stored object.
+ * range is { start, end } (inclusive) or null for the whole object.
+ */
+async function getObjectStream(key, range = null) {
+  return getDriver().getStream(key, range);
+}
+
+/**
+ * Remove objects. Best-effort: failures are logged, not thrown,
+ * so a storage hiccup never blocks the DB change that triggered it.
+ * debug/ keys and legacy URLs are skipped.
+ */
+async function removeObjects(keys) {
+  const paths = keys.filter(isStoredKey);
+  if (paths.length === 0) return;
+  try {
+    await getDriver().remove(paths);
+  } catch (err) {
+    console.warn("Storage remove failed:", paths, err?.message || err);
+  }
+}
+
+// Rename an object; throws (404 when fromKey doesn't exist)
+async function moveObject(fromKey, toKey) {
+  return getDriver().move(fromKey, toKey);
+}
+
+/**
+ * Resolve a fetchable URL for a storage_key.
+ * Absolute URLs are used as-is; anything else is an object key.
+ */
+async function resolveStorageUrl(storageKey, ttlSeconds = SIGNED_URL_TTL_SECONDS) {
+  if (/^https?:\/\//i.test(storageKey)) return storageKey;
+  return getDriver().signedUrl(storageKey, ttlSeconds);
+}
+
+function getPublicUrl(key) {
+  return getDriver().publicUrl(key);
+}
+
+async function listObjects(prefix = "") {
+  return getDriver().list(prefix);
+}
+
+// cheap reachability check for /readyz
+async function checkStorage() {
+  return getDriver().ping();
+}
+
+function storageDriverName() {
+  return getDriver().name;
+}
+
+module.exports = {
+  getDriver,
+  storageDriverName,
+  makeSafeName,
+  isStoredKey,
+  putObject,
+  putObjectStream,
+  getObjectStream,
+  removeObjects,
+  moveObject,
+  resolveStorageUrl,
+  getPublicUrl,
+  listObjects,
+  checkStorage,
+};
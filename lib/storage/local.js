@@ -0,0 +1,139 @@
+// Local filesystem driver for offline development and tests.
+//
+//   LOCAL_STORAGE_DIR   where objects live (default ./storage)
+//   PUBLIC_BASE_URL     origin this server is reachable at (default http://localhost:$PORT)
+//
+// Objects are served read-only at /files/<key> (mounted in index.js), like a
+// public bucket, so signed URLs are simply the public URL.
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+function storageError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function createDriver() {
+  const root = path.resolve(process.env.LOCAL_STORAGE_DIR || "storage");
+  const baseUrl = (
+    process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`
+  ).replace(/\/$/, "");
+
+  // keys are relative paths; refuse anything that would escape the root
+  function resolveKey(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw storageError(400, `Invalid storage key "${key}"`);
+    return file;
+  }
+
+  function publicUrl(key) {
+    return `${baseUrl}/files/${key.split("/").map(encodeURIComponent).join("/")}`;
+  }
+
+  async function walk(dir, prefix, out) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch((err) => {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    });
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full, key, out);
+      } else {
+        const stat = await fs.promises.stat(full);
+        out.push({ key, size: stat.size, updatedAt: stat.mtime.toISOString() });
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: "local",
+    root,
+
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // "wx": never overwrite, matching the other drivers
+      await fs.promises.writeFile(file, buffer, { flag: "wx" });
+      return publicUrl(key);
+    },
+
+    async putStream(key, stream) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await pipeline(stream, fs.createWriteStream(file, { flags: "wx" }));
+      } catch (err) {
+        // don't leave a truncated object behind (unless it was already there)
+        if (err.code !== "EEXIST") await fs.promises.rm(file, { force: true });
+        throw err;
+      }
+      return publicUrl(key);
+    },
+
+    async getStream(key, range) {
+      const file = resolveKey(key);
+      let stat;
+      try {
+        stat = await fs.promises.stat(file);
+      } catch (err) {
+        if (err.code === "ENOENT") throw storageError(404, "Object not found");
+        throw err;
+      }
+      if (range && (range.start >= stat.size || range.end < range.start)) {
+        throw storageError(416, "Range not satisfiable");
+      }
+
+      if (!range) {
+        return { stream: fs.createReadStream(file), status: 200, contentLength: stat.size, contentRange: null };
+      }
+      const end = Math.min(range.end, stat.size - 1);
+      return {
+        stream: fs.createReadStream(file, { start: range.start, end }),
+        status: 206,
+        contentLength: end - range.start + 1,
+        contentRange: `bytes ${range.start}-${end}/${stat.size}`,
+      };
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        await fs.promises.rm(resolveKey(key), { force: true });
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const to = resolveKey(toKey);
+      await fs.promises.mkdir(path.dirname(to), { recursive: true });
+      try {
+        await fs.promises.rename(resolveKey(fromKey), to);
+      } catch (err) {
+        if (err.code === "ENOENT") throw storageError(404, "Object not found");
+        throw err;
+      }
+    },
+
+    async signedUrl(key) {
+      return publicUrl(key);
+    },
+
+    publicUrl,
+
+    async list(prefix) {
+      const clean = (prefix || "").replace(/\/$/, "");
+      const dir = clean ? resolveKey(clean) : root;
+      return walk(dir, clean, []);
+    },
+
+    async ping() {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.access(root, fs.constants.W_OK);
+    },
+  };
+}
+
+module.exports = { createDriver };
@@ -0,0 +1,144 @@
+// S3-compatible driver (AWS S3, MinIO, R2, Spaces, ...).
+//
+//   S3_BUCKET              bucket name (required)
+//   S3_REGION              default "us-east-1"
+//   S3_ENDPOINT            custom endpoint for non-AWS services
+//   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY   otherwise the default AWS credential chain
+//   S3_FORCE_PATH_STYLE    "true" for MinIO and most self-hosted services
+//   S3_PUBLIC_URL          base URL for public object links (CDN or public bucket);
+//                          defaults to the bucket's own endpoint URL
+
+function storageError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function encodeKey(key) {
+  return key.split("/").map(encodeURIComponent).join("/");
+}
+
+function createDriver() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error("S3_BUCKET is required when STORAGE_DRIVER=s3");
+
+  // loaded lazily: aws-sdk is large and only needed by this driver
+  const AWS = require("aws-sdk");
+  const s3 = new AWS.S3({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    signatureVersion: "v4",
+    ...(process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : {}),
+  });
+
+  function publicUrl(key) {
+    const base = process.env.S3_PUBLIC_URL;
+    if (base) return `${base.replace(/\/$/, "")}/${encodeKey(key)}`;
+    // unsigned URL of the object itself; works for public buckets
+    return s3.getSignedUrl("getObject", { Bucket: bucket, Key: key, Expires: 1 }).split("?")[0];
+  }
+
+  return {
+    name: "s3",
+    bucket,
+
+    async put(key, buffer, contentType) {
+      await s3
+        .putObject({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })
+        .promise();
+      return publicUrl(key);
+    },
+
+    async putStream(key, stream, contentType) {
+      // managed upload: switches to multipart for large bodies
+      await s3.upload({ Bucket: bucket, Key: key, Body: stream, ContentType: contentType }).promise();
+      return publicUrl(key);
+    },
+
+    getStream(key, range) {
+      const params = { Bucket: bucket, Key: key };
+      if (range) params.Range = `bytes=${range.start}-${range.end}`;
+
+      // resolve once the response headers are in, so missing objects and bad
+      // ranges surface as errors before any bytes are piped to the client
+      return new Promise((resolve, reject) => {
+        const request = s3.getObject(params);
+        request.on("httpHeaders", (statusCode, headers) => {
+          if (statusCode >= 400) return;
+          resolve({
+            stream,
+            status: statusCode === 206 ? 206 : 200,
+            contentLength: Number(headers["content-length"]) || null,
+            contentRange: headers["content-range"] || null,
+          });
+        });
+        const stream = request.createReadStream();
+        stream.on("error", (err) => {
+          if (err.statusCode === 404 || err.code === "NoSuchKey") {
+            reject(storageError(404, "Object not found"));
+          } else if (err.statusCode === 416 || err.code === "InvalidRange") {
+            reject(storageError(416, "Range not satisfiable"));
+          } else {
+            reject(Object.assign(err, { status: 502 }));
+          }
+        });
+      });
+    },
+
+    async remove(keys) {
+      // DeleteObjects takes at most 1000 keys per call
+      for (let i = 0; i < keys.length; i += 1000) {
+        await s3
+          .deleteObjects({
+            Bucket: bucket,
+            Delete: { Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })), Quiet: true },
+          })
+          .promise();
+      }
+    },
+
+    // S3 has no rename: copy, then delete the original
+    async move(fromKey, toKey) {
+      try {
+        await s3.copyObject({ Bucket: bucket, CopySource: `${bucket}/${encodeKey(fromKey)}`, Key: toKey }).promise();
+      } catch (err) {
+        if (err.statusCode === 404 || err.code === "NoSuchKey") throw storageError(404, "Object not found");
+        throw err;
+      }
+      await s3.deleteObject({ Bucket: bucket, Key: fromKey }).promise();
+    },
+
+    async signedUrl(key, ttlSeconds) {
+      return s3.getSignedUrlPromise("getObject", { Bucket: bucket, Key: key, Expires: ttlSeconds });
+    },
+
+    publicUrl,
+
+    async list(prefix) {
+      const out = [];
+      let token;
+      do {
+        const page = await s3
+          .listObjectsV2({ Bucket: bucket, Prefix: prefix || undefined, ContinuationToken: token })
+          .promise();
+        for (const o of page.Contents || []) {
+          out.push({ key: o.Key, size: o.Size, updatedAt: o.LastModified?.toISOString() || null });
+        }
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+      return out;
+    },
+
+    async ping() {
+      await s3.headBucket({ Bucket: bucket }).promise();
+    },
+  };
+}
+
+module.exports = { createDriver };
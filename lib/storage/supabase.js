@@ -0,0 +1,104 @@
+// Supabase Storage driver (STORAGE_BUCKET, default "Tracks").
+const axios = require("axios");
+const supabase = require("../../supabaseClient");
+
+function storageError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function createDriver() {
+  const bucket = process.env.STORAGE_BUCKET || "Tracks";
+  const from = () => supabase.storage.from(bucket);
+
+  function publicUrl(key) {
+    const { data } = from().getPublicUrl(key);
+    return data?.publicUrl || null;
+  }
+
+  async function signedUrl(key, ttlSeconds) {
+    const { data, error } = await from().createSignedUrl(key, ttlSeconds);
+    if (!error && data?.signedUrl) return data.signedUrl;
+    // public buckets still work without signing
+    return publicUrl(key);
+  }
+
+  return {
+    name: "supabase",
+    bucket,
+
+    async put(key, buffer, contentType) {
+      // stored objects are never overwritten; stream ETags rely on that
+      const { error } = await from().upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+      return publicUrl(key);
+    },
+
+    // subject to the project's per-object upload limit (50 MB on the free plan)
+    async putStream(key, stream, contentType) {
+      const { error } = await from().upload(key, stream, {
+        contentType,
+        upsert: false,
+        duplex: "half",
+      });
+      if (error) throw error;
+      return publicUrl(key);
+    },
+
+    async getStream(key, range) {
+      const url = await signedUrl(key, 60);
+      if (!url) throw storageError(502, "Storage unavailable");
+
+      const upstream = await axios.get(url, {
+        responseType: "stream",
+        headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+        validateStatus: () => true,
+        timeout: 20_000,
+      });
+      if (upstream.status >= 400) {
+        upstream.data.destroy();
+        if (upstream.status === 404 || upstream.status === 400) throw storageError(404, "Object not found");
+        if (upstream.status === 416) throw storageError(416, "Range not satisfiable");
+        throw storageError(502, `Storage responded ${upstream.status}`);
+      }
+      return {
+        stream: upstream.data,
+        // storage may ignore Range; only report a part when it actually returned one
+        status: upstream.status === 206 ? 206 : 200,
+        contentLength: Number(upstream.headers["content-length"]) || null,
+        contentRange: upstream.headers["content-range"] || null,
+      };
+    },
+
+    async remove(keys) {
+      const { error } = await from().remove(keys);
+      if (error) throw error;
+    },
+
+    async move(fromKey, toKey) {
+      const { error } = await from().move(fromKey, toKey);
+      if (error) throw error;
+    },
+
+    signedUrl,
+    publicUrl,
+
+    async list(prefix) {
+      const { data, error } = await from().list(prefix || undefined);
+      if (error) throw error;
+      return (data || []).map((o) => ({
+        key: prefix ? `${prefix.replace(/\/$/, "")}/${o.name}` : o.name,
+        size: o.metadata?.size ?? null,
+        updatedAt: o.updated_at || null,
+      }));
+    },
+
+    async ping() {
+      const { error } = await from().list(undefined, { limit: 1 });
+      if (error) throw error;
+    },
+  };
+}
+
+module.exports = { createDriver };
@@ -0,0 +1,181 @@
+// Match imported playlist entries ({ title, artist, duration_seconds, location })
+// to tracks we have.
+//
+// A location pointing at one of our own stream URLs is an exact match. Anything
+// else is fuzzy: candidates come from the title search index and the artist's
+// aliases, then get scored on normalised title/artist similarity, with a nudge
+// from duration when both sides know it.
+const dbModule = require("../db");
+
+// at or above this an entry counts as matched
+const MATCH_THRESHOLD = 0.75;
+// below the threshold but at least this good: reported as a suggestion
+const SUGGESTION_THRESHOLD = 0.5;
+const CANDIDATE_LIMIT = 100;
+
+// must stay identical to the GIN index expression (migration 0002) to use it
+const SEARCH_DOCUMENT =
+  "to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(artist_name, '') || ' ' || coalesce(uploader_name, ''))";
+
+const STREAM_URL_RE = /\/api\/tracks\/(\d+)\/stream(?:[?#]|$)/;
+
+// "Song (Remastered 2011) [Live] - Radio Edit feat. X" -> "song"
+function normalizeTitle(value) {
+  return normalizeText(
+    String(value || "")
+      .replace(/[([][^)\]]*[)\]]/g, " ")
+      .replace(/\s+-\s+.*(remaster|edit|version|mix|live|mono|stereo).*$/i, " ")
+      .replace(/\s(feat\.?|ft\.?|featuring)\s.*$/i, " ")
+  );
+}
+
+function normalizeArtist(value) {
+  return normalizeText(
+    String(value || "")
+      .replace(/\s(feat\.?|ft\.?|featuring)\s.*$/i, " ")
+      .replace(/^the\s+/i, "")
+  );
+}
+
+// lower case, no accents or punctuation, "&" read as "and", single spaces
+function normalizeText(value) {
+  return value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 0..1 similarity of two normalised strings: the better of edit distance
+ * (typos) and word overlap (reordered or extra words).
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const wordsA = new Set(a.split(" "));
+  const wordsB = new Set(b.split(" "));
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared++;
+  const overlap = (2 * shared) / (wordsA.size + wordsB.size);
+  return Math.max(edit, overlap);
+}
+
+function scoreCandidate(entry, track) {
+  const titleScore = similarity(normalizeTitle(entry.title), normalizeTitle(track.title));
+  let score = titleScore;
+  if (entry.artist) {
+    const artistScore = Math.max(
+      similarity(normalizeArtist(entry.artist), normalizeArtist(track.artist_name)),
+      track.alias_match ? 1 : 0
+    );
+    score = 0.65 * titleScore + 0.35 * artistScore;
+  }
+  const duration = Number(track.duration_seconds);
+  if (entry.duration_seconds && duration) {
+    const diff = Math.abs(entry.duration_seconds - duration);
+    if (diff <= 3) score = Math.min(1, score + 0.05);
+    else if (diff > 15) score *= 0.85;
+  }
+  return Math.round(score * 1000) / 1000;
+}
+
+async function findCandidates(entry) {
+  // the index keeps accents, so search both the plain and the accent-stripped words
+  const words = new Set();
+  for (const text of [String(entry.title || "").toLowerCase(), normalizeTitle(entry.title)]) {
+    for (const word of text.split(/[^\p{L}\p{N}]+/u)) if (word.length > 1) words.add(word);
+  }
+  if (words.size === 0 && !entry.artist) return [];
+
+  const { rows } = await dbModule.query(
+    `WITH q AS (SELECT CASE WHEN $1 = '' THEN NULL ELSE to_tsquery('simple', $1) END AS query)
+     SELECT t.id, t.title, t.artist_name, t.duration_seconds,
+            (t.artist_id IS NOT NULL AND t.artist_id = al.artist_id) AS alias_match
+     FROM tracks t
+     CROSS JOIN q
+     LEFT JOIN artist_aliases al ON al.alias_key = artist_name_key($2)
+     WHERE (${SEARCH_DOCUMENT} @@ q.query OR (al.artist_id IS NOT NULL AND t.artist_id = al.artist_id))
+       AND t.hidden_at IS NULL
+     ORDER BY alias_match DESC, ts_rank(${SEARCH_DOCUMENT}, q.query) DESC NULLS LAST, t.id ASC
+     LIMIT ${CANDIDATE_LIMIT}`,
+    // words are letters/digits only, so joining them can't break the tsquery syntax
+    [[...words].join(" | "), entry.artist || ""]
+  );
+  return rows;
+}
+
+async function tracksById(ids) {
+  if (ids.length === 0) return new Map();
+  const { rows } = await dbModule.query(
+    "SELECT id, title, artist_name FROM tracks WHERE id = ANY($1::int[]) AND hidden_at IS NULL",
+    [ids]
+  );
+  return new Map(rows.map((r) => [r.id, r]));
+}
+
+/**
+ * Match entries to tracks, in order.
+ * @returns {Promise<object[]>} per entry: { index, title, artist, status: "matched" | "unmatched",
+ *   track_id, confidence, track?: { id, title, artist_name }, suggestion?: {...} }
+ */
+async function matchEntries(entries) {
+  // our own stream URLs (e.g. re-importing an export) point straight at a track
+  const linkedIds = entries.map((entry) => {
+    const match = STREAM_URL_RE.exec(entry.location || "");
+    return match ? parseInt(match[1], 10) : null;
+  });
+  const linked = await tracksById([...new Set(linkedIds.filter(Boolean))]);
+
+  const results = [];
+  for (const [index, entry] of entries.entries()) {
+    const base = { index, title: entry.title || null, artist: entry.artist || null };
+
+    const direct = linked.get(linkedIds[index]);
+    if (direct) {
+      results.push({ ...base, status: "matched", track_id: direct.id, confidence: 1, track: direct });
+      continue;
+    }
+
+    let best = null;
+    for (const candidate of await findCandidates(entry)) {
+      const confidence = scoreCandidate(entry, candidate);
+      if (!best || confidence > best.confidence) best = { confidence, track: candidate };
+    }
+
+    const track = best && { id: best.track.id, title: best.track.title, artist_name: best.track.artist_name };
+    if (best && best.confidence >= MATCH_THRESHOLD) {
+      results.push({ ...base, status: "matched", track_id: track.id, confidence: best.confidence, track });
+    } else {
+      results.push({
+        ...base,
+        status: "unmatched",
+        track_id: null,
+        confidence: best?.confidence ?? 0,
+        ...(best && best.confidence >= SUGGESTION_THRESHOLD ? { suggestion: track } : {}),
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  matchEntries,
+};
@@ -0,0 +1,255 @@
+// Track creation shared by the one-shot upload route and resumable upload sessions:
+// form fields + embedded tags -> validated columns, cover storage, the INSERT and
+// the new-track broadcast.
+const dbModule = require("../db");
+const { parseMoodFields } = require("./moods");
+const { isTrackOwner } = require("./auth");
+const { canSeeTrack } = require("./moderation");
+const { makeSafeName, putObject, storageDriverName } = require("./storage");
+const { validateCover } = require("./mediaValidation");
+const { resolveArtist } = require("./artists");
+const { fieldError } = require("./errors");
+const { t } = require("./validation");
+
+// form fields accepted with an upload (lib/validation.js schemas); tags read
+// from the file fill in whatever is left out
+const uploadFields = {
+  title: t.string({ max: 300, description: "Defaults to the file's title tag" }),
+  artist_name: t.string({ max: 200, description: "Defaults to the file's artist tag" }),
+  artist: t.string({ max: 200, description: "Same as artist_name" }),
+  album: t.string({ max: 300 }),
+  year: t.integer({ min: 0, max: 9999, message: "year must be a year" }),
+  moods: t.oneOf(["array", "string"], { description: 'Mood tags: a list, a JSON array or "chill,focus"' }),
+  energy: t.number({ min: 0, max: 1 }),
+  valence: t.number({ min: 0, max: 1 }),
+  uploader_name: t.string({ max: 200, description: "Display name; defaults to the account name" }),
+};
+
+/**
+ * Merge form fields with tags read from the audio. Form fields take priority.
+ * @returns {{ fields: object } | { errors: Object<string, string> }}
+ */
+function resolveTrackFields(body, audioMeta) {
+  body = body || {};
+  const errors = {};
+  const title = String(body.title || "").trim() || audioMeta.title || "";
+  if (!title) errors.title = "A title is required (the file has no title tag)";
+
+  // artist comes from the form as artist_name OR artist
+  const artistInput = String(body.artist_name || body.artist || "").trim();
+  const artistName = artistInput || audioMeta.artist || "Unknown Artist";
+  const album = String(body.album || "").trim() || audioMeta.album || null;
+  let releaseYear = audioMeta.year;
+  if (body.year !== undefined && body.year !== "") {
+    const formYear = Number(body.year);
+    if (!Number.isInteger(formYear) || formYear < 0 || formYear > 9999) {
+      errors.year = "year must be a year";
+    } else {
+      releaseYear = formYear;
+    }
+  }
+
+  // moods can arrive as "chill,focus", a JSON array or repeated fields
+  const moodFields = parseMoodFields(body);
+  if (moodFields.error) errors[moodFields.field] = moodFields.error;
+
+  if (Object.keys(errors).length > 0) return { errors };
+
+  return {
+    fields: {
+      title,
+      artistName,
+      album,
+      releaseYear,
+      moods: moodFields.moods,
+      energy: moodFields.energy,
+      valence: moodFields.valence,
+    },
+  };
+}
+
+// uploader from req.user; body.uploader_name (display override) -> account name/email -> artist
+function resolveUploader(body, user, artistName) {
+  return {
+    authUserId: user?.authUserId || null, // supabase auth user id (uuid), if any
+    userId: user?.id || null, // users.id
+    uploaderName:
+      String(body?.uploader_name || "").trim() || user?.name || user?.email || artistName,
+  };
+}
+
+/**
+ * Store the cover: the uploaded (already validated) file if there is one, otherwise
+ * artwork embedded in the audio when it passes the same checks. A failed cover
+ * never fails the track.
+ * @returns {Promise<{ coverPath: string|null, coverUrl: string|null }>}
+ */
+async function storeCover(timestamp, coverFile, picture) {
+  let source = null;
+  if (coverFile) {
+    source = {
+      key: `covers/${timestamp}_${makeSafeName(coverFile.originalname)}`,
+      data: coverFile.buffer,
+      mime: coverFile.mimetype,
+    };
+  } else if (picture && !validateCover(picture.data).error) {
+    source = {
+      key: `covers/${timestamp}_embedded.${picture.extension}`,
+      data: picture.data,
+      mime: picture.mimeType,
+    };
+  }
+  if (!source) return { coverPath: null, coverUrl: null };
+
+  try {
+    const coverUrl = await putObject(source.key, source.data, source.mime);
+    return { coverPath: source.key, coverUrl };
+  } catch (err) {
+    console.warn(`Cover upload error (${storageDriverName()}):`, err?.message || err);
+    return { coverPath: null, coverUrl: null };
+  }
+}
+
+/**
+ * Insert the tracks row.
+ * @returns {Promise<object>} the inserted row
+ */
+async function insertTrack({ fields, uploader, audio, cover, audioMeta }) {
+  const artistId = await resolveArtist(fields.artistName);
+  // content_hash is unique: a concurrent identical upload fails with 23505
+  const result = await dbModule.query(
+    `INSERT INTO tracks
+      (title,
+       artist_name,
+       artist_id,
+       uploader_name,
+       storage_key,
+       public_url,
+       cover_path,
+       cover_url,
+       size_bytes,
+       mime_type,
+       auth_user_id,
+       user_id,
+       moods,
+       energy,
+       valence,
+       album,
+       release_year,
+       duration_seconds,
+       bitrate,
+       sample_rate,
+       codec,
+       content_hash,
+       created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,NOW())
+     RETURNING *`,
+    [
+      fields.title,
+      fields.artistName,
+      artistId,
+      uploader.uploaderName,
+      audio.storageKey,
+      audio.url,
+      cover.coverPath,
+      cover.coverUrl,
+      audio.sizeBytes,
+      audio.mimeType,
+      uploader.authUserId,
+      uploader.userId,
+      fields.moods,
+      fields.energy,
+      fields.valence,
+      fields.album,
+      fields.releaseYear,
+      audioMeta.duration_seconds,
+      audioMeta.bitrate,
+      audioMeta.sample_rate,
+      audioMeta.codec,
+      audio.contentHash || null,
+    ]
+  );
+  return result.rows[0];
+}
+
+async function findTrackByHash(contentHash) {
+  if (!contentHash) return null;
+  const { rows } = await dbModule.query(
+    "SELECT * FROM tracks WHERE content_hash = $1 LIMIT 1",
+    [contentHash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Response for a re-upload of an identical file: the uploader's own track comes
+ * back as-is (safe retries); someone else's throws a 409, pointing at it only
+ * when the caller could see it anyway (never at a hidden track).
+ * @returns {object} the 200 body
+ */
+function duplicateResponse(existing, user) {
+  if (user && isTrackOwner(existing, user)) {
+    return { message: "Track already uploaded", duplicate: true, track: uploadedTrack(existing) };
+  }
+  const details = canSeeTrack(existing, user)
+    ? {
+        existing_track: {
+          id: existing.id,
+          title: existing.title,
+          artist_name: existing.artist_name,
+          stream_url: `/api/tracks/${existing.id}/stream`,
+        },
+      }
+    : undefined;
+  throw fieldError({ audio: "This file has already been uploaded" }, 409, { details });
+}
+
+// Normalized track object returned to the uploader and broadcast as new-track
+function uploadedTrack(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    artist_name: row.artist_name,
+    artist_id: row.artist_id ?? null,
+    uploader_name: row.uploader_name || row.artist_name,
+    public_url: row.public_url,
+    cover_url: row.cover_url,
+    storage_key: row.storage_key,
+    size_bytes: row.size_bytes,
+    mime_type: row.mime_type,
+    created_at: row.created_at,
+    auth_user_id: row.auth_user_id,
+    user_id: row.user_id,
+    moods: row.moods || [],
+    energy: row.energy,
+    valence: row.valence,
+    album: row.album,
+    release_year: row.release_year,
+    duration_seconds: row.duration_seconds,
+    bitrate: row.bitrate,
+    sample_rate: row.sample_rate,
+    codec: row.codec,
+    content_hash: row.content_hash,
+  };
+}
+
+// Emit realtime event to ALL users (tracks are public)
+function announceTrack(io, track) {
+  try {
+    if (io) io.emit("new-track", track);
+  } catch (emitErr) {
+    console.warn("Socket emit failed:", emitErr);
+  }
+}
+
+module.exports = {
+  uploadFields,
+  resolveTrackFields,
+  resolveUploader,
+  storeCover,
+  insertTrack,
+  findTrackByHash,
+  duplicateResponse,
+  uploadedTrack,
+  announceTrack,
+};
@@ -0,0 +1,205 @@
+// Resumable upload sessions: chunk storage, final assembly and expiry.
+//
+// Each chunk is streamed straight to storage as its own object
+// (uploads/<session>/<index>.<attempt>); nothing is buffered in memory. On
+// completion the parts are streamed back, in order, into the final tracks/
+// object while a SHA-256 of the whole file is computed, then the parts are removed.
+const crypto = require("crypto");
+const { Transform, pipeline } = require("stream");
+const dbModule = require("../db");
+const { putObjectStream, getObjectStream, removeObjects } = require("./storage");
+const { SNIFF_BYTES } = require("./mediaValidation");
+const { ApiError } = require("./errors");
+
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_UPLOAD_BYTES =
+  parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024;
+// sliding: every received chunk pushes the expiry out again
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24;
+// a completion that has not finished in this long is assumed dead (crash, restart)
+const STALE_COMPLETING_MINUTES = 60;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+function httpError(status, message) {
+  return new ApiError(status, message);
+}
+
+// byte length the chunk at `index` must have
+function expectedChunkSize(session, index) {
+  const size = Number(session.size_bytes);
+  if (index < session.total_chunks - 1) return session.chunk_size;
+  return size - session.chunk_size * (session.total_chunks - 1);
+}
+
+function formatSession(row, chunks = []) {
+  const received = chunks.map((c) => c.chunk_index).sort((a, b) => a - b);
+  const have = new Set(received);
+  const missing = [];
+  for (let i = 0; i < row.total_chunks; i++) if (!have.has(i)) missing.push(i);
+  return {
+    id: row.id,
+    filename: row.filename,
+    mime_type: row.mime_type,
+    size_bytes: Number(row.size_bytes),
+    chunk_size: row.chunk_size,
+    total_chunks: row.total_chunks,
+    status: row.status,
+    received_chunks: received,
+    missing_chunks: missing,
+    received_bytes: chunks.reduce((sum, c) => sum + Number(c.size_bytes), 0),
+    track_id: row.track_id || null,
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+  };
+}
+
+async function loadChunks(uploadId, client = dbModule) {
+  const { rows } = await client.query(
+    "SELECT chunk_index, size_bytes, sha256, storage_key FROM upload_chunks WHERE upload_id = $1 ORDER BY chunk_index",
+    [uploadId]
+  );
+  return rows;
+}
+
+/**
+ * Stream one chunk body into storage.
+ * Counts and hashes the bytes on the way through; anything longer than
+ * `expectedBytes` is cut off with a 413. The first bytes are kept as `head`
+ * so chunk 0 can be sniffed for its real format.
+ * @returns {Promise<{ storageKey: string, bytes: number, sha256: string, head: Buffer }>}
+ */
+async function storeChunk(session, index, body) {
+  const expectedBytes = expectedChunkSize(session, index);
+  const hash = crypto.createHash("sha256");
+  let bytes = 0;
+  let head = Buffer.alloc(0);
+  const meter = new Transform({
+    transform(chunk, _enc, cb) {
+      bytes += chunk.length;
+      if (bytes > expectedBytes) {
+        return cb(httpError(413, `Chunk ${index} must be exactly ${expectedBytes} bytes`));
+      }
+      if (head.length < SNIFF_BYTES) {
+        head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+      }
+      hash.update(chunk);
+      cb(null, chunk);
+    },
+  });
+
+  const storageKey = `uploads/${session.id}/${index}.${crypto.randomBytes(4).toString("hex")}`;
+  let bodyError = null;
+  pipeline(body, meter, (err) => {
+    if (err) bodyError = err;
+  });
+
+  try {
+    await putObjectStream(storageKey, meter, "application/octet-stream");
+  } catch (err) {
+    await removeObjects([storageKey]);
+    throw bodyError?.status ? bodyError : err;
+  }
+
+  if (bytes !== expectedBytes) {
+    await removeObjects([storageKey]);
+    throw httpError(400, `Chunk ${index} must be exactly ${expectedBytes} bytes (got ${bytes})`);
+  }
+  return { storageKey, bytes, sha256: hash.digest("hex"), head };
+}
+
+/**
+ * Stream the stored parts, in order, into the final object.
+ * @returns {Promise<{ bytes: number, sha256: string }>}
+ */
+async function assembleChunks(chunks, finalKey, mimeType) {
+  const hash = crypto.createHash("sha256");
+  let bytes = 0;
+  const body = new Transform({
+    transform(chunk, _enc, cb) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      cb(null, chunk);
+    },
+  });
+
+  const feed = (async () => {
+    for (const chunk of chunks) {
+      const { stream } = await getObjectStream(chunk.storage_key);
+      await new Promise((resolve, reject) => {
+        stream.on("error", reject);
+        stream.on("end", resolve);
+        stream.pipe(body, { end: false });
+      });
+    }
+    body.end();
+  })();
+  // a failed part read aborts the storage write too
+  feed.catch((err) => body.destroy(err));
+
+  await Promise.all([putObjectStream(finalKey, body, mimeType), feed]);
+  return { bytes, sha256: hash.digest("hex") };
+}
+
+// Remove a session's chunk objects and rows (after completion, abort or expiry)
+async function discardChunks(uploadId) {
+  const { rows } = await dbModule.query(
+    "DELETE FROM upload_chunks WHERE upload_id = $1 RETURNING storage_key",
+    [uploadId]
+  );
+  await removeObjects(rows.map((r) => r.storage_key));
+}
+
+/**
+ * Expire unfinished sessions and free their chunks.
+ * @returns {Promise<number>} sessions expired
+ */
+async function sweepExpiredUploads() {
+  const { rows } = await dbModule.query(
+    `UPDATE upload_sessions SET status = 'expired', updated_at = NOW()
+     WHERE (status = 'active' AND expires_at < NOW())
+        OR (status = 'completing' AND updated_at < NOW() - make_interval(mins => $1))
+     RETURNING id`,
+    [STALE_COMPLETING_MINUTES]
+  );
+  for (const row of rows) {
+    await discardChunks(row.id);
+  }
+  if (rows.length) console.log(`Expired ${rows.length} upload session(s)`);
+  return rows.length;
+}
+
+let sweepTimer = null;
+
+function startUploadSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  if (sweepTimer) return;
+  const run = () =>
+    sweepExpiredUploads().catch((err) => console.warn("Upload sweep failed:", err?.message || err));
+  sweepTimer = setInterval(run, intervalMs);
+  sweepTimer.unref();
+  run();
+}
+
+function stopUploadSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  DEFAULT_CHUNK_SIZE,
+  MAX_UPLOAD_BYTES,
+  SESSION_TTL_HOURS,
+  httpError,
+  expectedChunkSize,
+  formatSession,
+  loadChunks,
+  storeChunk,
+  assembleChunks,
+  discardChunks,
+  sweepExpiredUploads,
+  startUploadSweeper,
+  stopUploadSweeper,
+};
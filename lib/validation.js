@@ -0,0 +1,274 @@
+// Declarative request validation.
+//
+// Routes describe their params, query and body as JSON Schema (the small
+// subset below, built with the `t` helpers) and put validate() in front of the
+// handler:
+//
+//   router.get("/:id", validate({ summary: "One track", params: t.object({ id: t.id() }) }), handler)
+//
+// Bad input is rejected with a 400 that names every bad field (see lib/errors.js).
+// Good input reaches the handler cleaned up: numbers and booleans parsed from
+// query/form strings, strings trimmed, defaults filled in. The same specs
+// generate the OpenAPI document at /api/docs (lib/openapi.js).
+//
+// Supported keywords: type (one or a list), enum, nullable, default,
+// minLength/maxLength, pattern, format (email | date-time | uri),
+// minimum/maximum, items/minItems/maxItems, properties/required.
+// `x-trim: false` keeps a string as sent (passwords); `x-error` replaces the
+// generated message for that field.
+const { fieldError } = require("./errors");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// largest value of a Postgres INTEGER (SERIAL) column
+const MAX_ID = 2147483647;
+
+// ---------------------------
+// Schema helpers
+// ---------------------------
+
+// drop undefined keys so the generated document stays tidy
+function compact(schema) {
+  return Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== undefined));
+}
+
+function common({ description, nullable, default: defaultValue, example, message } = {}) {
+  return { description, nullable: nullable || undefined, default: defaultValue, example, "x-error": message };
+}
+
+const t = {
+  string: ({ min, max, pattern, format, trim, ...rest } = {}) =>
+    compact({
+      type: "string",
+      minLength: min,
+      maxLength: max,
+      pattern,
+      format,
+      "x-trim": trim === false ? false : undefined,
+      ...common(rest),
+    }),
+  enum: (values, options = {}) => compact({ type: "string", enum: [...values], ...common(options) }),
+  integer: ({ min, max, ...rest } = {}) => compact({ type: "integer", minimum: min, maximum: max, ...common(rest) }),
+  number: ({ min, max, ...rest } = {}) => compact({ type: "number", minimum: min, maximum: max, ...common(rest) }),
+  boolean: (options = {}) => compact({ type: "boolean", ...common(options) }),
+  // positive integer ids (route params, foreign keys); capped at Postgres INTEGER
+  id: (description) => compact({ type: "integer", minimum: 1, maximum: MAX_ID, description }),
+  // page size with a default and a cap
+  limit: (defaultValue, max) => ({ type: "integer", minimum: 1, maximum: max, default: defaultValue }),
+  // opaque next_cursor from the previous page
+  cursor: () => ({ type: "string", maxLength: 1000, description: "next_cursor from the previous page" }),
+  date: (options = {}) => compact({ type: "string", format: "date-time", ...common(options) }),
+  email: (options = {}) => compact({ type: "string", format: "email", maxLength: 320, ...common(options) }),
+  array: (items, { min, max, ...rest } = {}) =>
+    compact({ type: "array", items, minItems: min, maxItems: max, ...common(rest) }),
+  // all listed properties are optional unless named in `required`
+  object: (properties, { required, ...rest } = {}) =>
+    compact({ type: "object", properties, required: required?.length ? required : undefined, ...common(rest) }),
+  // mixed: any of the given types, validated per type (e.g. moods as array or "a,b" string)
+  oneOf: (types, options = {}) => compact({ type: types, ...common(options) }),
+};
+
+// ---------------------------
+// Checking
+// ---------------------------
+
+// query strings and multipart fields only ever carry strings; read them as the schema type
+function coerce(value, type) {
+  if (typeof value !== "string") {
+    if (type === "string" && (typeof value === "number" || typeof value === "boolean")) return String(value);
+    if (type === "array" && value !== null && !Array.isArray(value)) return [value];
+    return value;
+  }
+  const text = value.trim();
+  switch (type) {
+    case "integer":
+      return /^-?\d+$/.test(text) ? Number(text) : value;
+    case "number":
+      return text !== "" && Number.isFinite(Number(text)) ? Number(text) : value;
+    case "boolean":
+      if (text === "true" || text === "1") return true;
+      if (text === "false" || text === "0") return false;
+      return value;
+    case "array":
+      if (text.startsWith("[")) {
+        try {
+          return JSON.parse(text);
+        } catch (e) {
+          return value;
+        }
+      }
+      return text === "" ? [] : text.split(",");
+    default:
+      return value;
+  }
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "true or false",
+  array: "a list",
+  object: "an object",
+};
+
+/**
+ * Check `value` against `schema`, collecting messages into `errors` keyed by
+ * field path. Returns the cleaned value.
+ */
+function check(schema, value, path, errors) {
+  const label = path || "value";
+  const cleaned = checkValue(schema, value, label, errors);
+  if (errors[label] && schema["x-error"]) errors[label] = schema["x-error"];
+  return cleaned;
+}
+
+function checkValue(schema, value, label, errors) {
+  if (value === null || (value === "" && schema.nullable && schema.type !== "string")) {
+    if (schema.nullable) return null;
+    errors[label] = `${label} cannot be empty`;
+    return value;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  let cleaned = value;
+  let type = types.find((candidate) => typeMatches(value, candidate));
+  if (!type) {
+    for (const candidate of types) {
+      const coerced = coerce(value, candidate);
+      if (typeMatches(coerced, candidate)) {
+        cleaned = coerced;
+        type = candidate;
+        break;
+      }
+    }
+  }
+  if (!type) {
+    errors[label] = `${label} must be ${types.map((name) => TYPE_NAMES[name] || name).join(" or ")}`;
+    return value;
+  }
+
+  if (type === "string") {
+    if (schema["x-trim"] !== false) cleaned = cleaned.trim();
+    if (schema.minLength !== undefined && cleaned.length < schema.minLength) {
+      errors[label] =
+        schema.minLength === 1
+          ? `${label} cannot be empty`
+          : `${label} must be at least ${schema.minLength} characters`;
+    } else if (schema.maxLength !== undefined && cleaned.length > schema.maxLength) {
+      errors[label] = `${label} must be at most ${schema.maxLength} characters`;
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(cleaned)) {
+      errors[label] = `${label} has an invalid format`;
+    } else if (schema.format === "email" && !EMAIL_RE.test(cleaned)) {
+      errors[label] = `${label} must be a valid email address`;
+    } else if (schema.format === "date-time" && Number.isNaN(new Date(cleaned).getTime())) {
+      errors[label] = `${label} must be a valid date`;
+    } else if (schema.format === "uri" && !/^https?:\/\/\S+$/i.test(cleaned)) {
+      errors[label] = `${label} must be an http(s) URL`;
+    }
+  }
+
+  if (type === "integer" || type === "number") {
+    if (schema.minimum !== undefined && cleaned < schema.minimum) {
+      errors[label] = `${label} must be at least ${schema.minimum}`;
+    } else if (schema.maximum !== undefined && cleaned > schema.maximum) {
+      errors[label] = `${label} must be at most ${schema.maximum}`;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(cleaned)) {
+    errors[label] = `${label} must be one of: ${schema.enum.join(", ")}`;
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && cleaned.length < schema.minItems) {
+      errors[label] = `${label} must have at least ${schema.minItems} item(s)`;
+    } else if (schema.maxItems !== undefined && cleaned.length > schema.maxItems) {
+      errors[label] = `${label} must have at most ${schema.maxItems} items`;
+    } else if (schema.items) {
+      cleaned = cleaned.map((item, i) => check(schema.items, item, `${label}[${i}]`, errors));
+    }
+  }
+
+  if (type === "object" && schema.properties) {
+    cleaned = checkObject(schema, cleaned, label, errors);
+  }
+  return cleaned;
+}
+
+// properties are checked one by one; keys the schema doesn't mention pass through untouched
+function checkObject(schema, value, path, errors) {
+  const cleaned = { ...value };
+  const required = new Set(schema.required || []);
+  for (const [key, property] of Object.entries(schema.properties)) {
+    const name = path ? `${path}.${key}` : key;
+    // an empty form field means "not given", or null for nullable fields
+    const absent = value[key] === "" && property.type !== "string" && !property.nullable;
+    if (value[key] === undefined || absent) {
+      if (required.has(key)) errors[name] = `${name} is required`;
+      else if (property.default !== undefined) cleaned[key] = property.default;
+      else delete cleaned[key];
+      continue;
+    }
+    cleaned[key] = check(property, value[key], name, errors);
+  }
+  return cleaned;
+}
+
+// ---------------------------
+// Middleware
+// ---------------------------
+
+/**
+ * Validate req.params, req.query and req.body against a route spec.
+ * spec: { summary, description?, params?, query?, body?, multipart?, files?, raw?, responses? }
+ * params/query/body are t.object() schemas; every path param is required.
+ * The spec rides along on the middleware for the OpenAPI generator.
+ */
+function validate(spec) {
+  function validateRequest(req, res, next) {
+    const errors = {};
+    const params = spec.params && checkObject(spec.params, req.params, "", errors);
+    const query = spec.query && checkObject(spec.query, req.query, "", errors);
+    let body;
+    if (spec.body) {
+      const raw = req.body ?? {};
+      if (typeMatches(raw, "object")) body = checkObject(spec.body, raw, "", errors);
+      else errors.body = "The request body must be an object";
+    }
+    if (Object.keys(errors).length > 0) return next(fieldError(errors));
+
+    if (params) req.params = params;
+    // req.query is a getter in Express 5; shadow it with the cleaned copy
+    if (query) {
+      Object.defineProperty(req, "query", { value: query, writable: true, configurable: true, enumerable: true });
+    }
+    if (body) req.body = body;
+    next();
+  }
+  validateRequest.spec = spec;
+  return validateRequest;
+}
+
+module.exports = {
+  t,
+  validate,
+};
@@ -0,0 +1,249 @@
+// Waveform peaks for the player's scrubber.
+//
+// Audio is decoded to PCM and reduced to WAVEFORM_POINTS peak values in 0..1.
+// PCM WAV is read natively; every other format is decoded by ffmpeg
+// (FFMPEG_PATH, default "ffmpeg" on PATH). Nothing is buffered beyond the
+// per-window peaks, so long tracks are fine.
+const { spawn } = require("child_process");
+const { Writable, pipeline } = require("stream");
+const { getObjectStream } = require("./storage");
+
+const WAVEFORM_POINTS = parseInt(process.env.WAVEFORM_POINTS, 10) || 800;
+// intermediate resolution before the final reduction to WAVEFORM_POINTS
+const WINDOWS_PER_SECOND = 200;
+const FFMPEG_SAMPLE_RATE = 8000;
+
+function permanentError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+// Collects the loudest sample of each short window
+class PeakCollector {
+  constructor(sampleRate) {
+    this.windowSize = Math.max(1, Math.round(sampleRate / WINDOWS_PER_SECOND));
+    this.peaks = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  // one normalised (-1..1) sample, already mixed down to mono
+  push(value) {
+    const abs = Math.abs(value);
+    if (abs > this.current) this.current = abs;
+    if (++this.count === this.windowSize) {
+      this.peaks.push(this.current);
+      this.current = 0;
+      this.count = 0;
+    }
+  }
+
+  /**
+   * Reduce to `points` values scaled so the loudest peak is 1.
+   * @returns {number[]}
+   */
+  finish(points = WAVEFORM_POINTS) {
+    if (this.count > 0) this.peaks.push(this.current);
+    const source = this.peaks;
+    if (source.length === 0) return [];
+
+    const n = Math.min(points, source.length);
+    const out = new Array(n);
+    for (let i = 0; i < n; i++) {
+      const start = Math.floor((i * source.length) / n);
+      const end = Math.max(start + 1, Math.floor(((i + 1) * source.length) / n));
+      let max = 0;
+      for (let j = start; j < end; j++) if (source[j] > max) max = source[j];
+      out[i] = max;
+    }
+    const loudest = Math.max(...out);
+    return out.map((v) => (loudest > 0 ? Math.round((v / loudest) * 1000) / 1000 : 0));
+  }
+}
+
+/**
+ * Writable that parses a PCM WAV stream (8/16/24/32-bit integer or 32-bit float).
+ * `collector` is created once the fmt chunk gives the sample rate.
+ */
+function wavSink() {
+  let header = Buffer.alloc(0);
+  let format = null;
+  let dataRemaining = 0;
+  let leftover = Buffer.alloc(0);
+
+  const sink = new Writable({
+    write(chunk, _enc, cb) {
+      try {
+        if (!format) {
+          header = Buffer.concat([header, chunk]);
+          const parsed = parseWavHeader(header);
+          if (!parsed) {
+            if (header.length > 1024 * 1024) throw permanentError("WAV header not found");
+            return cb();
+          }
+          format = parsed.format;
+          dataRemaining = parsed.dataSize;
+          sink.collector = new PeakCollector(format.sampleRate);
+          chunk = header.subarray(parsed.dataOffset);
+          header = null;
+        }
+        if (dataRemaining <= 0) return cb();
+        if (chunk.length > dataRemaining) chunk = chunk.subarray(0, dataRemaining);
+        dataRemaining -= chunk.length;
+
+        const buf = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+        const frameSize = format.blockAlign;
+        const frames = Math.floor(buf.length / frameSize);
+        for (let f = 0; f < frames; f++) {
+          let peak = 0;
+          for (let c = 0; c < format.channels; c++) {
+            const v = readSample(buf, f * frameSize + c * format.bytesPerSample, format);
+            if (Math.abs(v) > Math.abs(peak)) peak = v;
+          }
+          sink.collector.push(peak);
+        }
+        leftover = buf.subarray(frames * frameSize);
+        cb();
+      } catch (err) {
+        cb(err);
+      }
+    },
+  });
+  sink.collector = null;
+  return sink;
+}
+
+function parseWavHeader(buf) {
+  if (buf.length < 12) return null;
+  if (buf.toString("latin1", 0, 4) !== "RIFF" || buf.toString("latin1", 8, 12) !== "WAVE") {
+    throw permanentError("Not a WAV file");
+  }
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString("latin1", offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    if (id === "fmt ") {
+      if (offset + 8 + 16 > buf.length) return null;
+      const audioFormat = buf.readUInt16LE(offset + 8);
+      const bits = buf.readUInt16LE(offset + 22);
+      // 1 = integer PCM, 3 = IEEE float, 0xFFFE = extensible (assume PCM)
+      if (![1, 3, 0xfffe].includes(audioFormat)) throw permanentError("Compressed WAV is not supported");
+      format = {
+        float: audioFormat === 3,
+        channels: buf.readUInt16LE(offset + 10),
+        sampleRate: buf.readUInt32LE(offset + 12),
+        blockAlign: buf.readUInt16LE(offset + 20),
+        bytesPerSample: bits / 8,
+      };
+      if (![1, 2, 3, 4].includes(format.bytesPerSample) || !format.channels) {
+        throw permanentError(`Unsupported WAV sample size (${bits} bits)`);
+      }
+    } else if (id === "data") {
+      if (!format) throw permanentError("WAV data chunk before fmt chunk");
+      return { format, dataOffset: offset + 8, dataSize: size };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+function readSample(buf, offset, format) {
+  switch (format.bytesPerSample) {
+    case 1:
+      return (buf[offset] - 128) / 128;
+    case 2:
+      return buf.readInt16LE(offset) / 32768;
+    case 3:
+      return buf.readIntLE(offset, 3) / 8388608;
+    default:
+      return format.float ? buf.readFloatLE(offset) : buf.readInt32LE(offset) / 2147483648;
+  }
+}
+
+// Writable over ffmpeg's mono s16le output
+function pcmSink() {
+  const collector = new PeakCollector(FFMPEG_SAMPLE_RATE);
+  let odd = null;
+  const sink = new Writable({
+    write(chunk, _enc, cb) {
+      const buf = odd ? Buffer.concat([odd, chunk]) : chunk;
+      const samples = Math.floor(buf.length / 2);
+      for (let i = 0; i < samples; i++) collector.push(buf.readInt16LE(i * 2) / 32768);
+      odd = buf.length % 2 ? buf.subarray(buf.length - 1) : null;
+      cb();
+    },
+  });
+  sink.collector = collector;
+  return sink;
+}
+
+function decodeWithFfmpeg(input) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      process.env.FFMPEG_PATH || "ffmpeg",
+      ["-v", "error", "-i", "pipe:0", "-ac", "1", "-ar", String(FFMPEG_SAMPLE_RATE), "-f", "s16le", "pipe:1"],
+      { stdio: ["pipe", "pipe", "pipe"] }
+    );
+    const sink = pcmSink();
+    let stderr = "";
+    ffmpeg.stderr.on("data", (d) => {
+      stderr = (stderr + d).slice(-2000);
+    });
+    ffmpeg.on("error", (err) => {
+      input.destroy();
+      // no ffmpeg binary: retrying won't help
+      reject(err.code === "ENOENT" ? permanentError("ffmpeg is not installed (set FFMPEG_PATH)") : err);
+    });
+    // ffmpeg may stop reading stdin early (e.g. trailing tags); that's not an error
+    input.pipe(ffmpeg.stdin).on("error", () => {});
+    input.on("error", (err) => {
+      ffmpeg.kill("SIGKILL");
+      reject(err);
+    });
+    pipeline(ffmpeg.stdout, sink, (err) => {
+      if (err) reject(err);
+    });
+    ffmpeg.on("close", (code) => {
+      if (code === 0) resolve(sink.collector);
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+function decodeWav(input) {
+  return new Promise((resolve, reject) => {
+    const sink = wavSink();
+    pipeline(input, sink, (err) => {
+      if (err) return reject(err);
+      if (!sink.collector) return reject(permanentError("WAV file has no audio data"));
+      resolve(sink.collector);
+    });
+  });
+}
+
+/**
+ * Compute waveform peaks for a stored audio object.
+ * @returns {Promise<{ peaks: number[], points: number }>}
+ */
+async function generateWaveform(storageKey, mimeType) {
+  let stream;
+  try {
+    ({ stream } = await getObjectStream(storageKey));
+  } catch (err) {
+    if (err.status === 404) throw permanentError(`Audio object ${storageKey} not found`);
+    throw err;
+  }
+  const collector =
+    mimeType === "audio/wav" || mimeType === "audio/x-wav" || mimeType === "audio/wave"
+      ? await decodeWav(stream)
+      : await decodeWithFfmpeg(stream);
+  const peaks = collector.finish(WAVEFORM_POINTS);
+  if (peaks.length === 0) throw permanentError("No audio samples decoded");
+  return { peaks, points: peaks.length };
+}
+
+module.exports = {
+  WAVEFORM_POINTS,
+  PeakCollector,
+  generateWaveform,
+};
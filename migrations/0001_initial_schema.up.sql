@@ -0,0 +1,47 @@
+-- Baseline schema: the tables the original API was written against.
+-- IF NOT EXISTS so this can be applied to a database created by hand before
+-- migrations existed (it is then only recorded as applied).
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name TEXT,
+  email TEXT,
+  auth_user_id TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tracks (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  artist_name TEXT,
+  uploader_name TEXT,
+  artist_id INTEGER,
+  storage_key TEXT,
+  public_url TEXT,
+  cover_path TEXT,
+  cover_url TEXT,
+  size_bytes BIGINT,
+  mime_type TEXT,
+  auth_user_id TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS playlists (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS playlist_songs (
+  id SERIAL PRIMARY KEY,
+  playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT playlist_songs_playlist_id_track_id_key UNIQUE (playlist_id, track_id)
+);
+
+CREATE INDEX IF NOT EXISTS tracks_created_at_idx ON tracks (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS tracks_user_id_idx ON tracks (user_id);
+CREATE INDEX IF NOT EXISTS playlists_user_id_idx ON playlists (user_id);
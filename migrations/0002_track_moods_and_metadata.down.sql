@@ -0,0 +1,16 @@
+DROP INDEX IF EXISTS tracks_search_idx;
+DROP INDEX IF EXISTS tracks_play_count_idx;
+DROP INDEX IF EXISTS tracks_title_idx;
+DROP INDEX IF EXISTS tracks_moods_idx;
+
+ALTER TABLE tracks
+  DROP COLUMN IF EXISTS play_count,
+  DROP COLUMN IF EXISTS codec,
+  DROP COLUMN IF EXISTS sample_rate,
+  DROP COLUMN IF EXISTS bitrate,
+  DROP COLUMN IF EXISTS duration_seconds,
+  DROP COLUMN IF EXISTS release_year,
+  DROP COLUMN IF EXISTS album,
+  DROP COLUMN IF EXISTS valence,
+  DROP COLUMN IF EXISTS energy,
+  DROP COLUMN IF EXISTS moods;
@@ -0,0 +1,22 @@
+-- Mood tags, metadata read from the audio file, play counts and the indexes
+-- behind GET /api/tracks search / filters / sorting.
+
+ALTER TABLE tracks
+  ADD COLUMN IF NOT EXISTS moods TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS energy REAL CHECK (energy BETWEEN 0 AND 1),
+  ADD COLUMN IF NOT EXISTS valence REAL CHECK (valence BETWEEN 0 AND 1),
+  ADD COLUMN IF NOT EXISTS album TEXT,
+  ADD COLUMN IF NOT EXISTS release_year INTEGER,
+  ADD COLUMN IF NOT EXISTS duration_seconds REAL,
+  ADD COLUMN IF NOT EXISTS bitrate INTEGER,
+  ADD COLUMN IF NOT EXISTS sample_rate INTEGER,
+  ADD COLUMN IF NOT EXISTS codec TEXT,
+  ADD COLUMN IF NOT EXISTS play_count BIGINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS tracks_moods_idx ON tracks USING GIN (moods);
+CREATE INDEX IF NOT EXISTS tracks_title_idx ON tracks (lower(title), id);
+CREATE INDEX IF NOT EXISTS tracks_play_count_idx ON tracks (play_count DESC, id DESC);
+-- must match SEARCH_DOCUMENT in routes/getTracks.js to be used
+CREATE INDEX IF NOT EXISTS tracks_search_idx ON tracks USING GIN (
+  to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(artist_name, '') || ' ' || coalesce(uploader_name, ''))
+);
@@ -0,0 +1,15 @@
+DROP TABLE IF EXISTS playlist_share_links;
+DROP TABLE IF EXISTS playlist_collaborators;
+ALTER TABLE playlists DROP COLUMN IF EXISTS visibility;
+
+DROP INDEX IF EXISTS playlist_songs_track_id_idx;
+DROP INDEX IF EXISTS playlist_songs_order_idx;
+-- the old constraint can't hold duplicate entries; keep the earliest of each
+DELETE FROM playlist_songs a
+  USING playlist_songs b
+  WHERE a.playlist_id = b.playlist_id AND a.track_id = b.track_id AND a.id > b.id;
+ALTER TABLE playlist_songs
+  ADD CONSTRAINT playlist_songs_playlist_id_track_id_key UNIQUE (playlist_id, track_id);
+ALTER TABLE playlist_songs
+  DROP COLUMN IF EXISTS added_by,
+  DROP COLUMN IF EXISTS position;
@@ -0,0 +1,36 @@
+-- Positional playlist entries (duplicates allowed), visibility,
+-- collaborators and share links.
+
+ALTER TABLE playlist_songs
+  ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS added_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+-- entries are rows now, so the same track may appear more than once
+ALTER TABLE playlist_songs DROP CONSTRAINT IF EXISTS playlist_songs_playlist_id_track_id_key;
+CREATE INDEX IF NOT EXISTS playlist_songs_order_idx ON playlist_songs (playlist_id, position, added_at, id);
+CREATE INDEX IF NOT EXISTS playlist_songs_track_id_idx ON playlist_songs (track_id);
+
+ALTER TABLE playlists
+  ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('private', 'unlisted', 'public'));
+
+CREATE TABLE IF NOT EXISTS playlist_collaborators (
+  id SERIAL PRIMARY KEY,
+  playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  -- null until someone registers with the invited email
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('viewer', 'editor')),
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (playlist_id, email)
+);
+CREATE INDEX IF NOT EXISTS playlist_collaborators_user_id_idx ON playlist_collaborators (user_id);
+
+CREATE TABLE IF NOT EXISTS playlist_share_links (
+  id SERIAL PRIMARY KEY,
+  playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
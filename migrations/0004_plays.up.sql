@@ -0,0 +1,13 @@
+-- Individual plays, for listening history and stats.
+CREATE TABLE IF NOT EXISTS plays (
+  id BIGSERIAL PRIMARY KEY,
+  track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  -- null for anonymous plays
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  listened_seconds REAL NOT NULL DEFAULT 0,
+  skipped BOOLEAN NOT NULL DEFAULT FALSE,
+  counted BOOLEAN NOT NULL DEFAULT FALSE,
+  played_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS plays_user_id_idx ON plays (user_id, played_at DESC);
+CREATE INDEX IF NOT EXISTS plays_track_id_idx ON plays (track_id);
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS password_reset_tokens;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS user_identities;
+DROP INDEX IF EXISTS users_email_idx;
+ALTER TABLE users
+  DROP COLUMN IF EXISTS password_hash,
+  DROP COLUMN IF EXISTS session_version,
+  DROP COLUMN IF EXISTS avatar_url;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS tracks_content_hash_key;
+ALTER TABLE tracks DROP COLUMN IF EXISTS content_hash;
+DROP TABLE IF EXISTS upload_chunks;
+DROP TABLE IF EXISTS upload_sessions;
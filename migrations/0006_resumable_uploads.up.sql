@@ -0,0 +1,36 @@
+-- Resumable chunked upload sessions and duplicate detection by content hash.
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  chunk_size INTEGER NOT NULL,
+  total_chunks INTEGER NOT NULL,
+  sha256 TEXT,
+  -- track fields sent when the session was started
+  fields JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completing', 'completed', 'aborted', 'expired')),
+  track_id INTEGER REFERENCES tracks(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS upload_sessions_sweep_idx ON upload_sessions (status, expires_at);
+CREATE INDEX IF NOT EXISTS upload_sessions_user_id_idx ON upload_sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS upload_chunks (
+  upload_id UUID NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (upload_id, chunk_index)
+);
+
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS content_hash TEXT;
+-- the upload routes look for this name on unique violations
+CREATE UNIQUE INDEX IF NOT EXISTS tracks_content_hash_key ON tracks (content_hash);
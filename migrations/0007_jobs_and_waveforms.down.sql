@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS track_waveforms;
+DROP TABLE IF EXISTS jobs;
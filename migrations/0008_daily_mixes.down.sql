@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS tracks_artist_idx;
+DELETE FROM playlists WHERE kind = 'daily_mix';
+DROP INDEX IF EXISTS playlists_daily_mix_idx;
+ALTER TABLE playlists
+  DROP COLUMN IF EXISTS generated_at,
+  DROP COLUMN IF EXISTS kind;
@@ -0,0 +1,8 @@
+-- Generated playlists (the per-user daily mix) live alongside user playlists.
+-- Recommendations only learn from kind = 'user' playlists.
+
+ALTER TABLE playlists
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'user' CHECK (kind IN ('user', 'daily_mix')),
+  ADD COLUMN IF NOT EXISTS generated_at TIMESTAMPTZ;
+CREATE UNIQUE INDEX IF NOT EXISTS playlists_daily_mix_idx ON playlists (user_id) WHERE kind = 'daily_mix';
+CREATE INDEX IF NOT EXISTS tracks_artist_idx ON tracks (lower(artist_name));
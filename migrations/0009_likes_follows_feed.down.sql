@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS activities;
+DROP TABLE IF EXISTS follows;
+ALTER TABLE tracks DROP COLUMN IF EXISTS like_count;
+DROP TABLE IF EXISTS track_likes;
@@ -0,0 +1,49 @@
+-- Track likes ("Liked Songs"), follows and the activity feed.
+
+CREATE TABLE IF NOT EXISTS track_likes (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, track_id)
+);
+CREATE INDEX IF NOT EXISTS track_likes_track_id_idx ON track_likes (track_id);
+CREATE INDEX IF NOT EXISTS track_likes_recent_idx ON track_likes (user_id, created_at DESC, track_id DESC);
+
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS like_count BIGINT NOT NULL DEFAULT 0;
+
+-- a follow targets either an uploader (followee_id) or an artist name (artist_key = lower(trim(name)))
+CREATE TABLE IF NOT EXISTS follows (
+  id SERIAL PRIMARY KEY,
+  follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  followee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  artist_key TEXT,
+  artist_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((followee_id IS NULL) <> (artist_key IS NULL)),
+  CHECK (followee_id IS NULL OR followee_id <> follower_id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS follows_user_idx ON follows (follower_id, followee_id) WHERE followee_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS follows_artist_idx ON follows (follower_id, artist_key) WHERE artist_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS follows_followee_id_idx ON follows (followee_id);
+CREATE INDEX IF NOT EXISTS follows_artist_key_idx ON follows (artist_key);
+
+CREATE TABLE IF NOT EXISTS activities (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('track_uploaded', 'playlist_updated')),
+  track_id INTEGER REFERENCES tracks(id) ON DELETE CASCADE,
+  playlist_id INTEGER REFERENCES playlists(id) ON DELETE CASCADE,
+  artist_key TEXT,
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS activities_actor_idx ON activities (actor_id, id DESC);
+CREATE INDEX IF NOT EXISTS activities_artist_idx ON activities (artist_key, id DESC) WHERE artist_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS activities_playlist_idx ON activities (playlist_id) WHERE playlist_id IS NOT NULL;
+
+-- existing uploads show up in feeds too
+INSERT INTO activities (actor_id, type, track_id, artist_key, created_at)
+SELECT user_id, 'track_uploaded', id, NULLIF(NULLIF(lower(trim(artist_name)), ''), 'unknown artist'), created_at
+FROM tracks
+WHERE NOT EXISTS (SELECT 1 FROM activities)
+ORDER BY created_at, id;
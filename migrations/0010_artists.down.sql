@@ -0,0 +1,31 @@
+-- back to name keys (lower(trim(name))) for follows and feed items
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS artist_key TEXT;
+UPDATE activities act SET artist_key = NULLIF(NULLIF(lower(trim(t.artist_name)), ''), 'unknown artist')
+FROM tracks t
+WHERE act.track_id = t.id;
+DROP INDEX IF EXISTS activities_artist_idx;
+ALTER TABLE activities DROP COLUMN IF EXISTS artist_id;
+CREATE INDEX IF NOT EXISTS activities_artist_idx ON activities (artist_key, id DESC) WHERE artist_key IS NOT NULL;
+
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS artist_key TEXT, ADD COLUMN IF NOT EXISTS artist_name TEXT;
+UPDATE follows f SET artist_key = lower(trim(a.name)), artist_name = a.name
+FROM artists a
+WHERE f.artist_id = a.id;
+DELETE FROM follows a
+  USING follows b
+  WHERE a.artist_key IS NOT NULL AND a.follower_id = b.follower_id AND a.artist_key = b.artist_key AND a.id > b.id;
+DROP INDEX IF EXISTS follows_artist_id_idx;
+DROP INDEX IF EXISTS follows_artist_idx;
+-- drops follows_target_check with it
+ALTER TABLE follows DROP COLUMN IF EXISTS artist_id;
+ALTER TABLE follows ADD CONSTRAINT follows_check CHECK ((followee_id IS NULL) <> (artist_key IS NULL));
+CREATE UNIQUE INDEX IF NOT EXISTS follows_artist_idx ON follows (follower_id, artist_key) WHERE artist_key IS NOT NULL;
+
+DROP INDEX IF EXISTS tracks_artist_id_idx;
+ALTER TABLE tracks DROP CONSTRAINT IF EXISTS tracks_artist_id_fkey;
+-- the column itself predates artists
+UPDATE tracks SET artist_id = NULL;
+
+DROP TABLE IF EXISTS artist_aliases;
+DROP TABLE IF EXISTS artists;
+DROP FUNCTION IF EXISTS artist_name_key(TEXT);
@@ -0,0 +1,106 @@
+-- Artist entities. Every spelling seen for an artist is an alias; spellings that
+-- normalise to the same key (case, accents, punctuation, spacing, "&" vs "and",
+-- a leading "The") resolve to the same artist. Follows and feed items point at
+-- artists instead of raw names from here on.
+
+CREATE OR REPLACE FUNCTION artist_name_key(name TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN k IN ('', 'unknown', 'unknownartist') THEN NULL ELSE k END
+  FROM (
+    SELECT regexp_replace(
+             regexp_replace(
+               replace(
+                 translate(lower(trim(name)),
+                   'àáâãäåāăąçćčďèéêëēėęěğìíîïīįıľłñńňòóôõöøōőŕřśšşťùúûüūůűųýÿźżž',
+                   'aaaaaaaaacccdeeeeeeeegiiiiiiillnnnoooooooorrssstuuuuuuuuyyzzz'),
+                 '&', ' and '),
+               '^the\s+', ''),
+             '[^[:alnum:]]+', '', 'g') AS k
+  ) normalised
+$$;
+
+CREATE TABLE IF NOT EXISTS artists (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  bio TEXT,
+  image_path TEXT,
+  image_url TEXT,
+  claimed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  claimed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS artists_claimed_by_idx ON artists (claimed_by);
+CREATE INDEX IF NOT EXISTS artists_name_idx ON artists (lower(name));
+
+CREATE TABLE IF NOT EXISTS artist_aliases (
+  alias_key TEXT PRIMARY KEY,
+  artist_id INTEGER NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  -- the spelling the alias was first seen with
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS artist_aliases_artist_id_idx ON artist_aliases (artist_id);
+
+-- one artist per existing key, named after its most common spelling
+DO $$
+DECLARE
+  r RECORD;
+  new_id INTEGER;
+BEGIN
+  FOR r IN
+    SELECT DISTINCT ON (key) key, name
+    FROM (
+      SELECT artist_name_key(artist_name) AS key, trim(artist_name) AS name, COUNT(*) AS n
+      FROM tracks
+      GROUP BY 1, 2
+    ) spellings
+    WHERE key IS NOT NULL
+    ORDER BY key, n DESC, name
+  LOOP
+    IF NOT EXISTS (SELECT 1 FROM artist_aliases WHERE alias_key = r.key) THEN
+      INSERT INTO artists (name) VALUES (r.name) RETURNING id INTO new_id;
+      INSERT INTO artist_aliases (alias_key, artist_id, name) VALUES (r.key, new_id, r.name);
+    END IF;
+  END LOOP;
+END $$;
+
+-- tracks.artist_id has existed since the initial schema but was never filled
+UPDATE tracks t SET artist_id = a.artist_id
+FROM artist_aliases a
+WHERE a.alias_key = artist_name_key(t.artist_name) AND t.artist_id IS DISTINCT FROM a.artist_id;
+UPDATE tracks SET artist_id = NULL
+WHERE artist_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM artists a WHERE a.id = tracks.artist_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tracks_artist_id_fkey') THEN
+    ALTER TABLE tracks
+      ADD CONSTRAINT tracks_artist_id_fkey FOREIGN KEY (artist_id) REFERENCES artists(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+CREATE INDEX IF NOT EXISTS tracks_artist_id_idx ON tracks (artist_id);
+
+-- follows: artist name keys -> artist ids (variants that merged keep one follow)
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS artist_id INTEGER REFERENCES artists(id) ON DELETE CASCADE;
+UPDATE follows f SET artist_id = a.artist_id
+FROM artist_aliases a
+WHERE f.artist_key IS NOT NULL AND a.alias_key = artist_name_key(f.artist_key);
+DELETE FROM follows WHERE followee_id IS NULL AND artist_id IS NULL;
+DELETE FROM follows a
+  USING follows b
+  WHERE a.artist_id IS NOT NULL AND a.follower_id = b.follower_id AND a.artist_id = b.artist_id AND a.id > b.id;
+-- drops the old one-target check and follows_artist_idx with it
+ALTER TABLE follows DROP COLUMN IF EXISTS artist_key, DROP COLUMN IF EXISTS artist_name;
+ALTER TABLE follows DROP CONSTRAINT IF EXISTS follows_target_check;
+ALTER TABLE follows
+  ADD CONSTRAINT follows_target_check CHECK ((followee_id IS NULL) <> (artist_id IS NULL));
+CREATE UNIQUE INDEX IF NOT EXISTS follows_artist_idx ON follows (follower_id, artist_id) WHERE artist_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS follows_artist_id_idx ON follows (artist_id);
+
+-- activities: same switch; upload items take the track's artist
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS artist_id INTEGER REFERENCES artists(id) ON DELETE SET NULL;
+UPDATE activities act SET artist_id = t.artist_id
+FROM tracks t
+WHERE act.track_id = t.id AND act.artist_id IS DISTINCT FROM t.artist_id;
+ALTER TABLE activities DROP COLUMN IF EXISTS artist_key;
+CREATE INDEX IF NOT EXISTS activities_artist_idx ON activities (artist_id, id DESC) WHERE artist_id IS NOT NULL;
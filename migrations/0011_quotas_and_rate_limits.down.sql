@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS rate_limit_hits;
+DROP INDEX IF EXISTS tracks_user_created_idx;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_tier_check;
+ALTER TABLE users DROP COLUMN IF EXISTS tier;
@@ -0,0 +1,19 @@
+-- Account tiers for upload quotas and request limits (the numbers live in
+-- lib/quotas.js), and the counters behind the rate limiters, shared by every
+-- API instance.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tier TEXT NOT NULL DEFAULT 'free';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_tier_check;
+ALTER TABLE users ADD CONSTRAINT users_tier_check CHECK (tier IN ('free', 'pro'));
+
+-- uploads in the last 24 hours
+CREATE INDEX IF NOT EXISTS tracks_user_created_idx ON tracks (user_id, created_at DESC);
+
+-- fixed windows: hits counts requests for `key` until reset_at.
+-- Unlogged: losing the counters in a crash only resets everyone's window.
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_hits (
+  key TEXT PRIMARY KEY,
+  hits INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS rate_limit_hits_reset_at_idx ON rate_limit_hits (reset_at);
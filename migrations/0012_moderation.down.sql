@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS moderation_actions;
+DROP TABLE IF EXISTS track_reports;
+
+DROP INDEX IF EXISTS tracks_hidden_idx;
+ALTER TABLE tracks DROP COLUMN IF EXISTS hidden_reason;
+ALTER TABLE tracks DROP COLUMN IF EXISTS hidden_at;
+
+ALTER TABLE users DROP COLUMN IF EXISTS ban_reason;
+ALTER TABLE users DROP COLUMN IF EXISTS banned_at;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,47 @@
+-- Moderation: user reports on tracks, admin roles, hidden tracks, banned
+-- accounts and an audit log of every admin action.
+-- The first admin is promoted by hand: UPDATE users SET role = 'admin' WHERE email = '...';
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+-- banned accounts can't sign in and their sessions are revoked
+ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+
+-- hidden tracks are only listed, streamed and playable for their uploader and admins
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ;
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+CREATE INDEX IF NOT EXISTS tracks_hidden_idx ON tracks (hidden_at) WHERE hidden_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS track_reports (
+  id SERIAL PRIMARY KEY,
+  track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('spam', 'copyright', 'offensive', 'explicit', 'impersonation', 'other')),
+  details TEXT,
+  -- open -> actioned (track hidden or deleted) | dismissed
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+  resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- one open report per user and track
+CREATE UNIQUE INDEX IF NOT EXISTS track_reports_open_idx ON track_reports (track_id, reporter_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS track_reports_queue_idx ON track_reports (created_at, track_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS track_reports_track_idx ON track_reports (track_id, created_at DESC);
+
+-- append-only; no foreign keys on the targets so the history outlives deleted tracks and users
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id BIGSERIAL PRIMARY KEY,
+  admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  track_id INTEGER,
+  user_id INTEGER,
+  reason TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS moderation_actions_track_idx ON moderation_actions (track_id, id DESC) WHERE track_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS moderation_actions_user_idx ON moderation_actions (user_id, id DESC) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS moderation_actions_admin_idx ON moderation_actions (admin_id, id DESC);
@@ -0,0 +1,27 @@
+-- Email verification for password accounts. Until a user opens the emailed
+-- link, their address is not trusted: Google sign-in won't attach to the
+-- account and pending playlist invites for that email aren't theirs.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- existing accounts: addresses from Google/Supabase sign-in count as verified;
+-- password accounts must confirm (reset tokens prove nothing: superseded ones
+-- are marked used too)
+UPDATE users u SET email_verified_at = NOW()
+WHERE u.email_verified_at IS NULL AND u.email IS NOT NULL
+  AND (
+    u.password_hash IS NULL
+    OR EXISTS (SELECT 1 FROM user_identities i WHERE i.user_id = u.id AND lower(i.email) = lower(u.email))
+  );
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- the address the link was sent to; it only verifies that address
+  email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS email_verification_tokens_user_id_idx ON email_verification_tokens (user_id);
@@ -0,0 +1,537 @@
+// Moderation, admins only (users.role = 'admin').
+//
+//   GET    /api/admin/reports                 queue: reported tracks, oldest report first
+//   GET    /api/admin/tracks/:id/reports      every report and action for one track
+//   POST   /api/admin/tracks/:id/hide         hide for everyone but the uploader and admins
+//   POST   /api/admin/tracks/:id/restore      undo a hide
+//   POST   /api/admin/tracks/:id/dismiss      close the open reports, leave the track up
+//   DELETE /api/admin/tracks/:id              delete the track and its files
+//   POST   /api/admin/users/:id/ban           sign out, block sign-in, hide their tracks
+//   POST   /api/admin/users/:id/unban
+//   PUT    /api/admin/users/:id/role          make or unmake an admin
+//   GET    /api/admin/actions                 the audit log
+//
+// Every change is written to moderation_actions with the acting admin and reason.
+const express = require("express");
+const router = express.Router();
+const dbModule = require("../db");
+const { requireAuth } = require("../lib/auth");
+const { revokeAllSessions } = require("../lib/session");
+const { userRoom } = require("../lib/realtime");
+const { removeObjects } = require("../lib/storage");
+const {
+  ROLES,
+  ACTIONS,
+  requireAdmin,
+  recordModerationAction,
+  resolveReports,
+  queueTrackStorageSync,
+  emitVisibility,
+} = require("../lib/moderation");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+
+router.use(requireAuth);
+router.use(requireAdmin);
+
+const REPORT_STATUSES = ["open", "actioned", "dismissed"];
+
+const trackParams = t.object({ id: t.id("Track id") });
+const userParams = t.object({ id: t.id("User id") });
+const reasonField = t.string({ min: 1, max: 1000, description: "Why; kept in the audit log" });
+
+// opaque cursors: base64url JSON
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Lock a track for a moderation change; throws 404
+async function lockTrack(client, trackId) {
+  const { rows } = await client.query(
+    `SELECT id, title, artist_name, uploader_name, user_id, storage_key, cover_path, hidden_at, hidden_reason
+     FROM tracks WHERE id = $1 FOR UPDATE`,
+    [trackId]
+  );
+  if (!rows[0]) throw new ApiError(404, "Track not found");
+  return rows[0];
+}
+
+// Lock a user for a moderation change; throws 404
+async function lockUser(client, userId) {
+  const { rows } = await client.query(
+    "SELECT id, name, email, role, banned_at, ban_reason FROM users WHERE id = $1 FOR UPDATE",
+    [userId]
+  );
+  if (!rows[0]) throw new ApiError(404, "User not found");
+  return rows[0];
+}
+
+// ---------------------------
+// GET /api/admin/reports -> reported tracks, one row each, oldest report first
+// query: status (default open), limit, cursor
+// ---------------------------
+const reportQueueRequest = validate({
+  summary: "The moderation queue: reported tracks, oldest report first",
+  tag: "admin",
+  query: t.object({
+    status: t.enum(REPORT_STATUSES, { default: "open" }),
+    limit: t.limit(50, 200),
+    cursor: t.cursor(),
+  }),
+});
+router.get("/reports", reportQueueRequest, async (req, res) => {
+  const { status, limit } = req.query;
+
+  // { at: first report (full-precision text), id: track id } of the last row
+  let after = null;
+  if (req.query.cursor !== undefined) {
+    after = decodeCursor(req.query.cursor);
+    if (typeof after?.at !== "string" || !Number.isInteger(after.id)) {
+      throw fieldError({ cursor: "Invalid cursor" });
+    }
+  }
+
+  const { rows } = await dbModule.query(
+    `SELECT t.id, t.title, t.artist_name, t.uploader_name, t.cover_url, t.created_at,
+            t.hidden_at, t.hidden_reason, t.user_id,
+            u.name AS uploader_account_name, u.email AS uploader_email, u.banned_at AS uploader_banned_at,
+            q.report_count, q.reasons, q.first_reported_at, q.last_reported_at, q.cursor_at
+     FROM (
+       SELECT track_id, COUNT(*)::int AS report_count,
+              array_agg(DISTINCT reason ORDER BY reason) AS reasons,
+              MIN(created_at) AS first_reported_at, MAX(created_at) AS last_reported_at,
+              MIN(created_at)::text AS cursor_at
+       FROM track_reports
+       WHERE status = $1
+       GROUP BY track_id
+     ) q
+     JOIN tracks t ON t.id = q.track_id
+     LEFT JOIN users u ON u.id = t.user_id
+     WHERE $2::timestamptz IS NULL OR (q.first_reported_at, q.track_id) > ($2, $3::int)
+     ORDER BY q.first_reported_at ASC, q.track_id ASC
+     LIMIT $4`,
+    [status, after?.at ?? null, after?.id ?? null, limit + 1]
+  );
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  res.json({
+    reports: page.map((r) => ({
+      track: {
+        id: r.id,
+        title: r.title,
+        artist_name: r.artist_name,
+        uploader_name: r.uploader_name,
+        cover_url: r.cover_url,
+        stream_url: `/api/tracks/${r.id}/stream`,
+        created_at: r.created_at,
+        hidden_at: r.hidden_at,
+        hidden_reason: r.hidden_reason,
+      },
+      uploader: r.user_id
+        ? { id: r.user_id, name: r.uploader_account_name, email: r.uploader_email, banned_at: r.uploader_banned_at }
+        : null,
+      report_count: r.report_count,
+      reasons: r.reasons,
+      first_reported_at: r.first_reported_at,
+      last_reported_at: r.last_reported_at,
+    })),
+    next_cursor: hasMore ? encodeCursor({ at: last.cursor_at, id: last.id }) : null,
+  });
+});
+
+// ---------------------------
+// GET /api/admin/tracks/:id/reports -> every report (newest first) and moderation action for a track
+// ---------------------------
+const trackReportsRequest = validate({
+  summary: "Reports and moderation history of one track",
+  tag: "admin",
+  params: trackParams,
+});
+router.get("/tracks/:id/reports", trackReportsRequest, async (req, res) => {
+  const trackId = req.params.id;
+
+  const [reports, actions] = await Promise.all([
+    dbModule.query(
+      `SELECT r.id, r.reason, r.details, r.status, r.created_at, r.resolved_at,
+              r.reporter_id, u.name AS reporter_name, r.resolved_by
+       FROM track_reports r
+       LEFT JOIN users u ON u.id = r.reporter_id
+       WHERE r.track_id = $1
+       ORDER BY r.created_at DESC, r.id DESC`,
+      [trackId]
+    ),
+    dbModule.query(
+      `SELECT m.*, u.name AS admin_name
+       FROM moderation_actions m
+       LEFT JOIN users u ON u.id = m.admin_id
+       WHERE m.track_id = $1
+       ORDER BY m.id DESC`,
+      [trackId]
+    ),
+  ]);
+  // a deleted track keeps its audit trail
+  if (reports.rows.length === 0 && actions.rows.length === 0) {
+    const found = await dbModule.query("SELECT 1 FROM tracks WHERE id = $1", [trackId]);
+    if (found.rows.length === 0) throw new ApiError(404, "Track not found");
+  }
+
+  res.json({
+    track_id: trackId,
+    reports: reports.rows,
+    actions: actions.rows.map((r) => ({ ...r, id: Number(r.id) })),
+  });
+});
+
+// ---------------------------
+// POST /api/admin/tracks/:id/hide -> take a track down (kept for the uploader and admins)
+// body: { reason }; closes the open reports as actioned
+// ---------------------------
+const hideTrackRequest = validate({
+  summary: "Hide a track from everyone but its uploader and admins",
+  tag: "admin",
+  params: trackParams,
+  body: t.object({ reason: reasonField }, { required: ["reason"] }),
+});
+router.post("/tracks/:id/hide", hideTrackRequest, async (req, res) => {
+  const adminId = req.user.id;
+  const { reason } = req.body;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const track = await lockTrack(client, req.params.id);
+    if (track.hidden_at) throw new ApiError(409, "Track is already hidden");
+
+    const { rows } = await client.query(
+      `UPDATE tracks SET hidden_at = NOW(), hidden_reason = $2, public_url = NULL
+       WHERE id = $1 RETURNING id, hidden_at, hidden_reason`,
+      [track.id, reason]
+    );
+    await queueTrackStorageSync(client, track.id);
+    const resolved = await resolveReports(client, track.id, "actioned", adminId);
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.hideTrack,
+      trackId: track.id,
+      userId: track.user_id,
+      reason,
+      details: { reports_resolved: resolved },
+    });
+    return { track: rows[0], action };
+  });
+
+  emitVisibility(req.app.get("io"), "track-hidden", { id: result.track.id });
+  res.json(result);
+});
+
+// ---------------------------
+// POST /api/admin/tracks/:id/restore -> undo a hide
+// body: { reason? }
+// ---------------------------
+const restoreTrackRequest = validate({
+  summary: "Make a hidden track visible again",
+  tag: "admin",
+  params: trackParams,
+  body: t.object({ reason: reasonField }),
+});
+router.post("/tracks/:id/restore", restoreTrackRequest, async (req, res) => {
+  const adminId = req.user.id;
+  const reason = req.body.reason || null;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const track = await lockTrack(client, req.params.id);
+    if (!track.hidden_at) throw new ApiError(409, "Track is not hidden");
+
+    const { rows } = await client.query(
+      "UPDATE tracks SET hidden_at = NULL, hidden_reason = NULL WHERE id = $1 RETURNING id, hidden_at, hidden_reason",
+      [track.id]
+    );
+    await queueTrackStorageSync(client, track.id);
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.restoreTrack,
+      trackId: track.id,
+      userId: track.user_id,
+      reason,
+      details: { hidden_at: track.hidden_at, hidden_reason: track.hidden_reason },
+    });
+    return { track: rows[0], action };
+  });
+
+  emitVisibility(req.app.get("io"), "track-restored", { id: result.track.id });
+  res.json(result);
+});
+
+// ---------------------------
+// POST /api/admin/tracks/:id/dismiss -> nothing wrong: close the open reports
+// body: { reason? }
+// ---------------------------
+const dismissReportsRequest = validate({
+  summary: "Dismiss a track's open reports",
+  tag: "admin",
+  params: trackParams,
+  body: t.object({ reason: reasonField }),
+});
+router.post("/tracks/:id/dismiss", dismissReportsRequest, async (req, res) => {
+  const adminId = req.user.id;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const track = await lockTrack(client, req.params.id);
+    const dismissed = await resolveReports(client, track.id, "dismissed", adminId);
+    if (dismissed === 0) throw new ApiError(409, "Track has no open reports");
+
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.dismissReports,
+      trackId: track.id,
+      userId: track.user_id,
+      reason: req.body.reason || null,
+      details: { reports_dismissed: dismissed },
+    });
+    return { dismissed, action };
+  });
+
+  res.json(result);
+});
+
+// ---------------------------
+// DELETE /api/admin/tracks/:id -> remove a track, its playlist entries and files
+// body: { reason }; the audit log keeps what the track was
+// ---------------------------
+const deleteTrackRequest = validate({
+  summary: "Delete a track",
+  tag: "admin",
+  params: trackParams,
+  body: t.object({ reason: reasonField }, { required: ["reason"] }),
+});
+router.delete("/tracks/:id", deleteTrackRequest, async (req, res) => {
+  const adminId = req.user.id;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const track = await lockTrack(client, req.params.id);
+    const reports = await client.query(
+      "SELECT COUNT(*)::int AS n FROM track_reports WHERE track_id = $1 AND status = 'open'",
+      [track.id]
+    );
+    const ps = await client.query("DELETE FROM playlist_songs WHERE track_id = $1 RETURNING playlist_id", [track.id]);
+    // reports go with the track (ON DELETE CASCADE)
+    await client.query("DELETE FROM tracks WHERE id = $1", [track.id]);
+    const playlistIds = [...new Set(ps.rows.map((r) => r.playlist_id))];
+
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.deleteTrack,
+      trackId: track.id,
+      userId: track.user_id,
+      reason: req.body.reason,
+      details: {
+        title: track.title,
+        artist_name: track.artist_name,
+        uploader_name: track.uploader_name,
+        open_reports: reports.rows[0].n,
+        playlist_ids: playlistIds,
+      },
+    });
+    return { track, playlistIds, action };
+  });
+
+  await removeObjects([result.track.storage_key, result.track.cover_path]);
+  emitVisibility(req.app.get("io"), "track-deleted", { id: result.track.id, playlistIds: result.playlistIds });
+  res.json({ success: true, id: result.track.id, action: result.action });
+});
+
+// ---------------------------
+// POST /api/admin/users/:id/ban -> sign the user out everywhere and block sign-in
+// body: { reason, hide_tracks? (default true) }
+// unbanning does not bring hidden tracks back; restore them one by one
+// ---------------------------
+const banUserRequest = validate({
+  summary: "Ban a user",
+  tag: "admin",
+  params: userParams,
+  body: t.object(
+    {
+      reason: reasonField,
+      hide_tracks: t.boolean({ default: true, description: "Also hide every track they uploaded" }),
+    },
+    { required: ["reason"] }
+  ),
+});
+router.post("/users/:id/ban", banUserRequest, async (req, res) => {
+  const adminId = req.user.id;
+  const { reason } = req.body;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const user = await lockUser(client, req.params.id);
+    if (user.role === "admin") throw new ApiError(409, "Admins can't be banned; remove the admin role first");
+    if (user.banned_at) throw new ApiError(409, "User is already banned");
+
+    await client.query("UPDATE users SET banned_at = NOW(), ban_reason = $2 WHERE id = $1", [user.id, reason]);
+    await revokeAllSessions(user.id, client);
+
+    let hiddenIds = [];
+    if (req.body.hide_tracks) {
+      const hidden = await client.query(
+        `UPDATE tracks SET hidden_at = NOW(), hidden_reason = $2, public_url = NULL
+         WHERE user_id = $1 AND hidden_at IS NULL
+         RETURNING id`,
+        [user.id, `Uploader banned: ${reason}`]
+      );
+      hiddenIds = hidden.rows.map((r) => r.id);
+      for (const trackId of hiddenIds) {
+        await resolveReports(client, trackId, "actioned", adminId);
+        await queueTrackStorageSync(client, trackId);
+      }
+    }
+
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.banUser,
+      userId: user.id,
+      reason,
+      details: { hidden_track_ids: hiddenIds },
+    });
+    return { user: { id: user.id, name: user.name, email: user.email }, hiddenIds, action };
+  });
+
+  const io = req.app.get("io");
+  for (const id of result.hiddenIds) emitVisibility(io, "track-hidden", { id });
+  // open sockets were authenticated before the ban
+  try {
+    if (io) io.in(userRoom(result.user.id)).disconnectSockets(true);
+  } catch (e) {
+    console.warn("Could not disconnect banned user's sockets:", e);
+  }
+
+  res.json({ user: result.user, hidden_track_ids: result.hiddenIds, action: result.action });
+});
+
+// ---------------------------
+// POST /api/admin/users/:id/unban
+// body: { reason? }
+// ---------------------------
+const unbanUserRequest = validate({
+  summary: "Lift a ban",
+  tag: "admin",
+  params: userParams,
+  body: t.object({ reason: reasonField }),
+});
+router.post("/users/:id/unban", unbanUserRequest, async (req, res) => {
+  const adminId = req.user.id;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const user = await lockUser(client, req.params.id);
+    if (!user.banned_at) throw new ApiError(409, "User is not banned");
+
+    await client.query("UPDATE users SET banned_at = NULL, ban_reason = NULL WHERE id = $1", [user.id]);
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.unbanUser,
+      userId: user.id,
+      reason: req.body.reason || null,
+      details: { banned_at: user.banned_at, ban_reason: user.ban_reason },
+    });
+    return { user: { id: user.id, name: user.name, email: user.email }, action };
+  });
+
+  res.json(result);
+});
+
+// ---------------------------
+// PUT /api/admin/users/:id/role -> grant or remove admin
+// body: { role, reason? }; admins can't change their own role
+// ---------------------------
+const setRoleRequest = validate({
+  summary: "Change a user's role",
+  tag: "admin",
+  params: userParams,
+  body: t.object({ role: t.enum(ROLES), reason: reasonField }, { required: ["role"] }),
+});
+router.put("/users/:id/role", setRoleRequest, async (req, res) => {
+  const adminId = req.user.id;
+  const { role } = req.body;
+  if (req.params.id === adminId) throw new ApiError(409, "You can't change your own role");
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const user = await lockUser(client, req.params.id);
+    if (user.role === role) throw new ApiError(409, `User is already ${role === "admin" ? "an admin" : "a user"}`);
+    if (role === "admin" && user.banned_at) throw new ApiError(409, "Banned users can't be admins");
+
+    await client.query("UPDATE users SET role = $2 WHERE id = $1", [user.id, role]);
+    const action = await recordModerationAction(client, {
+      adminId,
+      action: ACTIONS.setRole,
+      userId: user.id,
+      reason: req.body.reason || null,
+      details: { from: user.role, to: role },
+    });
+    return { user: { id: user.id, name: user.name, email: user.email, role }, action };
+  });
+
+  res.json(result);
+});
+
+// ---------------------------
+// GET /api/admin/actions -> the audit log, newest first
+// query: admin_id, track_id, user_id, action, limit, cursor
+// ---------------------------
+const auditLogRequest = validate({
+  summary: "Moderation audit log, newest first",
+  tag: "admin",
+  query: t.object({
+    admin_id: t.id("Acting admin"),
+    track_id: t.id("Track acted on"),
+    user_id: t.id("User acted on (or the uploader of the track)"),
+    action: t.enum(Object.values(ACTIONS)),
+    limit: t.limit(50, 200),
+    cursor: t.cursor(),
+  }),
+});
+router.get("/actions", auditLogRequest, async (req, res) => {
+  const { limit } = req.query;
+
+  // { id } of the last entry
+  let before = null;
+  if (req.query.cursor !== undefined) {
+    before = decodeCursor(req.query.cursor)?.id;
+    if (!Number.isInteger(before)) throw fieldError({ cursor: "Invalid cursor" });
+  }
+
+  const { rows } = await dbModule.query(
+    `SELECT m.*, a.name AS admin_name
+     FROM moderation_actions m
+     LEFT JOIN users a ON a.id = m.admin_id
+     WHERE ($1::int IS NULL OR m.admin_id = $1)
+       AND ($2::int IS NULL OR m.track_id = $2)
+       AND ($3::int IS NULL OR m.user_id = $3)
+       AND ($4::text IS NULL OR m.action = $4)
+       AND ($5::bigint IS NULL OR m.id < $5)
+     ORDER BY m.id DESC
+     LIMIT $6`,
+    [
+      req.query.admin_id ?? null,
+      req.query.track_id ?? null,
+      req.query.user_id ?? null,
+      req.query.action ?? null,
+      before,
+      limit + 1,
+    ]
+  );
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  res.json({
+    actions: page.map((r) => ({ ...r, id: Number(r.id) })),
+    next_cursor: hasMore ? encodeCursor({ id: Number(page[page.length - 1].id) }) : null,
+  });
+});
+
+module.exports = router;
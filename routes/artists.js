@@ -0,0 +1,346 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const dbModule = require("../db");
+const { ARTIST_SELECT, loadArtist, mergeArtists, formatArtist } = require("../lib/artists");
+const { COVER_MAX_BYTES, validateCover, formatBytes } = require("../lib/mediaValidation");
+const { makeSafeName, putObject, removeObjects } = require("../lib/storage");
+const { requireAuth } = require("../lib/auth");
+const { trackVisibleSql } = require("../lib/moderation");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// PATCH accepts JSON or multipart with an optional image
+const imageMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: COVER_MAX_BYTES, files: 1 },
+}).single("image");
+
+function imageUpload(req, res, next) {
+  imageMulter(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(fieldError({ image: `The image must be at most ${formatBytes(COVER_MAX_BYTES)}` }, 413));
+    }
+    next(err);
+  });
+}
+
+const artistParams = t.object({ id: t.id("Artist id") });
+
+// cursors are opaque to clients: base64url JSON of { v: lower(name), id }
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ v: row.name.toLowerCase(), id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof parsed?.v !== "string" || !Number.isInteger(parsed.id)) return null;
+    return parsed;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Lock an artist for a profile change; throws unless the caller claimed it
+async function loadClaimedArtist(client, req) {
+  const { rows } = await client.query(
+    "SELECT id, name, claimed_by, image_path FROM artists WHERE id = $1 FOR UPDATE",
+    [req.params.id]
+  );
+  if (!rows[0]) throw new ApiError(404, "Artist not found");
+  if (rows[0].claimed_by !== req.user.id) {
+    throw new ApiError(403, "Only the artist who claimed this profile can change it");
+  }
+  return rows[0];
+}
+
+async function artistAliases(artistId) {
+  const { rows } = await dbModule.query(
+    "SELECT name FROM artist_aliases WHERE artist_id = $1 ORDER BY created_at ASC, name ASC",
+    [artistId]
+  );
+  return rows.map((r) => r.name);
+}
+
+// ---------------------------
+// GET /api/artists -> artists by name
+// query: q (matches any spelling), limit, cursor
+// artists without tracks are only listed once claimed
+// ---------------------------
+const listArtistsRequest = validate({
+  summary: "Artists by name",
+  query: t.object({
+    q: t.string({ max: 200, description: "Matches any spelling of the name" }),
+    limit: t.limit(DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    cursor: t.cursor(),
+  }),
+});
+router.get("/", listArtistsRequest, async (req, res) => {
+  const { limit } = req.query;
+
+  const where = ["(s.track_count > 0 OR a.claimed_by IS NOT NULL)"];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (req.query.q) {
+    where.push(
+      `a.id IN (SELECT artist_id FROM artist_aliases
+                WHERE alias_key LIKE '%' || artist_name_key(${add(req.query.q)}) || '%')`
+    );
+  }
+  if (req.query.cursor !== undefined) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) throw fieldError({ cursor: "Invalid cursor" });
+    where.push(`(lower(a.name), a.id) > (${add(cursor.v)}, ${add(cursor.id)})`);
+  }
+
+  const { rows } = await dbModule.query(
+    `${ARTIST_SELECT}
+     WHERE ${where.join(" AND ")}
+     ORDER BY lower(a.name) ASC, a.id ASC
+     LIMIT ${add(limit + 1)}`,
+    params
+  );
+
+  // fetched one extra row to know whether another page exists
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  res.json({
+    artists: page.map(formatArtist),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  });
+});
+
+// ---------------------------
+// GET /api/artists/:id -> profile, every spelling it was uploaded under, and tracks (newest first)
+// query: limit (tracks, default 50, max 200)
+// ---------------------------
+const getArtistRequest = validate({
+  summary: "Artist profile with its aliases and tracks",
+  params: artistParams,
+  query: t.object({ limit: t.limit(DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE) }),
+});
+router.get("/:id", getArtistRequest, async (req, res) => {
+  const artistId = req.params.id;
+  const { limit } = req.query;
+
+  const artist = await loadArtist(artistId);
+  if (!artist) throw new ApiError(404, "Artist not found");
+
+  const userId = req.user?.id ?? null;
+  const [aliases, tracks, following] = await Promise.all([
+    artistAliases(artistId),
+    dbModule.query(
+      `SELECT id, title, artist_name, album, release_year, cover_url, duration_seconds,
+              moods, energy, valence, play_count, like_count, created_at
+       FROM tracks WHERE artist_id = $1 AND ${trackVisibleSql("tracks", "$3")}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [artistId, limit, userId]
+    ),
+    userId
+      ? dbModule.query("SELECT 1 FROM follows WHERE follower_id = $1 AND artist_id = $2", [userId, artistId])
+      : null,
+  ]);
+
+  res.json({
+    ...formatArtist(artist),
+    aliases,
+    following: Boolean(following?.rows.length),
+    tracks: tracks.rows.map((track) => ({
+      ...track,
+      play_count: Number(track.play_count) || 0,
+      like_count: Number(track.like_count) || 0,
+      moods: track.moods || [],
+      stream_url: `/api/tracks/${track.id}/stream`,
+    })),
+  });
+});
+
+// ---------------------------
+// POST /api/artists/:id/claim -> take ownership of an artist profile
+// only someone who uploaded at least one of the artist's tracks can claim it,
+// and only while nobody else has
+// ---------------------------
+const claimArtistRequest = validate({
+  summary: "Claim an artist profile",
+  params: artistParams,
+  responses: { 200: "Already claimed by the caller", 201: "Claimed" },
+});
+router.post("/:id/claim", requireAuth, claimArtistRequest, async (req, res) => {
+  const userId = req.user.id;
+  const artistId = req.params.id;
+
+  const status = await dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query("SELECT id, claimed_by FROM artists WHERE id = $1 FOR UPDATE", [artistId]);
+    const artist = rows[0];
+    if (!artist) throw new ApiError(404, "Artist not found");
+    if (artist.claimed_by === userId) return 200;
+    if (artist.claimed_by) throw new ApiError(409, "This artist profile has already been claimed");
+
+    const uploads = await client.query(
+      "SELECT 1 FROM tracks WHERE artist_id = $1 AND user_id = $2 LIMIT 1",
+      [artistId, userId]
+    );
+    if (uploads.rows.length === 0) {
+      throw new ApiError(403, "Only an uploader of this artist's tracks can claim it");
+    }
+
+    await client.query("UPDATE artists SET claimed_by = $2, claimed_at = NOW() WHERE id = $1", [artistId, userId]);
+    return 201;
+  });
+
+  res.status(status).json(formatArtist(await loadArtist(artistId)));
+});
+
+// ---------------------------
+// DELETE /api/artists/:id/claim -> give a claimed profile back (claimant only)
+// ---------------------------
+const releaseArtistRequest = validate({ summary: "Give a claimed artist profile back", params: artistParams });
+router.delete("/:id/claim", requireAuth, releaseArtistRequest, async (req, res) => {
+  await dbModule.withTransaction(async (client) => {
+    const artist = await loadClaimedArtist(client, req);
+    await client.query("UPDATE artists SET claimed_by = NULL, claimed_at = NULL WHERE id = $1", [artist.id]);
+  });
+
+  res.json({ success: true });
+});
+
+// ---------------------------
+// PATCH /api/artists/:id -> edit the profile (claimant only)
+// body (JSON or multipart): name, bio; file field: image
+// a new name also becomes an alias, so uploads under it land here
+// ---------------------------
+const updateArtistRequest = validate({
+  summary: "Edit an artist profile",
+  params: artistParams,
+  multipart: true,
+  body: t.object({ name: t.string({ min: 1, max: 200 }), bio: t.string({ max: 5000, nullable: true }) }),
+  files: { image: "Profile image (JPEG, PNG or WebP)" },
+});
+router.patch("/:id", requireAuth, imageUpload, updateArtistRequest, async (req, res) => {
+  let newImagePath = null;
+  try {
+    const body = req.body;
+    let oldImagePath = null;
+
+    await dbModule.withTransaction(async (client) => {
+      const artist = await loadClaimedArtist(client, req);
+
+      const params = [artist.id];
+      const sets = [];
+      const set = (column, value) => {
+        params.push(value);
+        sets.push(`${column} = $${params.length}`);
+      };
+
+      if (body.name !== undefined) {
+        const name = body.name;
+        const { rows } = await client.query(
+          `SELECT k.key, a.artist_id
+           FROM (SELECT artist_name_key($1) AS key) k
+           LEFT JOIN artist_aliases a ON a.alias_key = k.key`,
+          [name]
+        );
+        if (!rows[0].key) throw fieldError({ name: "Name cannot be empty" });
+        if (rows[0].artist_id && rows[0].artist_id !== artist.id) {
+          throw fieldError({ name: "Another artist already uses this name" }, 409);
+        }
+        if (!rows[0].artist_id) {
+          await client.query(
+            "INSERT INTO artist_aliases (alias_key, artist_id, name) VALUES ($1, $2, $3)",
+            [rows[0].key, artist.id, name]
+          );
+        }
+        set("name", name);
+      }
+      if (body.bio !== undefined) {
+        set("bio", body.bio || null);
+      }
+
+      if (req.file) {
+        const checked = validateCover(req.file.buffer);
+        if (checked.error) throw fieldError({ image: checked.error });
+        newImagePath = `artists/${Date.now()}_${makeSafeName(req.file.originalname)}`;
+        const imageUrl = await putObject(newImagePath, req.file.buffer, checked.format.mime);
+        set("image_path", newImagePath);
+        set("image_url", imageUrl);
+        oldImagePath = artist.image_path;
+      }
+
+      if (sets.length === 0) throw new ApiError(400, "Nothing to update");
+      await client.query(`UPDATE artists SET ${sets.join(", ")} WHERE id = $1`, params);
+    });
+
+    // old image is only dropped once the row points at the new one
+    if (oldImagePath) await removeObjects([oldImagePath]);
+  } catch (err) {
+    if (newImagePath) await removeObjects([newImagePath]);
+    throw err;
+  }
+
+  const artistId = req.params.id;
+  res.json({ ...formatArtist(await loadArtist(artistId)), aliases: await artistAliases(artistId) });
+});
+
+// ---------------------------
+// POST /api/artists/:id/aliases -> add a spelling variant (claimant only)
+// body: { name }
+// when that spelling already belongs to another, unclaimed artist, that artist
+// (tracks, followers, aliases) is merged into this one
+// ---------------------------
+const addAliasRequest = validate({
+  summary: "Add a spelling variant, merging an unclaimed artist that uses it",
+  params: artistParams,
+  body: t.object({ name: t.string({ min: 1, max: 200 }) }, { required: ["name"] }),
+  responses: { 200: "Already an alias, or merged", 201: "Added" },
+});
+router.post("/:id/aliases", requireAuth, addAliasRequest, async (req, res) => {
+  const { name } = req.body;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const artist = await loadClaimedArtist(client, req);
+
+    const { rows } = await client.query(
+      `SELECT k.key, a.artist_id, other.claimed_by
+       FROM (SELECT artist_name_key($1) AS key) k
+       LEFT JOIN artist_aliases a ON a.alias_key = k.key
+       LEFT JOIN artists other ON other.id = a.artist_id`,
+      [name]
+    );
+    const { key, artist_id: ownerId, claimed_by: ownerClaimedBy } = rows[0];
+    if (!key) throw fieldError({ name: "An artist name is required" });
+    if (ownerId === artist.id) return { status: 200, mergedArtistId: null };
+    if (!ownerId) {
+      await client.query(
+        "INSERT INTO artist_aliases (alias_key, artist_id, name) VALUES ($1, $2, $3)",
+        [key, artist.id, name]
+      );
+      return { status: 201, mergedArtistId: null };
+    }
+    // someone else's profile is theirs to merge, not ours
+    if (ownerClaimedBy && ownerClaimedBy !== req.user.id) {
+      throw fieldError({ name: "That name belongs to an artist claimed by someone else" }, 409);
+    }
+    await mergeArtists(client, ownerId, artist.id);
+    return { status: 200, mergedArtistId: ownerId };
+  });
+
+  const artistId = req.params.id;
+  res.status(result.status).json({
+    ...formatArtist(await loadArtist(artistId)),
+    aliases: await artistAliases(artistId),
+    merged_artist_id: result.mergedArtistId,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,446 @@
+const express = require("express");
+const axios = require("axios");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const dbModule = require("../db");
+const { linkIdentity, requireAuth } = require("../lib/auth");
+const { sendMail } = require("../lib/mailer");
+const {
+  REFRESH_COOKIE,
+  cookieOptions,
+  hashToken,
+  clearSessionCookie,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../lib/session");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+const { createRateLimitStore } = require("../lib/rateLimitStore");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+const OAUTH_STATE_COOKIE = "oauth_state";
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_BYTES = 72; // bcrypt ignores anything past this
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFY_TOKEN_TTL_HOURS = 48;
+
+// compared against when there's no account, so unknown emails cost as much as
+// wrong passwords; hashed at startup at the same cost as real ones
+const dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString("hex"), BCRYPT_ROUNDS);
+
+// brute-force guard for credential endpoints (the global /api limiter doesn't cover /auth)
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next) => next(new ApiError(429, "Too many attempts, try again later")),
+  // shared between instances, like the API limiter
+  store: createRateLimitStore("auth:"),
+  passOnStoreError: true,
+});
+
+// passwords are checked as sent: no trimming
+const passwordField = t.string({
+  min: MIN_PASSWORD_LENGTH,
+  trim: false,
+  message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+});
+const refreshBody = t.object({
+  refresh_token: t.string({ max: 1000, description: "Only needed when the refresh cookie can't be sent" }),
+});
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    name: user.name || null,
+    email: user.email || null,
+    email_verified: Boolean(user.email_verified_at),
+  };
+}
+
+// the schema checks the length in characters; bcrypt's limit is in bytes
+function checkPasswordBytes(password) {
+  if (Buffer.byteLength(password, "utf8") > MAX_PASSWORD_BYTES) {
+    throw fieldError({ password: `Password must be at most ${MAX_PASSWORD_BYTES} bytes` });
+  }
+}
+
+// refresh token from the scoped cookie, or the body for non-browser clients
+function presentedRefreshToken(req) {
+  return req.cookies?.[REFRESH_COOKIE] || req.body?.refresh_token || null;
+}
+
+// Mail a link that proves the user controls user.email; supersedes earlier links
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await dbModule.query(
+    "UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+    [user.id]
+  );
+  await dbModule.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+    [user.id, user.email, hashToken(token), VERIFY_TOKEN_TTL_HOURS]
+  );
+
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your MoodStream email",
+    text:
+      `Confirm that this address belongs to your MoodStream account.\n\n` +
+      `Open this link within ${VERIFY_TOKEN_TTL_HOURS} hours:\n${link}\n\n` +
+      `If you didn't create an account, ignore this email.`,
+  });
+}
+
+// -----------------------------------------
+// GOOGLE AUTH ROUTES
+// -----------------------------------------
+const googleSignInRequest = validate({
+  summary: "Start Google sign-in (redirects to Google)",
+  responses: { 302: "Redirect" },
+});
+router.get("/google", googleSignInRequest, (req, res) => {
+  // state ties the callback to this browser (CSRF protection)
+  const state = crypto.randomBytes(32).toString("hex");
+  res.cookie(OAUTH_STATE_COOKIE, state, {
+    ...cookieOptions(OAUTH_STATE_TTL_SECONDS),
+    // Google's redirect back is a top-level GET, which lax cookies survive
+    sameSite: "lax",
+  });
+
+  const params = new URLSearchParams({
+    client_id: process.env.GOOGLE_CLIENT_ID || "",
+    redirect_uri: process.env.GOOGLE_REDIRECT_URI || "",
+    response_type: "code",
+    scope: "openid email profile",
+    state,
+  });
+  res.redirect(`https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`);
+});
+
+// answered with plain text: the user lands here in the browser
+const googleCallbackRequest = validate({
+  summary: "Google sign-in callback (redirects to the app)",
+  query: t.object({ code: t.string({ max: 2000 }), state: t.string({ max: 200 }) }),
+  responses: { 302: "Redirect" },
+});
+router.get("/google/callback", googleCallbackRequest, async (req, res) => {
+  const code = req.query.code;
+  if (!code) return res.status(400).send("Missing code parameter");
+
+  const expectedState = req.cookies?.[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE, { ...cookieOptions(), sameSite: "lax" });
+  const state = Buffer.from(String(req.query.state || ""));
+  const expected = Buffer.from(String(expectedState || ""));
+  if (!expectedState || state.length !== expected.length || !crypto.timingSafeEqual(state, expected)) {
+    return res.status(400).send("Invalid OAuth state");
+  }
+
+  try {
+    const tokenResp = await axios.post(
+      "https://oauth2.googleapis.com/token",
+      new URLSearchParams({
+        code,
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET,
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
+        grant_type: "authorization_code",
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    const accessToken = tokenResp.data.access_token;
+    if (!accessToken) return res.status(500).send("Authentication failed");
+
+    const profileResp = await axios.get("https://www.googleapis.com/oauth2/v2/userinfo", {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    const profile = profileResp.data;
+    if (!profile?.id) return res.status(500).send("Authentication failed");
+
+    const user = await linkIdentity("google", {
+      subject: String(profile.id),
+      email: profile.email,
+      emailVerified: profile.verified_email === true,
+      name: profile.name,
+      avatarUrl: profile.picture,
+    });
+
+    if (user.banned_at) return res.redirect(`${FRONTEND_URL}/?login=banned`);
+    await issueSession(req, res, user);
+    return res.redirect(`${FRONTEND_URL}/?login=success`);
+  } catch (err) {
+    console.error("GOOGLE CALLBACK ERROR:", err?.response?.data || err.message);
+    return res.status(500).send("Authentication failed");
+  }
+});
+
+// -----------------------------------------
+// EMAIL / PASSWORD ACCOUNTS
+// -----------------------------------------
+
+// POST /auth/register  body: { email, password, name? }
+const registerRequest = validate({
+  summary: "Create an email/password account and sign in",
+  body: t.object(
+    { email: t.email(), password: passwordField, name: t.string({ max: 200 }) },
+    { required: ["email", "password"] }
+  ),
+  responses: { 201: "Signed in" },
+});
+router.post("/register", credentialLimiter, registerRequest, async (req, res) => {
+  const email = req.body.email.toLowerCase();
+  checkPasswordBytes(req.body.password);
+  const name = req.body.name || null;
+
+  const passwordHash = await bcrypt.hash(req.body.password, BCRYPT_ROUNDS);
+
+  const existing = await dbModule.query(
+    "SELECT id, password_hash FROM users WHERE lower(email) = $1 ORDER BY id LIMIT 1",
+    [email]
+  );
+  if (existing.rows[0]) {
+    // rows made by Google/Supabase sign-in get a password through the reset flow,
+    // which proves control of the mailbox first
+    throw fieldError(
+      {
+        email: existing.rows[0].password_hash
+          ? "An account with this email already exists"
+          : "This email is linked to another sign-in method; use password reset to add a password",
+      },
+      409
+    );
+  }
+
+  let user;
+  try {
+    const { rows } = await dbModule.query(
+      `INSERT INTO users (name, email, password_hash)
+       VALUES ($1, $2, $3)
+       RETURNING id, name, email, email_verified_at, session_version`,
+      [name, email, passwordHash]
+    );
+    user = rows[0];
+  } catch (err) {
+    // lost a race with a concurrent registration
+    if (err.code === "23505") throw fieldError({ email: "An account with this email already exists" }, 409);
+    throw err;
+  }
+
+  // the account works right away; the address only counts once confirmed
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error("Could not send verification email:", err);
+  }
+
+  const tokens = await issueSession(req, res, user);
+  res.status(201).json({ user: publicUser(user), ...tokens });
+});
+
+// POST /auth/login  body: { email, password }
+const loginRequest = validate({
+  summary: "Sign in with email and password",
+  body: t.object(
+    { email: t.string({ min: 1, max: 320 }), password: t.string({ min: 1, trim: false }) },
+    { required: ["email", "password"] }
+  ),
+});
+router.post("/login", credentialLimiter, loginRequest, async (req, res) => {
+  const email = req.body.email.toLowerCase();
+  const { password } = req.body;
+
+  const { rows } = await dbModule.query(
+    `SELECT id, name, email, email_verified_at, password_hash, banned_at, session_version
+     FROM users WHERE lower(email) = $1 AND password_hash IS NOT NULL
+     ORDER BY email_verified_at IS NULL, id LIMIT 1`,
+    [email]
+  );
+  const user = rows[0];
+  // same answer, and the same bcrypt work, for unknown email and wrong password
+  const ok = await bcrypt.compare(password, user?.password_hash || (await dummyPasswordHash));
+  if (!ok || !user) throw new ApiError(401, "Invalid email or password");
+  if (user.banned_at) throw new ApiError(403, "This account has been suspended", { code: "account_banned" });
+
+  const tokens = await issueSession(req, res, user);
+  res.json({ user: publicUser(user), ...tokens });
+});
+
+// POST /auth/refresh  (refresh_token cookie or body) -> new access + refresh token
+const refreshRequest = validate({ summary: "Swap a refresh token for a new session", body: refreshBody });
+router.post("/refresh", refreshRequest, async (req, res) => {
+  const result = await rotateRefreshToken(req, res, presentedRefreshToken(req));
+  if (result.error) {
+    clearSessionCookie(res);
+    if (result.banned) throw new ApiError(403, result.error, { code: "account_banned" });
+    throw new ApiError(401, result.error);
+  }
+  res.json({
+    user: publicUser(result.user),
+    access_token: result.accessToken,
+    refresh_token: result.refreshToken,
+  });
+});
+
+// POST /auth/logout-all -> revoke every session of the current user
+const logoutAllRequest = validate({ summary: "Sign out every session of the caller" });
+router.post("/logout-all", requireAuth, logoutAllRequest, async (req, res) => {
+  await revokeAllSessions(req.user.id);
+  clearSessionCookie(res);
+  res.json({ message: "Logged out everywhere" });
+});
+
+// POST /auth/password/forgot  body: { email }
+// always 200 so the endpoint can't be used to probe for accounts
+const forgotPasswordRequest = validate({
+  summary: "Email a password reset link",
+  body: t.object({ email: t.email() }, { required: ["email"] }),
+});
+router.post("/password/forgot", credentialLimiter, forgotPasswordRequest, async (req, res) => {
+  const email = req.body.email.toLowerCase();
+  try {
+    const { rows } = await dbModule.query(
+      "SELECT id, email FROM users WHERE lower(email) = $1 ORDER BY email_verified_at IS NULL, id LIMIT 1",
+      [email]
+    );
+    const user = rows[0];
+    if (user) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      // a new request supersedes any earlier link
+      await dbModule.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+        [user.id]
+      );
+      await dbModule.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+      );
+
+      const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your MoodStream password",
+        text:
+          `Someone asked to reset the password for this MoodStream account.\n\n` +
+          `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:\n${link}\n\n` +
+          `If it wasn't you, ignore this email.`,
+      });
+    }
+  } catch (err) {
+    console.error("POST /auth/password/forgot error:", err);
+  }
+  res.json({ message: "If that account exists, a reset link has been sent" });
+});
+
+// POST /auth/password/reset  body: { token, password }
+// single use; signs out every existing session
+const resetPasswordRequest = validate({
+  summary: "Choose a new password with a reset link token",
+  body: t.object(
+    { token: t.string({ min: 1, max: 200, trim: false }), password: passwordField },
+    { required: ["token", "password"] }
+  ),
+});
+router.post("/password/reset", credentialLimiter, resetPasswordRequest, async (req, res) => {
+  const { token } = req.body;
+  checkPasswordBytes(req.body.password);
+
+  const passwordHash = await bcrypt.hash(req.body.password, BCRYPT_ROUNDS);
+
+  const user = await dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+    if (!rows[0]) return null;
+
+    // the link went to users.email, so the reset also confirms the address
+    const updated = await client.query(
+      `UPDATE users SET password_hash = $2, email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1
+       RETURNING id, name, email, email_verified_at`,
+      [rows[0].user_id, passwordHash]
+    );
+    await revokeAllSessions(rows[0].user_id, client);
+    return updated.rows[0];
+  });
+  if (!user) throw fieldError({ token: "Reset link is invalid or has expired" });
+
+  clearSessionCookie(res);
+  res.json({ message: "Password updated", user: publicUser(user) });
+});
+
+// POST /auth/email/verify  body: { token }
+// single use; works without a session so the link can be opened anywhere
+const verifyEmailRequest = validate({
+  summary: "Confirm an email address with the emailed token",
+  body: t.object({ token: t.string({ min: 1, max: 200, trim: false }) }, { required: ["token"] }),
+});
+router.post("/email/verify", credentialLimiter, verifyEmailRequest, async (req, res) => {
+  const user = await dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE email_verification_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id, email`,
+      [hashToken(req.body.token)]
+    );
+    if (!rows[0]) return null;
+
+    // only the address the link was sent to
+    const updated = await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1 AND lower(email) = lower($2)
+       RETURNING id, name, email, email_verified_at`,
+      [rows[0].user_id, rows[0].email]
+    );
+    return updated.rows[0] || null;
+  });
+  if (!user) throw fieldError({ token: "Verification link is invalid or has expired" });
+
+  res.json({ message: "Email confirmed", user: publicUser(user) });
+});
+
+// POST /auth/email/resend -> a new verification link for the signed-in user
+const resendVerificationRequest = validate({ summary: "Email a new verification link to the caller" });
+router.post("/email/resend", requireAuth, credentialLimiter, resendVerificationRequest, async (req, res) => {
+  if (req.user.emailVerified) return res.json({ message: "Email already confirmed" });
+  if (!req.user.email) throw new ApiError(409, "This account has no email address");
+
+  await sendVerificationEmail(req.user);
+  res.json({ message: "Verification link sent" });
+});
+
+const currentUserRequest = validate({ summary: "The signed-in user, or null" });
+router.get("/me", currentUserRequest, (req, res) => {
+  if (!req.user) return res.json({ user: null });
+  const { id, name, email, emailVerified, role } = req.user;
+  return res.json({ user: { id, name, email, email_verified: emailVerified, role } });
+});
+
+const logoutRequest = validate({ summary: "Sign out this session", body: refreshBody });
+router.post("/logout", logoutRequest, async (req, res) => {
+  try {
+    await revokeRefreshToken(presentedRefreshToken(req));
+  } catch (err) {
+    console.error("POST /auth/logout error:", err);
+  }
+  clearSessionCookie(res);
+  // pre-session clients still carry the old plain profile cookie
+  res.clearCookie("user");
+  res.json({ message: "Logged out" });
+});
+
+module.exports = router;
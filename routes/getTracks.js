@@ -1,32 +1,715 @@
 const express = require("express");
+const multer = require("multer");
+const { pipeline } = require("stream");
 const router = express.Router();
-const supabase = require("../supabaseClient");
+const dbModule = require("../db");
+const { normalizeMood, parseMoodFields } = require("../lib/moods");
+const { isTrackOwner, requireAuth } = require("../lib/auth");
+const { COVER_MAX_BYTES, validateCover, formatBytes } = require("../lib/mediaValidation");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+const { WAVEFORM_JOB, queueTrackProcessing } = require("../lib/jobHandlers");
+const { similarTracks } = require("../lib/recommendations");
+const { resolveArtist } = require("../lib/artists");
+const { REPORT_REASONS, trackVisibleSql, canSeeTrack, hiddenTrackRooms } = require("../lib/moderation");
+const {
+  makeSafeName,
+  putObject,
+  getObjectStream,
+  removeObjects,
+  resolveStorageUrl,
+} = require("../lib/storage");
 
-router.get("/", async (req, res) => {
+// "proxy" streams bytes through this server (default); "redirect" hands the
+// client a short-lived signed storage URL instead
+const STREAM_MODE = process.env.STREAM_MODE === "redirect" ? "redirect" : "proxy";
+
+// PATCH accepts JSON or multipart with an optional replacement cover
+const coverMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: COVER_MAX_BYTES, files: 1 },
+}).single("cover");
+
+function coverUpload(req, res, next) {
+  coverMulter(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") {
+      return next(fieldError({ cover: `The cover image must be at most ${formatBytes(COVER_MAX_BYTES)}` }, 413));
+    }
+    next(err);
+  });
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// short, so a waveform cached before its track was hidden doesn't outlive the hide by much
+const WAVEFORM_MAX_AGE_SECONDS = 300;
+
+// sort key -> expression, its SQL type (for cursor casts) and direction;
+// id is always the tie-breaker so keyset pagination is stable
+const SORTS = {
+  newest: { expr: "created_at", type: "timestamptz", dir: "DESC" },
+  title: { expr: "lower(title)", type: "text", dir: "ASC" },
+  most_played: { expr: "play_count", type: "bigint", dir: "DESC" },
+};
+
+const SEARCH_DOCUMENT =
+  "to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(artist_name, '') || ' ' || coalesce(uploader_name, ''))";
+
+// cursors are opaque to clients: base64url JSON of { sort, v: last sort value, id }
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ sort, v: row.cursor_value, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
   try {
-    const { data, error } = await supabase.from("tracks").select("*");
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (parsed?.sort !== sort || !Number.isInteger(parsed.id) || parsed.v === undefined) return null;
+    return parsed;
+  } catch (e) {
+    return null;
+  }
+}
+
+const trackParams = t.object({ id: t.id("Track id") });
+
+/**
+ * Build WHERE clauses + params from the (validated) listing query string.
+ * @returns {{ where: string[], params: any[] }}
+ */
+function buildTrackFilters(query, sort) {
+  const where = [];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (query.q) {
+    where.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', ${add(query.q)})`);
+  }
+
+  if (query.mood !== undefined) {
+    const mood = normalizeMood(query.mood);
+    if (!mood) throw fieldError({ mood: `Unknown mood: ${query.mood}` });
+    where.push(`${add(mood)} = ANY(moods)`);
+  }
+
+  if (query.artist_id !== undefined) {
+    where.push(`artist_id = ${add(query.artist_id)}`);
+  }
+
+  if (query.uploader) {
+    where.push(`lower(uploader_name) = lower(${add(query.uploader)})`);
+  }
+
+  if (query.mime_type) {
+    const mime = query.mime_type.toLowerCase();
+    // "audio/*" matches every audio subtype
+    if (mime.endsWith("/*")) where.push(`mime_type LIKE ${add(mime.slice(0, -1) + "%")}`);
+    else where.push(`mime_type = ${add(mime)}`);
+  }
+
+  if (query.from !== undefined) {
+    where.push(`created_at >= ${add(new Date(query.from))}`);
+  }
+  if (query.to !== undefined) {
+    where.push(`created_at <= ${add(new Date(query.to))}`);
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) throw fieldError({ cursor: "Invalid cursor" });
+    const { expr, type, dir } = SORTS[sort];
+    const op = dir === "DESC" ? "<" : ">";
+    where.push(`(${expr}, id) ${op} (${add(cursor.v)}::${type}, ${add(cursor.id)})`);
+  }
+
+  return { where, params };
+}
+
+// ---------------------------
+// GET /api/tracks
+// query: q, mood, artist_id, uploader, mime_type, from, to,
+//        sort (newest | title | most_played), limit, cursor
+// ---------------------------
+const listTracksRequest = validate({
+  summary: "List and search tracks",
+  query: t.object({
+    q: t.string({ max: 200, description: "Full-text search over title, artist and uploader" }),
+    mood: t.string({ max: 40 }),
+    artist_id: t.id(),
+    uploader: t.string({ max: 200 }),
+    mime_type: t.string({ max: 100, description: 'Exact type, or a family like "audio/*"' }),
+    from: t.date({ description: "Uploaded at or after" }),
+    to: t.date({ description: "Uploaded at or before" }),
+    sort: t.enum(Object.keys(SORTS), { default: "newest" }),
+    limit: t.limit(DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    cursor: t.cursor(),
+  }),
+});
+router.get("/", listTracksRequest, async (req, res) => {
+  const { sort, limit } = req.query;
+  const filters = buildTrackFilters(req.query, sort);
+  // hidden tracks only for their uploader and admins (the caller's id follows the filter params)
+  filters.where.push(trackVisibleSql("tracks", `$${filters.params.length + 1}`));
+
+  const { expr, dir } = SORTS[sort];
+  const params = [...filters.params, req.user?.id ?? null, limit + 1];
+  const sql = `
+    SELECT id, title, artist_name, uploader_name,
+           artist_id, public_url, cover_url,
+           storage_key, size_bytes, mime_type,
+           moods, energy, valence,
+           album, release_year, duration_seconds,
+           bitrate, sample_rate, codec,
+           play_count, like_count, created_at, hidden_at,
+           EXISTS (SELECT 1 FROM track_likes l
+                   WHERE l.track_id = tracks.id AND l.user_id = $${params.length - 1}::int) AS liked,
+           (${expr})::text AS cursor_value
+    FROM tracks
+    ${filters.where.length ? "WHERE " + filters.where.join(" AND ") : ""}
+    ORDER BY ${expr} ${dir}, id ${dir}
+    LIMIT $${params.length}
+  `;
+  const result = await dbModule.query(sql, params);
+
+  // fetched one extra row to know whether another page exists
+  const hasMore = result.rows.length > limit;
+  const page = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  // liked is per caller, so it stays out of the shape shared with socket events
+  const tracks = page.map((r) => ({ ...formatTrack(r), liked: r.liked }));
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+  res.json({
+    tracks,
+    next_cursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+  });
+});
+
+// Public shape of a tracks row
+function formatTrack(r) {
+  return {
+    id: r.id,
+    title: r.title,
+    artist_name: r.artist_name,
+    artist_id: r.artist_id ?? null,
+    uploader_name: r.uploader_name,
+    public_url: r.public_url,
+    stream_url: `/api/tracks/${r.id}/stream`,
+    cover_url: r.cover_url,
+    storage_key: r.storage_key,
+    size_bytes: r.size_bytes,
+    mime_type: r.mime_type,
+    moods: r.moods || [],
+    energy: r.energy,
+    valence: r.valence,
+    album: r.album,
+    release_year: r.release_year,
+    duration_seconds: r.duration_seconds,
+    bitrate: r.bitrate,
+    sample_rate: r.sample_rate,
+    codec: r.codec,
+    play_count: Number(r.play_count) || 0,
+    like_count: Number(r.like_count) || 0,
+    created_at: r.created_at,
+    // only ever true for the uploader and admins; everyone else doesn't get the track at all
+    hidden: Boolean(r.hidden_at),
+  };
+}
+
+// If-Range: only honour Range when the validator still matches
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) return ifRange === etag;
+  return ifRange === lastModified;
+}
+
+// ---------------------------
+// GET /api/tracks/:id/stream
+// Range-aware audio streaming (206 partial content, ETag / Last-Modified)
+// ---------------------------
+const streamTrackRequest = validate({
+  summary: "Stream a track's audio (Range requests supported)",
+  params: trackParams,
+  responses: { 200: "Audio bytes", 206: "Partial content", 302: "Redirect to a signed storage URL" },
+});
+router.get("/:id/stream", streamTrackRequest, async (req, res) => {
+  const trackId = req.params.id;
+
+  const { rows } = await dbModule.query(
+    `SELECT id, user_id, auth_user_id, hidden_at, storage_key, mime_type, size_bytes, created_at
+     FROM tracks WHERE id = $1 LIMIT 1`,
+    [trackId]
+  );
+  const track = rows[0];
+  if (!track || !canSeeTrack(track, req.user)) throw new ApiError(404, "Track not found");
+
+  // debug/ keys are placeholders written when the storage upload failed
+  if (!track.storage_key || track.storage_key.startsWith("debug/")) {
+    throw new ApiError(404, "Audio not available");
+  }
+
+  // stored objects are never overwritten (upsert: false), so id + size + upload time is a stable validator
+  const uploadedAt = new Date(track.created_at);
+  const size = Number(track.size_bytes) || null;
+  const etag = `"${track.id}-${size || 0}-${uploadedAt.getTime()}"`;
+  const lastModified = uploadedAt.toUTCString();
+
+  res.set({
+    ETag: etag,
+    "Last-Modified": lastModified,
+    "Accept-Ranges": "bytes",
+    "Content-Type": track.mime_type || "application/octet-stream",
+    "Cache-Control": "private, max-age=3600",
+    // helmet defaults to same-origin; <audio> on the frontend origin needs this
+    "Cross-Origin-Resource-Policy": "cross-origin",
+  });
+
+  // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+  if (req.fresh) return res.status(304).end();
+
+  // --- Work out the requested byte range ---
+  let range = null;
+  if (req.headers.range && size && ifRangeMatches(req, etag, lastModified)) {
+    const parsed = req.range(size, { combine: true });
+    if (parsed === -1) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
     }
+    // malformed or multi-range requests get the full body
+    if (Array.isArray(parsed) && parsed.type === "bytes" && parsed.length === 1) {
+      range = parsed[0];
+    }
+  }
+
+  // legacy rows may hold an absolute URL instead of an object key
+  if (STREAM_MODE === "redirect" || /^https?:\/\//i.test(track.storage_key)) {
+    const url = await resolveStorageUrl(track.storage_key);
+    if (!url) throw new ApiError(502, "Storage unavailable");
+    return res.redirect(302, url);
+  }
+
+  if (req.method === "HEAD") {
+    if (range) {
+      res.set("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+      res.set("Content-Length", String(range.end - range.start + 1));
+      return res.status(206).end();
+    }
+    if (size) res.set("Content-Length", String(size));
+    return res.status(200).end();
+  }
+
+  // --- Read from the storage driver ---
+  let object;
+  try {
+    object = await getObjectStream(track.storage_key, range);
+  } catch (err) {
+    if (err.status === 416) {
+      res.set("Content-Range", `bytes */${size || "*"}`);
+      return res.status(416).end();
+    }
+    if (err.status === 404) throw new ApiError(404, "Audio not available");
+    console.error("Stream storage error:", track.storage_key, err?.message || err);
+    throw new ApiError(502, "Storage unavailable");
+  }
+
+  // drivers may ignore Range; only claim 206 when a part actually came back
+  if (object.status === 206) {
+    res.status(206);
+    res.set(
+      "Content-Range",
+      range ? `bytes ${range.start}-${range.end}/${size}` : object.contentRange
+    );
+  } else {
+    res.status(200);
+  }
+  if (object.contentLength) {
+    res.set("Content-Length", String(object.contentLength));
+  }
+
+  pipeline(object.stream, res, (err) => {
+    // client aborts (seeking) end the pipeline early; that's expected
+    if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.warn("Stream pipeline error:", err.message);
+    }
+  });
+});
+
+// ---------------------------
+// GET /api/tracks/:id/waveform
+// 200 { track_id, points, peaks } once generated; 202 { status, job_id } while
+// the background job is queued or running (watch job-updated on the socket)
+// ---------------------------
+const waveformRequest = validate({
+  summary: "Waveform peaks for a track",
+  params: trackParams,
+  responses: { 200: "Waveform", 202: "Still being generated" },
+});
+router.get("/:id/waveform", waveformRequest, async (req, res) => {
+  const trackId = req.params.id;
 
-    // Generate public URLs
-    const tracks = data.map(track => {
-      const { data: urlData } = supabase.storage
-        .from("tracks")
-        .getPublicUrl(track.storage_key);
+  const { rows } = await dbModule.query(
+    `SELECT t.id, t.user_id, t.auth_user_id, t.hidden_at, w.points, w.peaks, w.updated_at
+     FROM tracks t
+     LEFT JOIN track_waveforms w ON w.track_id = t.id
+     WHERE t.id = $1
+     LIMIT 1`,
+    [trackId]
+  );
+  const track = rows[0];
+  if (!track || !canSeeTrack(track, req.user)) throw new ApiError(404, "Track not found");
 
-      return {
-        ...track,
-        public_url: urlData.publicUrl
-      };
+  if (track.peaks) {
+    // a hidden track's waveform is only for its uploader and admins: keep it out of shared caches
+    res.set("Cache-Control", `${track.hidden_at ? "private" : "public"}, max-age=${WAVEFORM_MAX_AGE_SECONDS}`);
+    return res.json({
+      track_id: track.id,
+      points: track.points,
+      peaks: track.peaks,
+      updated_at: track.updated_at,
     });
+  }
+
+  const jobs = await dbModule.query(
+    `SELECT id, status, last_error FROM jobs
+     WHERE type = $1 AND payload->>'trackId' = $2
+     ORDER BY id DESC
+     LIMIT 1`,
+    [WAVEFORM_JOB, String(trackId)]
+  );
+  let job = jobs.rows[0];
+  if (job?.status === "dead") {
+    throw new ApiError(404, "Waveform could not be generated", { details: { status: "failed" } });
+  }
+  // tracks uploaded before the job queue existed get theirs on first request
+  if (!job) job = await queueTrackProcessing({ id: trackId }, null);
+  if (!job) throw new ApiError(503, "Waveform not available yet");
+
+  res.set("Retry-After", "5");
+  res.status(202).json({ status: job.status, job_id: Number(job.id) });
+});
+
+// ---------------------------
+// GET /api/tracks/:id/similar -> "more like this"
+// query: limit (default 20, max 50); signed-in callers don't get tracks already in their playlists
+// ---------------------------
+const similarTracksRequest = validate({
+  summary: "Tracks similar to this one",
+  params: trackParams,
+  query: t.object({ limit: t.limit(20, 50) }),
+});
+router.get("/:id/similar", similarTracksRequest, async (req, res) => {
+  const trackId = req.params.id;
+  const tracks = await similarTracks(trackId, { userId: req.user?.id ?? null, limit: req.query.limit });
+  if (!tracks) throw new ApiError(404, "Track not found");
+
+  res.json({ track_id: trackId, tracks });
+});
+
+// Send track-level socket events to every client, or only to the uploader and
+// admins when the track row passed in is hidden (non-fatal)
+async function emitTrackEvent(req, event, payload, track = null) {
+  try {
+    const io = req.app?.get("io");
+    if (!io) return;
+    if (track?.hidden_at) {
+      io.to(await hiddenTrackRooms(track)).emit(event, payload);
+    } else {
+      io.emit(event, payload);
+    }
+  } catch (e) {
+    console.warn(`Could not emit socket ${event}:`, e);
+  }
+}
+
+// Load a track for a mutation and enforce uploader ownership
+async function loadOwnedTrack(req) {
+  const { rows } = await dbModule.query(
+    "SELECT id, auth_user_id, user_id, storage_key, cover_path FROM tracks WHERE id = $1 LIMIT 1",
+    [req.params.id]
+  );
+  if (!rows[0]) throw new ApiError(404, "Track not found");
+  if (!isTrackOwner(rows[0], req.user)) throw new ApiError(403, "Forbidden");
+  return rows[0];
+}
+
+// ---------------------------
+// PATCH /api/tracks/:id
+// body (JSON or multipart): title, artist_name, album, release_year,
+//                           moods, energy, valence; file field: cover
+// uploader only; omitted fields are left unchanged
+// ---------------------------
+const trackFields = t.object({
+  title: t.string({ min: 1, max: 300 }),
+  artist_name: t.string({ max: 200 }),
+  artist: t.string({ max: 200, description: "Same as artist_name" }),
+  album: t.string({ max: 300, nullable: true }),
+  release_year: t.integer({ min: 0, max: 9999, nullable: true, message: "release_year must be a year" }),
+  moods: t.oneOf(["array", "string"], { description: 'Mood tags: a list, a JSON array or "chill,focus"' }),
+  energy: t.number({ min: 0, max: 1, nullable: true }),
+  valence: t.number({ min: 0, max: 1, nullable: true }),
+});
+
+async function handleUpdateTrack(req, res) {
+  let newCoverPath = null;
+  try {
+    const existing = await loadOwnedTrack(req);
+
+    const body = req.body || {};
+    const params = [existing.id];
+    const sets = [];
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    };
+
+    if (body.title !== undefined) {
+      set("title", body.title);
+    }
+    if (body.artist_name !== undefined || body.artist !== undefined) {
+      const artistName = (body.artist_name ?? body.artist) || "Unknown Artist";
+      set("artist_name", artistName);
+      set("artist_id", await resolveArtist(artistName));
+    }
+    if (body.album !== undefined) {
+      set("album", body.album || null);
+    }
+    if (body.release_year !== undefined) {
+      set("release_year", body.release_year);
+    }
+
+    if (body.moods !== undefined || body.energy !== undefined || body.valence !== undefined) {
+      const moodFields = parseMoodFields(body);
+      if (moodFields.error) {
+        throw fieldError({ [moodFields.field]: moodFields.error });
+      }
+      if (body.moods !== undefined) set("moods", moodFields.moods);
+      if (body.energy !== undefined) set("energy", moodFields.energy);
+      if (body.valence !== undefined) set("valence", moodFields.valence);
+    }
+
+    if (req.file) {
+      const checked = validateCover(req.file.buffer);
+      if (checked.error) throw fieldError({ cover: checked.error });
+      newCoverPath = `covers/${Date.now()}_${makeSafeName(req.file.originalname)}`;
+      const coverUrl = await putObject(newCoverPath, req.file.buffer, checked.format.mime);
+      set("cover_path", newCoverPath);
+      set("cover_url", coverUrl);
+    }
+
+    if (sets.length === 0) {
+      throw new ApiError(400, "Nothing to update");
+    }
 
-    res.json({ tracks });
+    const { rows } = await dbModule.query(
+      `UPDATE tracks SET ${sets.join(", ")} WHERE id = $1 RETURNING *`,
+      params
+    );
+    const track = formatTrack(rows[0]);
 
+    // old cover is only dropped once the row points at the new one
+    if (newCoverPath && existing.cover_path) {
+      await removeObjects([existing.cover_path]);
+    }
+
+    await emitTrackEvent(req, "track-updated", track, rows[0]);
+    res.json({ track });
   } catch (err) {
-    res.status(500).json({ error: "Server error" });
+    if (newCoverPath) await removeObjects([newCoverPath]);
+    throw err;
+  }
+}
+
+const updateTrackRequest = validate({
+  summary: "Edit a track (uploader only)",
+  params: trackParams,
+  body: trackFields,
+  multipart: true,
+  files: { cover: "Replacement cover image" },
+});
+router.patch("/:id", requireAuth, coverUpload, updateTrackRequest, handleUpdateTrack);
+// older clients only edit moods
+const updateMoodsRequest = validate({
+  summary: "Edit a track's moods (legacy)",
+  params: trackParams,
+  body: trackFields,
+});
+router.patch("/:id/moods", requireAuth, updateMoodsRequest, handleUpdateTrack);
+
+// ---------------------------
+// DELETE /api/tracks/:id
+// uploader only; removes playlist entries and the audio/cover storage objects
+// ---------------------------
+const deleteTrackRequest = validate({ summary: "Delete a track (uploader only)", params: trackParams });
+router.delete("/:id", requireAuth, deleteTrackRequest, async (req, res) => {
+  const existing = await loadOwnedTrack(req);
+
+  const { deleted, playlistIds } = await dbModule.withTransaction(async (client) => {
+    const ps = await client.query(
+      "DELETE FROM playlist_songs WHERE track_id = $1 RETURNING playlist_id",
+      [existing.id]
+    );
+    const removed = await client.query(
+      "DELETE FROM tracks WHERE id = $1 RETURNING storage_key, cover_path",
+      [existing.id]
+    );
+    return {
+      deleted: removed.rows[0],
+      playlistIds: [...new Set(ps.rows.map((r) => r.playlist_id))],
+    };
+  });
+
+  if (deleted) {
+    await removeObjects([deleted.storage_key, deleted.cover_path]);
   }
+
+  await emitTrackEvent(req, "track-deleted", { id: existing.id, playlistIds });
+  res.json({ success: true, id: existing.id });
+});
+
+// a play "counts" towards play_count unless skipped or shorter than this
+// (or half the track, for tracks under a minute)
+const MIN_COUNTED_SECONDS = 30;
+
+// ---------------------------
+// POST /api/tracks/:id/plays
+// body: { listened_seconds, skipped? }
+// anonymous plays still count; signed-in plays also land in /api/me/history
+// ---------------------------
+const recordPlayRequest = validate({
+  summary: "Record a play",
+  params: trackParams,
+  body: t.object({
+    listened_seconds: t.number({ min: 0, default: 0 }),
+    skipped: t.boolean({ default: false }),
+  }),
+  responses: { 201: "Play recorded" },
+});
+router.post("/:id/plays", recordPlayRequest, async (req, res) => {
+  const trackId = req.params.id;
+  const { listened_seconds: listened, skipped } = req.body;
+  const userId = req.user?.id;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const found = await client.query(
+      "SELECT id, user_id, auth_user_id, hidden_at, duration_seconds FROM tracks WHERE id = $1 LIMIT 1",
+      [trackId]
+    );
+    const track = found.rows[0];
+    if (!track || !canSeeTrack(track, req.user)) return null;
+
+    const duration = Number(track.duration_seconds) || null;
+    // clients can over-report after seeking/looping; never more than the track length
+    const listenedSeconds = duration ? Math.min(listened, duration) : listened;
+    const threshold = duration ? Math.min(MIN_COUNTED_SECONDS, duration / 2) : MIN_COUNTED_SECONDS;
+    const counted = !skipped && listenedSeconds >= threshold;
+
+    const { rows } = await client.query(
+      `INSERT INTO plays (track_id, user_id, listened_seconds, skipped, counted, played_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING id, track_id, listened_seconds, skipped, counted, played_at`,
+      [trackId, userId, listenedSeconds, skipped, counted]
+    );
+
+    const updated = await client.query(
+      "UPDATE tracks SET play_count = play_count + $2 WHERE id = $1 RETURNING play_count",
+      [trackId, counted ? 1 : 0]
+    );
+
+    return { play: rows[0], playCount: Number(updated.rows[0].play_count) };
+  });
+  if (!result) throw new ApiError(404, "Track not found");
+
+  res.status(201).json({ play: result.play, play_count: result.playCount });
+});
+
+// ---------------------------
+// PUT /api/tracks/:id/like    -> add to the caller's Liked Songs
+// DELETE /api/tracks/:id/like -> remove it
+// both are idempotent and return { liked, like_count }
+// ---------------------------
+async function handleLike(req, res) {
+  const liked = req.method === "PUT";
+  const userId = req.user.id;
+  const trackId = req.params.id;
+
+  const likeCount = await dbModule.withTransaction(async (client) => {
+    const found = await client.query(
+      "SELECT id, user_id, auth_user_id, hidden_at FROM tracks WHERE id = $1 LIMIT 1",
+      [trackId]
+    );
+    // a hidden track can still be unliked
+    if (!found.rows[0] || (liked && !canSeeTrack(found.rows[0], req.user))) return null;
+
+    const changed = liked
+      ? await client.query(
+          "INSERT INTO track_likes (user_id, track_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+          [userId, trackId]
+        )
+      : await client.query("DELETE FROM track_likes WHERE user_id = $1 AND track_id = $2", [userId, trackId]);
+
+    // only move the counter when the like actually changed (repeat calls are no-ops)
+    const delta = changed.rowCount > 0 ? (liked ? 1 : -1) : 0;
+    const updated = await client.query(
+      "UPDATE tracks SET like_count = GREATEST(like_count + $2, 0) WHERE id = $1 RETURNING like_count",
+      [trackId, delta]
+    );
+    return Number(updated.rows[0].like_count);
+  });
+  if (likeCount === null) throw new ApiError(404, "Track not found");
+
+  res.json({ track_id: trackId, liked, like_count: likeCount });
+}
+
+const likeRequest = validate({ summary: "Like a track", params: trackParams });
+const unlikeRequest = validate({ summary: "Unlike a track", params: trackParams });
+router.put("/:id/like", requireAuth, likeRequest, handleLike);
+router.delete("/:id/like", requireAuth, unlikeRequest, handleLike);
+
+// ---------------------------
+// POST /api/tracks/:id/report -> flag a track for the admins' moderation queue
+// body: { reason, details? }
+// one open report per user and track; reporting again returns the open one
+// ---------------------------
+const reportTrackRequest = validate({
+  summary: "Report a track to the moderators",
+  params: trackParams,
+  body: t.object(
+    {
+      reason: t.enum(REPORT_REASONS),
+      details: t.string({ max: 2000, description: "What is wrong, for the moderators" }),
+    },
+    { required: ["reason"] }
+  ),
+  responses: { 200: "Already reported by the caller", 201: "Report filed" },
+});
+router.post("/:id/report", requireAuth, reportTrackRequest, async (req, res) => {
+  const trackId = req.params.id;
+  const userId = req.user.id;
+
+  const found = await dbModule.query(
+    "SELECT id, user_id, auth_user_id, hidden_at FROM tracks WHERE id = $1 LIMIT 1",
+    [trackId]
+  );
+  if (!found.rows[0] || !canSeeTrack(found.rows[0], req.user)) throw new ApiError(404, "Track not found");
+
+  const inserted = await dbModule.query(
+    `INSERT INTO track_reports (track_id, reporter_id, reason, details)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (track_id, reporter_id) WHERE status = 'open' DO NOTHING
+     RETURNING id, track_id, reason, details, status, created_at`,
+    [trackId, userId, req.body.reason, req.body.details || null]
+  );
+  if (inserted.rows[0]) return res.status(201).json({ report: inserted.rows[0] });
+
+  const { rows } = await dbModule.query(
+    `SELECT id, track_id, reason, details, status, created_at FROM track_reports
+     WHERE track_id = $1 AND reporter_id = $2 AND status = 'open'
+     LIMIT 1`,
+    [trackId, userId]
+  );
+  res.json({ report: rows[0], already_reported: true });
 });
 
 module.exports = router;
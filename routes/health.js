@@ -0,0 +1,92 @@
+// Probes and metrics for the orchestrator; mounted at the root, ahead of auth
+// and the rate limiter.
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const dbModule = require("../db");
+const { checkStorage, storageDriverName } = require("../lib/storage");
+const { METRICS_CONTENT_TYPE, renderMetrics } = require("../lib/metrics");
+const { ApiError } = require("../lib/errors");
+const { validate } = require("../lib/validation");
+
+// each readiness check gets this long before it counts as failed
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS, 10) || 2000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check) {
+  const started = Date.now();
+  try {
+    await withTimeout(check(), READY_TIMEOUT_MS);
+    return { ok: true, latency_ms: Date.now() - started };
+  } catch (err) {
+    return { ok: false, latency_ms: Date.now() - started, error: err?.message || String(err) };
+  }
+}
+
+// ---------------------------
+// GET /healthz -> liveness: the process is up and serving
+// ---------------------------
+const livenessRequest = validate({ summary: "Liveness probe", tag: "health" });
+router.get("/healthz", livenessRequest, (req, res) => {
+  res.json({ status: "ok", uptime_seconds: Math.round(process.uptime()) });
+});
+
+// ---------------------------
+// GET /readyz -> readiness: database and storage answer in time
+// 503 while any check fails or the server is draining for shutdown
+// ---------------------------
+const readinessRequest = validate({
+  summary: "Readiness probe (database and storage)",
+  tag: "health",
+  responses: { 200: "Ready", 503: "Not ready, or shutting down" },
+});
+router.get("/readyz", readinessRequest, async (req, res) => {
+  if (req.app.get("shuttingDown")) {
+    return res.status(503).json({ status: "shutting_down" });
+  }
+
+  const [database, storage] = await Promise.all([
+    runCheck(() => dbModule.query("SELECT 1")),
+    runCheck(() => checkStorage()),
+  ]);
+  const ready = database.ok && storage.ok;
+  if (!ready) console.warn("Readiness check failed:", { database, storage });
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    checks: { database, storage: { driver: storageDriverName(), ...storage } },
+  });
+});
+
+// ---------------------------
+// GET /metrics -> Prometheus text format
+// METRICS_TOKEN, when set, is required as a bearer token
+// ---------------------------
+const metricsRequest = validate({
+  summary: "Prometheus metrics",
+  description: "Needs METRICS_TOKEN as a bearer token when the server sets one.",
+  tag: "health",
+  responses: { 200: "Prometheus text format" },
+});
+router.get("/metrics", metricsRequest, (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const given = Buffer.from(String(req.headers.authorization || "").replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new ApiError(401, "Unauthorized");
+    }
+  }
+  res.set("Content-Type", METRICS_CONTENT_TYPE);
+  res.set("Cache-Control", "no-store");
+  res.send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require("express");
+const router = express.Router();
+const dbModule = require("../db");
+const { recommendForUser } = require("../lib/recommendations");
+const { getDailyMix } = require("../lib/dailyMix");
+const { fetchPlaylistTracks } = require("../lib/playlists");
+const { describeQuota } = require("../lib/quotas");
+const { trackVisibleSql } = require("../lib/moderation");
+const { requireAuth } = require("../lib/auth");
+const { fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+
+const TOP_LIMIT = 10;
+
+// IANA zone name for day/week bucketing
+function parseTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return value;
+  } catch (e) {
+    throw fieldError({ tz: "tz must be a valid IANA time zone" });
+  }
+}
+
+const daysQuery = t.string({
+  pattern: "^(all|[0-9]{1,4})$",
+  default: "30",
+  description: "Days to look back (1-3650), or all",
+  message: "days must be a positive integer or 'all'",
+});
+
+// ?days=N or ?days=all -> lower bound for played_at, null = no bound
+function parseSince(value) {
+  if (value === "all") return null;
+  const days = parseInt(value, 10);
+  if (days < 1 || days > 3650) throw fieldError({ days: "days must be a positive integer or 'all'" });
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+router.use(requireAuth);
+
+// ---------------------------
+// GET /api/me/history -> recently played, newest first
+// query: limit, before (ISO timestamp cursor), distinct=true (one row per track)
+// ---------------------------
+const historyRequest = validate({
+  summary: "Recently played tracks, newest first",
+  query: t.object({
+    limit: t.limit(50, 200),
+    before: t.date({ description: "played_at of the last row of the previous page" }),
+    distinct: t.boolean({ default: false, description: "Only the latest play of each track" }),
+  }),
+});
+router.get("/history", historyRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const { limit, distinct } = req.query;
+  const before = req.query.before ? new Date(req.query.before) : null;
+
+  // distinct keeps only the latest play of each track ("recently played" shelf)
+  const { rows } = await dbModule.query(
+    `SELECT * FROM (
+       SELECT ${distinct ? "DISTINCT ON (p.track_id)" : ""}
+              p.id AS play_id, p.track_id, p.played_at, p.listened_seconds, p.skipped,
+              t.title, t.artist_name, t.cover_url, t.duration_seconds, t.moods
+       FROM plays p
+       JOIN tracks t ON t.id = p.track_id
+       WHERE p.user_id = $1 AND ${trackVisibleSql("t", "$1")}
+         AND ($2::timestamptz IS NULL OR p.played_at < $2)
+       ORDER BY ${distinct ? "p.track_id, " : ""}p.played_at DESC
+     ) h
+     ORDER BY played_at DESC
+     LIMIT $3`,
+    [userId, before, limit]
+  );
+
+  res.json({
+    history: rows,
+    next_before: rows.length === limit ? rows[rows.length - 1].played_at : null,
+  });
+});
+
+// ---------------------------
+// GET /api/me/stats -> top tracks / artists / moods and listening time
+// query: days (default 30, or "all"), tz (IANA zone for day/week buckets)
+// ---------------------------
+const statsRequest = validate({
+  summary: "Top tracks, artists and moods and listening time",
+  query: t.object({
+    days: daysQuery,
+    tz: t.string({ max: 64, default: "UTC", description: "IANA time zone for the day/week buckets" }),
+  }),
+});
+router.get("/stats", statsRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const since = parseSince(req.query.days);
+  const tz = parseTimeZone(req.query.tz);
+
+  const params = [userId, since];
+  const scope = "p.user_id = $1 AND ($2::timestamptz IS NULL OR p.played_at >= $2)";
+
+  const [totals, topTracks, topArtists, topMoods, perDay, perWeek] = await Promise.all([
+    dbModule.query(
+      `SELECT COUNT(*)::int AS plays,
+              COUNT(*) FILTER (WHERE p.counted)::int AS counted_plays,
+              COUNT(*) FILTER (WHERE p.skipped)::int AS skips,
+              COUNT(DISTINCT p.track_id)::int AS unique_tracks,
+              COALESCE(SUM(p.listened_seconds), 0)::float AS listened_seconds
+       FROM plays p WHERE ${scope}`,
+      params
+    ),
+    dbModule.query(
+      `SELECT t.id, t.title, t.artist_name, t.cover_url,
+              COUNT(*)::int AS plays, SUM(p.listened_seconds)::float AS listened_seconds
+       FROM plays p JOIN tracks t ON t.id = p.track_id
+       WHERE ${scope} AND p.counted
+       GROUP BY t.id
+       ORDER BY plays DESC, listened_seconds DESC
+       LIMIT ${TOP_LIMIT}`,
+      params
+    ),
+    dbModule.query(
+      `SELECT t.artist_name, COUNT(*)::int AS plays, SUM(p.listened_seconds)::float AS listened_seconds
+       FROM plays p JOIN tracks t ON t.id = p.track_id
+       WHERE ${scope} AND p.counted
+       GROUP BY t.artist_name
+       ORDER BY plays DESC, listened_seconds DESC
+       LIMIT ${TOP_LIMIT}`,
+      params
+    ),
+    dbModule.query(
+      `SELECT m AS mood, COUNT(*)::int AS plays
+       FROM plays p JOIN tracks t ON t.id = p.track_id, unnest(t.moods) AS m
+       WHERE ${scope} AND p.counted
+       GROUP BY m
+       ORDER BY plays DESC
+       LIMIT ${TOP_LIMIT}`,
+      params
+    ),
+    dbModule.query(
+      `SELECT to_char(date_trunc('day', p.played_at AT TIME ZONE $3), 'YYYY-MM-DD') AS day,
+              SUM(p.listened_seconds)::float AS listened_seconds, COUNT(*)::int AS plays
+       FROM plays p WHERE ${scope}
+       GROUP BY 1 ORDER BY 1`,
+      [...params, tz]
+    ),
+    dbModule.query(
+      `SELECT to_char(date_trunc('week', p.played_at AT TIME ZONE $3), 'YYYY-MM-DD') AS week_start,
+              SUM(p.listened_seconds)::float AS listened_seconds, COUNT(*)::int AS plays
+       FROM plays p WHERE ${scope}
+       GROUP BY 1 ORDER BY 1`,
+      [...params, tz]
+    ),
+  ]);
+
+  res.json({
+    since,
+    tz,
+    totals: totals.rows[0],
+    top_tracks: topTracks.rows,
+    top_artists: topArtists.rows,
+    top_moods: topMoods.rows,
+    listening_per_day: perDay.rows,
+    listening_per_week: perWeek.rows,
+  });
+});
+
+// ---------------------------
+// GET /api/me/uploads/stats -> how the caller's uploaded tracks perform
+// query: days (default 30, or "all")
+// ---------------------------
+const uploadStatsRequest = validate({
+  summary: "How the caller's uploaded tracks perform",
+  query: t.object({ days: daysQuery }),
+});
+router.get("/uploads/stats", uploadStatsRequest, async (req, res) => {
+  const since = parseSince(req.query.days);
+
+  const { rows } = await dbModule.query(
+    `SELECT t.id, t.title, t.artist_name, t.play_count AS total_play_count,
+            COUNT(p.id) FILTER (WHERE p.counted)::int AS plays,
+            COUNT(p.id) FILTER (WHERE p.skipped)::int AS skips,
+            COUNT(DISTINCT p.user_id)::int AS unique_listeners,
+            COALESCE(SUM(p.listened_seconds), 0)::float AS listened_seconds
+     FROM tracks t
+     LEFT JOIN plays p ON p.track_id = t.id AND ($3::timestamptz IS NULL OR p.played_at >= $3)
+     WHERE t.auth_user_id = $1 OR ($2::int IS NOT NULL AND t.user_id = $2)
+     GROUP BY t.id
+     ORDER BY plays DESC, t.created_at DESC`,
+    [req.user.authUserId, req.user.id, since]
+  );
+
+  const tracks = rows.map((r) => {
+    const attempts = r.plays + r.skips;
+    return {
+      ...r,
+      total_play_count: Number(r.total_play_count) || 0,
+      skip_rate: attempts > 0 ? r.skips / attempts : null,
+    };
+  });
+
+  res.json({ since, tracks });
+});
+
+// ---------------------------
+// GET /api/me/quota -> the caller's tier, its limits and what is used of them
+// ---------------------------
+const quotaRequest = validate({
+  summary: "The caller's upload quota and request limit",
+  description: "pending_bytes is the declared size of open resumable uploads; it counts as used storage.",
+});
+router.get("/quota", quotaRequest, async (req, res) => {
+  res.json(await describeQuota(req.user));
+});
+
+// ---------------------------
+// GET /api/me/recommendations -> tracks picked from the caller's playlists and listening
+// query: limit (default 20, max 100)
+// ---------------------------
+const recommendationsRequest = validate({
+  summary: "Tracks picked from the caller's playlists and listening",
+  query: t.object({ limit: t.limit(20, 100) }),
+});
+router.get("/recommendations", recommendationsRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const tracks = await recommendForUser(userId, { limit: req.query.limit });
+  res.json({ tracks });
+});
+
+// ---------------------------
+// GET /api/me/daily-mix -> the caller's generated Daily Mix playlist
+// rebuilt in the background every day; built on the spot if missing or stale
+// ---------------------------
+const dailyMixRequest = validate({ summary: "The caller's Daily Mix playlist" });
+router.get("/daily-mix", dailyMixRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const mix = await getDailyMix(userId);
+  res.json({ ...mix, tracks: await fetchPlaylistTracks(mix.id, userId) });
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const dbModule = require("../db");
+const { MOODS } = require("../lib/moods");
+const { validate } = require("../lib/validation");
+
+// ---------------------------
+// GET /api/moods
+// mood catalogue with track counts (every known mood, zero counts included)
+// ---------------------------
+const listMoodsRequest = validate({ summary: "Mood catalogue with track counts" });
+router.get("/", listMoodsRequest, async (req, res) => {
+  const { rows } = await dbModule.query(
+    `SELECT m AS mood, COUNT(*)::int AS track_count
+     FROM tracks, unnest(moods) AS m
+     WHERE hidden_at IS NULL
+     GROUP BY m`
+  );
+  const counts = new Map(rows.map((r) => [r.mood, r.track_count]));
+
+  const moods = MOODS.map((mood) => ({ mood, track_count: counts.get(mood) || 0 }))
+    .sort((a, b) => b.track_count - a.track_count || a.mood.localeCompare(b.mood));
+
+  res.json({ moods });
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const dbModule = require("../db");
+const { emitToUser } = require("../lib/realtime");
+const {
+  COLLABORATOR_ROLES,
+  fetchPlaylistTracks,
+  requirePlaylistRole,
+  notifyPlaylistMembers,
+} = require("../lib/playlists");
+const { requireAuth } = require("../lib/auth");
+const { trackVisibleSql } = require("../lib/moderation");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+
+const playlistParams = t.object({ playlistId: t.id("Playlist id") });
+const collaboratorParams = t.object({ playlistId: t.id("Playlist id"), collaboratorId: t.id("Collaborator id") });
+
+function shareUrl(token) {
+  return `/api/playlists/shared/${token}`;
+}
+
+// ---------------------------
+// GET /api/playlists/public -> newest public playlists
+// track_count is what an anonymous viewer gets (hidden tracks left out)
+// ---------------------------
+const publicPlaylistsRequest = validate({
+  summary: "Newest public playlists",
+  query: t.object({ limit: t.limit(50, 100) }),
+});
+router.get("/public", publicPlaylistsRequest, async (req, res) => {
+  const { limit } = req.query;
+  const { rows } = await dbModule.query(
+    `SELECT p.id, p.name, p.visibility, p.created_at, u.name AS owner_name,
+            (SELECT COUNT(*)::int FROM playlist_songs ps
+             LEFT JOIN tracks t ON t.id = ps.track_id
+             WHERE ps.playlist_id = p.id AND ${trackVisibleSql("t", "NULL")}) AS track_count
+     FROM playlists p
+     LEFT JOIN users u ON u.id = p.user_id
+     WHERE p.visibility = 'public'
+     ORDER BY p.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  res.json({ playlists: rows });
+});
+
+// ---------------------------
+// GET /api/playlists/shared/:token -> read-only view through a share link
+// ---------------------------
+const sharedPlaylistRequest = validate({
+  summary: "Read-only playlist view through a share link",
+  params: t.object({ token: t.string({ min: 1, max: 200, description: "Share-link token" }) }),
+});
+router.get("/shared/:token", sharedPlaylistRequest, async (req, res) => {
+  const { rows } = await dbModule.query(
+    `SELECT p.id, p.name, p.visibility, p.created_at
+     FROM playlist_share_links l
+     JOIN playlists p ON p.id = l.playlist_id
+     WHERE l.token = $1 AND l.revoked_at IS NULL
+     LIMIT 1`,
+    [req.params.token]
+  );
+  if (!rows[0]) throw new ApiError(404, "Share link not found");
+
+  res.json({ ...rows[0], role: "viewer", tracks: await fetchPlaylistTracks(rows[0].id, req.user?.id) });
+});
+
+// ---------------------------
+// GET /api/playlists/:playlistId/collaborators
+// any member can see who else is on the playlist; being able to view a public
+// playlist doesn't make you one (emails and pending invites are listed)
+// ---------------------------
+const listCollaboratorsRequest = validate({ summary: "Owner and collaborators of a playlist", params: playlistParams });
+router.get("/:playlistId/collaborators", requireAuth, listCollaboratorsRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+
+  const access = await requirePlaylistRole(playlistId, userId, "viewer", { membersOnly: true });
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const owner = await dbModule.query("SELECT id, name FROM users WHERE id = $1", [
+    access.playlist.user_id,
+  ]);
+  const { rows } = await dbModule.query(
+    `SELECT c.id, c.user_id, c.email, c.role, c.created_at, u.name
+     FROM playlist_collaborators c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.playlist_id = $1
+     ORDER BY c.created_at ASC`,
+    [playlistId]
+  );
+
+  res.json({
+    owner: owner.rows[0] || { id: access.playlist.user_id },
+    collaborators: rows.map((c) => ({ ...c, pending: c.user_id === null })),
+  });
+});
+
+// ---------------------------
+// POST /api/playlists/:playlistId/collaborators -> invite by email (owner only)
+// body: { email, role: "viewer" | "editor" }
+// re-inviting the same email updates the role
+// ---------------------------
+const inviteCollaboratorRequest = validate({
+  summary: "Invite a collaborator by email",
+  params: playlistParams,
+  body: t.object(
+    { email: t.email(), role: t.enum(COLLABORATOR_ROLES, { default: "viewer" }) },
+    { required: ["email"] }
+  ),
+  responses: { 201: "Invited" },
+});
+router.post("/:playlistId/collaborators", requireAuth, inviteCollaboratorRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+  const email = req.body.email.toLowerCase();
+  const { role } = req.body;
+
+  const access = await requirePlaylistRole(playlistId, userId, "owner");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  // link straight away when the invitee already has an account with that address verified
+  const invitee = await dbModule.query(
+    "SELECT id FROM users WHERE lower(email) = $1 AND email_verified_at IS NOT NULL ORDER BY id LIMIT 1",
+    [email]
+  );
+  const inviteeId = invitee.rows[0]?.id ?? null;
+  if (inviteeId === access.playlist.user_id) {
+    throw fieldError({ email: "The owner is already a member" });
+  }
+
+  const { rows } = await dbModule.query(
+    `INSERT INTO playlist_collaborators (playlist_id, user_id, email, role, invited_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (playlist_id, email)
+     DO UPDATE SET role = EXCLUDED.role, user_id = COALESCE(playlist_collaborators.user_id, EXCLUDED.user_id)
+     RETURNING id, user_id, email, role, created_at`,
+    [playlistId, inviteeId, email, role, userId]
+  );
+  const collaborator = rows[0];
+
+  if (collaborator.user_id) {
+    emitToUser(req.app?.get("io"), collaborator.user_id, "playlist-invited", {
+      playlistId,
+      name: access.playlist.name,
+      role,
+      by: userId,
+    });
+  }
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    collaboratorsChanged: true,
+    by: userId,
+  });
+
+  res.status(201).json({ ...collaborator, pending: collaborator.user_id === null });
+});
+
+// ---------------------------
+// PATCH /api/playlists/:playlistId/collaborators/:collaboratorId -> change role (owner only)
+// body: { role }
+// ---------------------------
+const updateRoleRequest = validate({
+  summary: "Change a collaborator's role",
+  params: collaboratorParams,
+  body: t.object({ role: t.enum(COLLABORATOR_ROLES) }, { required: ["role"] }),
+});
+router.patch("/:playlistId/collaborators/:collaboratorId", requireAuth, updateRoleRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId, collaboratorId } = req.params;
+  const { role } = req.body;
+
+  const access = await requirePlaylistRole(playlistId, userId, "owner");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const { rows } = await dbModule.query(
+    `UPDATE playlist_collaborators SET role = $3
+     WHERE id = $2 AND playlist_id = $1
+     RETURNING id, user_id, email, role, created_at`,
+    [playlistId, collaboratorId, role]
+  );
+  if (!rows[0]) throw new ApiError(404, "Collaborator not found");
+
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    collaboratorsChanged: true,
+    by: userId,
+  });
+  res.json(rows[0]);
+});
+
+// ---------------------------
+// DELETE /api/playlists/:playlistId/collaborators/:collaboratorId
+// owner removes anyone; a collaborator can remove themselves (leave)
+// ---------------------------
+const removeMemberRequest = validate({
+  summary: "Remove a collaborator, or leave a playlist",
+  params: collaboratorParams,
+});
+router.delete("/:playlistId/collaborators/:collaboratorId", requireAuth, removeMemberRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId, collaboratorId } = req.params;
+
+  const access = await requirePlaylistRole(playlistId, userId, "viewer");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const existing = await dbModule.query(
+    "SELECT id, user_id FROM playlist_collaborators WHERE id = $2 AND playlist_id = $1",
+    [playlistId, collaboratorId]
+  );
+  const collaborator = existing.rows[0];
+  if (!collaborator) throw new ApiError(404, "Collaborator not found");
+  if (access.role !== "owner" && collaborator.user_id !== userId) {
+    throw new ApiError(403, "Forbidden");
+  }
+
+  await dbModule.query("DELETE FROM playlist_collaborators WHERE id = $1", [collaboratorId]);
+
+  // the removed member still hears about it
+  const memberIds = [access.playlist.user_id];
+  const others = await dbModule.query(
+    "SELECT user_id FROM playlist_collaborators WHERE playlist_id = $1 AND user_id IS NOT NULL",
+    [playlistId]
+  );
+  memberIds.push(...others.rows.map((r) => r.user_id));
+  if (collaborator.user_id) memberIds.push(collaborator.user_id);
+
+  await notifyPlaylistMembers(
+    req,
+    playlistId,
+    "playlist-updated",
+    { playlistId, collaboratorsChanged: true, removedUserId: collaborator.user_id, by: userId },
+    [...new Set(memberIds)]
+  );
+  res.json({ success: true });
+});
+
+// ---------------------------
+// GET /api/playlists/:playlistId/share-links (owner only)
+// ---------------------------
+const listShareLinksRequest = validate({ summary: "Share links of a playlist", params: playlistParams });
+router.get("/:playlistId/share-links", requireAuth, listShareLinksRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+
+  const access = await requirePlaylistRole(playlistId, userId, "owner");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const { rows } = await dbModule.query(
+    `SELECT id, token, created_at, revoked_at
+     FROM playlist_share_links WHERE playlist_id = $1
+     ORDER BY created_at DESC`,
+    [playlistId]
+  );
+  res.json({ links: rows.map((l) => ({ ...l, url: shareUrl(l.token) })) });
+});
+
+// ---------------------------
+// POST /api/playlists/:playlistId/share-links -> new read-only link (owner only)
+// ---------------------------
+const createShareLinkRequest = validate({
+  summary: "Create a read-only share link",
+  params: playlistParams,
+  responses: { 201: "Created" },
+});
+router.post("/:playlistId/share-links", requireAuth, createShareLinkRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+
+  const access = await requirePlaylistRole(playlistId, userId, "owner");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const { rows } = await dbModule.query(
+    `INSERT INTO playlist_share_links (playlist_id, token, created_by)
+     VALUES ($1, $2, $3)
+     RETURNING id, token, created_at, revoked_at`,
+    [playlistId, token, userId]
+  );
+
+  res.status(201).json({ ...rows[0], url: shareUrl(token) });
+});
+
+// ---------------------------
+// DELETE /api/playlists/:playlistId/share-links/:linkId -> revoke (owner only)
+// ---------------------------
+const revokeShareLinkRequest = validate({
+  summary: "Revoke a share link",
+  params: t.object({ playlistId: t.id("Playlist id"), linkId: t.id("Share link id") }),
+});
+router.delete("/:playlistId/share-links/:linkId", requireAuth, revokeShareLinkRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId, linkId } = req.params;
+
+  const access = await requirePlaylistRole(playlistId, userId, "owner");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const { rowCount } = await dbModule.query(
+    `UPDATE playlist_share_links SET revoked_at = NOW()
+     WHERE id = $2 AND playlist_id = $1 AND revoked_at IS NULL`,
+    [playlistId, linkId]
+  );
+  if (!rowCount) throw new ApiError(404, "Share link not found");
+
+  res.json({ success: true });
+});
+
+module.exports = router;
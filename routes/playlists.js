@@ -1,10 +1,44 @@
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const dbModule = require("../db"); // may export Pool OR { pool, query, shutdownPool }
-const supabase = require("../supabaseClient");
+const {
+  VISIBILITIES,
+  fetchPlaylistTracks,
+  fetchLikedTracks,
+  loadPlaylistAccess,
+  requirePlaylistRole,
+  getPlaylistMemberIds,
+  notifyPlaylistMembers,
+  claimEmailInvites,
+} = require("../lib/playlists");
+const { recordPlaylistUpdate } = require("../lib/activity");
+const { FORMATS, serializePlaylist, parsePlaylist } = require("../lib/playlistFormats");
+const { matchEntries } = require("../lib/trackMatching");
+const { makeSafeName } = require("../lib/storage");
+const { requireAuth } = require("../lib/auth");
+const { trackVisibleSql } = require("../lib/moderation");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
 
-// Local debug image path (from conversation history)
-const SAMPLE_IMAGE_PATH = "/mnt/data/Screenshot 2025-11-25 at 11.38.56 PM.png";
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_MAX_ENTRIES = 1000;
+
+// imports arrive as a multipart "file" or as JSON { content }
+const importMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+}).single("file");
+
+function importUpload(req, res, next) {
+  importMulter(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(fieldError({ file: `Playlist files must be at most ${IMPORT_MAX_BYTES / 1024 / 1024} MB` }, 413));
+    }
+    next(err);
+  });
+}
 
 /**
  * Helper to run a query regardless of db export shape.
@@ -18,112 +52,428 @@ async function dbQuery(text, params) {
   return pool.query(text, params);
 }
 
-/**
- * Resolve local integer user id from Supabase bearer token (UUID).
- * If a local user row doesn't exist, create one (keeps mapping).
- * Returns integer user_id or null if token invalid.
- */
-async function getLocalUserIdFromToken(req) {
-  try {
-    const authHeader = req.headers.authorization || req.cookies?.authorization || req.cookies?.token;
-    const token = authHeader?.split?.(" ")?.[1] || authHeader;
-    if (!token) return null;
-
-    // Attempt to resolve user via Supabase server SDK (token expected)
-    // Note: supabase.auth.getUser may behave differently depending on SDK version.
-    const { data, error } = await supabase.auth.getUser(token).catch((e) => ({ error: e }));
-    if (error || !data?.user) {
-      console.warn("Supabase token invalid or error:", error?.message || error);
-      return null;
-    }
-    const supaUserId = data.user.id;
+const playlistParams = t.object({ playlistId: t.id("Playlist id") });
+const shareQuery = t.object({ share: t.string({ max: 200, description: "Share-link token" }) });
+const visibilityField = t.enum(VISIBILITIES);
 
-    // Try to find local user row with that auth_user_id
-    const q = await dbQuery("SELECT id FROM users WHERE auth_user_id = $1 LIMIT 1", [supaUserId]);
-    if (q.rows && q.rows.length > 0) return q.rows[0].id;
+// current entry ids in play order
+async function getEntryOrder(client, playlistId) {
+  const { rows } = await client.query(
+    "SELECT id FROM playlist_songs WHERE playlist_id = $1 ORDER BY position ASC, added_at ASC, id ASC",
+    [playlistId]
+  );
+  return rows.map((r) => r.id);
+}
 
-    // If not found, create a local user mapping (name/email may be null)
-    const insert = await dbQuery(
-      "INSERT INTO users (name, email, auth_user_id) VALUES ($1,$2,$3) RETURNING id",
-      [data.user.user_metadata?.name || null, data.user.email || null, supaUserId]
-    );
-    return insert.rows[0].id;
-  } catch (err) {
-    console.error("getLocalUserIdFromToken error:", err);
-    return null;
-  }
+// entries whose track `viewerId` can see; playlist listings leave the rest out,
+// so these are the only entry ids (and indexes) that caller knows about
+async function getVisibleEntryIds(client, playlistId, viewerId) {
+  const { rows } = await client.query(
+    `SELECT ps.id FROM playlist_songs ps
+     LEFT JOIN tracks t ON t.id = ps.track_id
+     WHERE ps.playlist_id = $1 AND ${trackVisibleSql("t", "$2")}`,
+    [playlistId, viewerId]
+  );
+  return new Set(rows.map((r) => r.id));
+}
+
+// lay a new order of the visible entries over the full order: hidden entries keep
+// their slots, and an entry added to the visible list lands after the last slot
+function mergeVisibleOrder(order, visibleIds, visibleOrder) {
+  const next = [...visibleOrder];
+  const merged = order.map((id) => (visibleIds.has(id) ? next.shift() : id));
+  return [...merged, ...next];
+}
+
+// rewrite positions as 0..n-1 following entryIds
+async function writeEntryOrder(client, playlistId, entryIds) {
+  await client.query(
+    `UPDATE playlist_songs ps
+        SET position = o.ord - 1
+       FROM unnest($2::int[]) WITH ORDINALITY AS o(id, ord)
+      WHERE ps.id = o.id AND ps.playlist_id = $1 AND ps.position IS DISTINCT FROM o.ord - 1`,
+    [playlistId, entryIds]
+  );
+}
+
+// clamp a requested index into [0, length]; no position means "append"
+function clampIndex(position, length) {
+  return position === undefined || position === null ? length : Math.min(position, length);
 }
 
+const positionField = t.integer({ min: 0, nullable: true, description: "0-based index; appended when left out" });
+
 // ---------------------------
 // GET /api/playlists
-// list playlists for current user (with track objects)
-// includes sample_image path in payload for client convenience
+// list playlists owned by or shared with the current user (with track objects)
+// ---------------------------
+const listPlaylistsRequest = validate({ summary: "Playlists owned by or shared with the caller" });
+router.get("/", requireAuth, listPlaylistsRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  await claimEmailInvites(userId);
+
+  const playlistsRes = await dbQuery(
+    `SELECT p.id, p.name, p.visibility, p.kind, p.created_at,
+            CASE WHEN p.user_id = $1 THEN 'owner' ELSE c.role END AS role
+     FROM playlists p
+     LEFT JOIN playlist_collaborators c ON c.playlist_id = p.id AND c.user_id = $1
+     WHERE p.user_id = $1 OR c.user_id = $1
+     ORDER BY p.created_at DESC`,
+    [userId]
+  );
+  const playlists = playlistsRes.rows || [];
+
+  const withTracks = await Promise.all(
+    playlists.map(async (pl) => ({ ...pl, tracks: await fetchPlaylistTracks(pl.id, userId) }))
+  );
+
+  res.json({ playlists: withTracks });
+});
+
+// ---------------------------
+// POST /api/playlists -> create playlist
+// body: { name, visibility? } (visibility defaults to private)
+// ---------------------------
+const createPlaylistRequest = validate({
+  summary: "Create a playlist",
+  body: t.object(
+    { name: t.string({ min: 1, max: 200 }), visibility: { ...visibilityField, default: "private" } },
+    { required: ["name"] }
+  ),
+  responses: { 201: "Created" },
+});
+router.post("/", requireAuth, createPlaylistRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { name, visibility } = req.body;
+
+  const { rows } = await dbQuery(
+    "INSERT INTO playlists (user_id, name, visibility) VALUES ($1, $2, $3) RETURNING id, name, visibility, created_at",
+    [userId, name, visibility]
+  );
+  const created = rows[0];
+
+  // emit playlist-created event via socket if available
+  await notifyPlaylistMembers(req, created.id, "playlist-created", { playlist: created, userId }, [userId]);
+
+  res.status(201).json(created);
+});
+
 // ---------------------------
-router.get("/", async (req, res) => {
-  try {
-    const userId = await getLocalUserIdFromToken(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+// GET /api/playlists/liked -> the caller's "Liked Songs" (virtual, read-only)
+// query: limit (default 50, max 200), cursor (next_cursor from the previous page)
+// ---------------------------
+const likedSongsRequest = validate({
+  summary: "The caller's Liked Songs",
+  query: t.object({ limit: t.limit(50, 200), cursor: t.cursor() }),
+});
+router.get("/liked", requireAuth, likedSongsRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { limit } = req.query;
+
+  // opaque to clients: base64url JSON of { at, track_id } of the last row
+  let after = null;
+  if (req.query.cursor !== undefined) {
+    try {
+      after = JSON.parse(Buffer.from(String(req.query.cursor), "base64url").toString("utf8"));
+    } catch (e) {
+      after = null;
+    }
+    if (typeof after?.at !== "string" || !Number.isInteger(after.track_id)) {
+      throw fieldError({ cursor: "Invalid cursor" });
+    }
+  }
+
+  const rows = await fetchLikedTracks(userId, { limit: limit + 1, after });
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
 
-    const playlistsRes = await dbQuery(
-      "SELECT id, name, created_at FROM playlists WHERE user_id = $1 ORDER BY created_at DESC",
-      [userId]
+  res.json({
+    id: "liked",
+    name: "Liked Songs",
+    kind: "liked",
+    role: "owner",
+    tracks: page.map(({ cursor_at, ...track }) => track),
+    next_cursor: hasMore
+      ? Buffer.from(JSON.stringify({ at: last.cursor_at, track_id: last.track_id })).toString("base64url")
+      : null,
+  });
+});
+
+// ---------------------------
+// POST /api/playlists/import -> new playlist from an M3U/M3U8, XSPF or JSON file
+// body: multipart file field "file", or JSON { content }
+//       plus optional format (m3u8 | xspf | json; detected otherwise), name, visibility
+// the name defaults to the one in the file, then the file name
+// entries are matched to existing tracks by title/artist (fuzzy); unmatched ones
+// are left out and listed in the report
+// ---------------------------
+const importPlaylistRequest = validate({
+  summary: "Create a playlist from an M3U8, XSPF or JSON file",
+  multipart: true,
+  body: t.object({
+    content: t.string({ trim: false, description: "The playlist file as text, instead of a file upload" }),
+    format: t.enum(Object.keys(FORMATS), { description: "Detected from the content when left out" }),
+    name: t.string({ max: 200 }),
+    visibility: { ...visibilityField, default: "private" },
+  }),
+  files: { file: "Playlist file (at most 2 MB)" },
+  responses: { 201: "Created, with a match report" },
+});
+router.post("/import", requireAuth, importUpload, importPlaylistRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const body = req.body;
+  let content = null;
+  if (req.file) content = req.file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  else if (typeof body.content === "string") content = body.content;
+  if (!content || !content.trim()) {
+    throw fieldError({ file: "Send the playlist as a file field or as content" });
+  }
+  if (Buffer.byteLength(content) > IMPORT_MAX_BYTES) {
+    throw fieldError({ content: `Playlist files must be at most ${IMPORT_MAX_BYTES / 1024 / 1024} MB` }, 413);
+  }
+  const { visibility } = body;
+
+  const parsed = parsePlaylist(content, { format: body.format, filename: req.file?.originalname });
+  if (parsed.error) throw new ApiError(400, parsed.error);
+  const entries = parsed.entries.filter((e) => e.title || e.location);
+  if (entries.length === 0) throw new ApiError(400, "The playlist has no entries");
+  if (entries.length > IMPORT_MAX_ENTRIES) {
+    throw new ApiError(400, `Playlists can have at most ${IMPORT_MAX_ENTRIES} entries`);
+  }
+
+  const requested = body.name || "";
+  const fromFilename = req.file ? req.file.originalname.replace(/\.[a-z0-9]+$/i, "").trim() : "";
+  const name = requested || parsed.name || fromFilename || "Imported playlist";
+
+  const report = await matchEntries(entries);
+  const trackIds = report.filter((r) => r.status === "matched").map((r) => r.track_id);
+
+  const created = await dbModule.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      "INSERT INTO playlists (user_id, name, visibility) VALUES ($1, $2, $3) RETURNING id, name, visibility, created_at",
+      [userId, name, visibility]
     );
-    const playlists = playlistsRes.rows || [];
-
-    const withTracks = await Promise.all(
-      playlists.map(async (pl) => {
-        const tRes = await dbQuery(
-          `SELECT ps.track_id, t.title, t.public_url, t.cover_url, t.duration_seconds
-           FROM playlist_songs ps
-           LEFT JOIN tracks t ON t.id = ps.track_id
-           WHERE ps.playlist_id = $1
-           ORDER BY ps.added_at ASC`,
-          [pl.id]
-        );
-        return { ...pl, tracks: tRes.rows || [] };
-      })
+    await client.query(
+      `INSERT INTO playlist_songs (playlist_id, track_id, position, added_at, added_by)
+       SELECT $1, o.track_id, o.ord - 1, NOW(), $3
+       FROM unnest($2::int[]) WITH ORDINALITY AS o(track_id, ord)`,
+      [rows[0].id, trackIds, userId]
     );
+    return rows[0];
+  });
+
+  await notifyPlaylistMembers(
+    req,
+    created.id,
+    "playlist-created",
+    { playlist: created, userId, imported: true },
+    [userId]
+  );
+  await recordPlaylistUpdate(req.app.get("io"), { actorId: userId, playlistId: created.id, trackIds });
+
+  res.status(201).json({
+    playlist: { ...created, tracks: await fetchPlaylistTracks(created.id, userId) },
+    report: {
+      format: parsed.format,
+      total: report.length,
+      matched: trackIds.length,
+      unmatched: report.length - trackIds.length,
+      entries: report,
+    },
+  });
+});
+
+// ---------------------------
+// GET /api/playlists/:playlistId/export -> download as a playlist file
+// query: format (m3u8 | xspf | json, default m3u8), share (share-link token)
+// entries carry title, artist, album, duration and an absolute stream URL
+// ---------------------------
+const exportPlaylistRequest = validate({
+  summary: "Download a playlist as a playlist file",
+  params: playlistParams,
+  query: t.object({
+    ...shareQuery.properties,
+    format: t.enum(Object.keys(FORMATS), { default: "m3u8" }),
+  }),
+  responses: { 200: "The playlist file" },
+});
+router.get("/:playlistId/export", exportPlaylistRequest, async (req, res) => {
+  const userId = req.user?.id;
+  const { playlistId } = req.params;
+  const { format } = req.query;
+
+  const access = await loadPlaylistAccess(playlistId, userId, { shareToken: req.query.share });
+  if (access.error) throw new ApiError(access.status, access.error);
+  if (!access.role) throw new ApiError(userId ? 403 : 401, userId ? "Forbidden" : "Unauthorized");
+
+  const { rows } = await dbQuery(
+    `SELECT t.id, t.title, t.artist_name, t.album, t.duration_seconds
+     FROM playlist_songs ps
+     JOIN tracks t ON t.id = ps.track_id
+     WHERE ps.playlist_id = $1 AND ${trackVisibleSql("t", "$2")}
+     ORDER BY ps.position ASC, ps.added_at ASC, ps.id ASC`,
+    [playlistId, userId]
+  );
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+  const entries = rows.map((track) => ({
+    title: track.title,
+    artist: track.artist_name,
+    album: track.album,
+    duration_seconds: track.duration_seconds === null ? null : Number(track.duration_seconds),
+    stream_url: `${baseUrl}/api/tracks/${track.id}/stream`,
+  }));
+
+  const filename = `${makeSafeName(access.playlist.name) || "playlist"}.${FORMATS[format].extension}`;
+  res.set("Content-Type", FORMATS[format].contentType);
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(serializePlaylist(format, access.playlist, entries));
+});
+
+// ---------------------------
+// GET /api/playlists/:playlistId -> single playlist with tracks
+// query: share (share-link token, read-only access without an account)
+// ---------------------------
+const getPlaylistRequest = validate({
+  summary: "One playlist with its tracks",
+  params: playlistParams,
+  query: shareQuery,
+});
+router.get("/:playlistId", getPlaylistRequest, async (req, res) => {
+  // anonymous callers can still read public/unlisted playlists
+  const userId = req.user?.id;
+  const { playlistId } = req.params;
 
-    // return sample_image path (you said you'd transform locally)
-    res.json({ playlists: withTracks, sample_image: SAMPLE_IMAGE_PATH });
-  } catch (err) {
-    console.error("GET /api/playlists error:", err);
-    res.status(500).json({ error: "Failed to list playlists" });
+  const access = await loadPlaylistAccess(playlistId, userId, { shareToken: req.query.share });
+  if (access.error) throw new ApiError(access.status, access.error);
+  if (!access.role) throw new ApiError(userId ? 403 : 401, userId ? "Forbidden" : "Unauthorized");
+
+  const { user_id, ...playlist } = access.playlist;
+  res.json({ ...playlist, role: access.role, tracks: await fetchPlaylistTracks(playlistId, userId) });
+});
+
+// ---------------------------
+// PATCH /api/playlists/:playlistId -> rename / change visibility (owner only)
+// body: { name?, visibility? }
+// ---------------------------
+const updatePlaylistRequest = validate({
+  summary: "Rename a playlist or change its visibility",
+  params: playlistParams,
+  body: t.object({ name: t.string({ min: 1, max: 200 }), visibility: visibilityField }),
+});
+router.patch("/:playlistId", requireAuth, updatePlaylistRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+  const { name, visibility } = req.body;
+  if (name === undefined && visibility === undefined) {
+    throw fieldError({ name: "name is required" });
   }
+
+  const access = await requirePlaylistRole(playlistId, userId, "owner");
+  if (access.error) throw new ApiError(access.status, access.error);
+
+  const { rows } = await dbQuery(
+    `UPDATE playlists
+        SET name = COALESCE($2, name), visibility = COALESCE($3, visibility)
+      WHERE id = $1
+      RETURNING id, name, visibility, created_at`,
+    [playlistId, name ?? null, visibility ?? null]
+  );
+
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    renamed: name !== undefined,
+    name: rows[0].name,
+    visibility: rows[0].visibility,
+    by: userId,
+  });
+  res.json(rows[0]);
 });
 
 // ---------------------------
-// POST /api/playlists -> create playlist
-// body: { name }
+// DELETE /api/playlists/:playlistId
 // ---------------------------
-router.post("/", async (req, res) => {
-  try {
-    const userId = await getLocalUserIdFromToken(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+const deletePlaylistRequest = validate({ summary: "Delete a playlist", params: playlistParams });
+router.delete("/:playlistId", requireAuth, deletePlaylistRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
 
-    const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
-    if (!name) return res.status(400).json({ error: "Name is required" });
+  const result = await dbModule.withTransaction(async (client) => {
+    const access = await requirePlaylistRole(playlistId, userId, "owner", { client, forUpdate: true });
+    if (access.error) return access;
+    // collect members before their rows go away
+    const memberIds = await getPlaylistMemberIds(playlistId, client);
+    await client.query("DELETE FROM playlist_songs WHERE playlist_id = $1", [playlistId]);
+    await client.query("DELETE FROM playlist_collaborators WHERE playlist_id = $1", [playlistId]);
+    await client.query("DELETE FROM playlist_share_links WHERE playlist_id = $1", [playlistId]);
+    await client.query("DELETE FROM playlists WHERE id = $1", [playlistId]);
+    return { memberIds };
+  });
+  if (result.error) throw new ApiError(result.status, result.error);
+
+  await notifyPlaylistMembers(
+    req,
+    playlistId,
+    "playlist-updated",
+    { playlistId, deleted: true, by: userId },
+    result.memberIds
+  );
+  res.json({ success: true });
+});
 
-    const { rows } = await dbQuery(
-      "INSERT INTO playlists (user_id, name) VALUES ($1, $2) RETURNING id, name, created_at",
+// ---------------------------
+// POST /api/playlists/:playlistId/duplicate
+// body: { name? } (defaults to "<name> (copy)")
+// anyone who can read the playlist gets a private copy of their own
+// ---------------------------
+const duplicatePlaylistRequest = validate({
+  summary: "Copy a readable playlist into a new private one",
+  params: playlistParams,
+  query: shareQuery,
+  body: t.object({ name: t.string({ max: 200 }) }),
+  responses: { 201: "Created" },
+});
+router.post("/:playlistId/duplicate", requireAuth, duplicatePlaylistRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const access = await requirePlaylistRole(playlistId, userId, "viewer", {
+      client,
+      shareToken: req.query.share,
+    });
+    if (access.error) return access;
+
+    const name = req.body.name || `${access.playlist.name} (copy)`;
+
+    const { rows } = await client.query(
+      "INSERT INTO playlists (user_id, name) VALUES ($1, $2) RETURNING id, name, visibility, created_at",
       [userId, name]
     );
     const created = rows[0];
 
-    // emit playlist-created event via socket if available
-    try {
-      const io = req.app?.get("io");
-      if (io) io.emit("playlist-created", { playlist: created, userId });
-    } catch (e) {
-      // non-fatal
-      console.warn("Could not emit socket playlist-created:", e);
-    }
+    // copies keep order and duplicates
+    await client.query(
+      `INSERT INTO playlist_songs (playlist_id, track_id, position, added_at, added_by)
+       SELECT $2, track_id, position, NOW(), $3
+       FROM playlist_songs WHERE playlist_id = $1`,
+      [playlistId, created.id, userId]
+    );
+    return { created };
+  });
+  if (result.error) throw new ApiError(result.status, result.error);
 
-    res.status(201).json(created);
-  } catch (err) {
-    console.error("POST /api/playlists error:", err);
-    res.status(500).json({ error: "Failed to create playlist" });
-  }
+  const playlist = { ...result.created, tracks: await fetchPlaylistTracks(result.created.id, userId) };
+  await notifyPlaylistMembers(
+    req,
+    result.created.id,
+    "playlist-created",
+    { playlist: result.created, userId, duplicatedFrom: playlistId },
+    [userId]
+  );
+  res.status(201).json(playlist);
 });
 
 // ---------------------------
@@ -132,86 +482,228 @@ router.post("/", async (req, res) => {
 // - older path (/add and /remove) preserved for backward compatibility
 // ---------------------------
 
+// body: { trackId, position?, allowDuplicate? }
+// without allowDuplicate a track already in the playlist is left where it is
+const addTrackRequest = validate({
+  summary: "Add a track to a playlist",
+  params: playlistParams,
+  body: t.object(
+    { trackId: t.id("Track id"), position: positionField, allowDuplicate: t.boolean({ default: false }) },
+    { required: ["trackId"] }
+  ),
+});
 async function handleAddTrack(req, res) {
-  try {
-    const userId = await getLocalUserIdFromToken(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const playlistId = parseInt(req.params.playlistId, 10);
-    const trackId = parseInt(req.body.trackId, 10);
-    if (!Number.isInteger(playlistId) || !Number.isInteger(trackId)) {
-      return res.status(400).json({ error: "playlistId and trackId must be integers" });
-    }
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+  const { trackId, allowDuplicate } = req.body;
 
-    // verify ownership
-    const plRes = await dbQuery("SELECT user_id FROM playlists WHERE id = $1 LIMIT 1", [playlistId]);
-    if (!plRes.rows[0] || plRes.rows[0].user_id !== userId) {
-      return res.status(403).json({ error: "Forbidden" });
-    }
+  const result = await dbModule.withTransaction(async (client) => {
+    // owner or editor (row lock serialises concurrent reorders)
+    const access = await requirePlaylistRole(playlistId, userId, "editor", { client, forUpdate: true });
+    if (access.error) return access;
 
-    // insert if not exists
-    const insertRes = await dbQuery(
-      "INSERT INTO playlist_songs (playlist_id, track_id, added_at) VALUES ($1,$2,NOW()) ON CONFLICT (playlist_id, track_id) DO NOTHING RETURNING *",
-      [playlistId, trackId]
+    // hidden tracks can only be added by their uploader (and admins)
+    const track = await client.query(
+      `SELECT 1 FROM tracks t WHERE t.id = $1 AND ${trackVisibleSql("t", "$2")}`,
+      [trackId, userId]
     );
+    if (track.rows.length === 0) return { status: 404, error: "Track not found" };
 
-    // emit socket event (playlist updated)
-    try {
-      const io = req.app?.get("io");
-      if (io) {
-        io.emit("playlist-updated", { playlistId, trackId, added: insertRes.rows?.length > 0 });
-      }
-    } catch (e) {
-      console.warn("Could not emit socket playlist-updated:", e);
+    if (!allowDuplicate) {
+      const existing = await client.query(
+        "SELECT 1 FROM playlist_songs WHERE playlist_id = $1 AND track_id = $2 LIMIT 1",
+        [playlistId, trackId]
+      );
+      if (existing.rows.length > 0) return { inserted: false };
     }
 
-    res.json({ success: true, inserted: insertRes.rows?.length > 0 });
-  } catch (err) {
-    console.error("ADD TRACK error:", err);
-    res.status(500).json({ error: "Failed to add track to playlist" });
+    // position is an index into the entries the caller can see
+    const order = await getEntryOrder(client, playlistId);
+    const visibleIds = await getVisibleEntryIds(client, playlistId, userId);
+    const visible = order.filter((id) => visibleIds.has(id));
+    const index = clampIndex(req.body.position, visible.length);
+
+    const insertRes = await client.query(
+      "INSERT INTO playlist_songs (playlist_id, track_id, position, added_at, added_by) VALUES ($1,$2,$3,NOW(),$4) RETURNING id",
+      [playlistId, trackId, order.length, userId]
+    );
+    const entryId = insertRes.rows[0].id;
+    visible.splice(index, 0, entryId);
+    await writeEntryOrder(client, playlistId, mergeVisibleOrder(order, visibleIds, visible));
+    return { inserted: true, entryId, position: index };
+  });
+  if (result.error) throw new ApiError(result.status, result.error);
+
+  // emit socket event (playlist updated) to every member
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    trackId,
+    added: result.inserted,
+    entryId: result.entryId,
+    position: result.position,
+    by: userId,
+  });
+  if (result.inserted) {
+    await recordPlaylistUpdate(req.app.get("io"), { actorId: userId, playlistId, trackIds: [trackId] });
   }
+
+  res.json({
+    success: true,
+    inserted: result.inserted,
+    entryId: result.entryId ?? null,
+    position: result.position ?? null,
+  });
 }
 
+// body: { trackId } removes every occurrence, { entryId } removes one slot
+const removeTrackRequest = validate({
+  summary: "Remove a track (every occurrence) or one entry from a playlist",
+  params: playlistParams,
+  body: t.object({ trackId: t.id("Track id"), entryId: t.id("Playlist entry id") }),
+});
 async function handleRemoveTrack(req, res) {
-  try {
-    const userId = await getLocalUserIdFromToken(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const playlistId = parseInt(req.params.playlistId, 10);
-    const trackId = parseInt(req.body.trackId, 10);
-    if (!Number.isInteger(playlistId) || !Number.isInteger(trackId)) {
-      return res.status(400).json({ error: "playlistId and trackId must be integers" });
-    }
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+  const { trackId, entryId } = req.body;
+  if (trackId === undefined && entryId === undefined) {
+    throw fieldError({ trackId: "trackId or entryId is required" });
+  }
 
-    // verify ownership
-    const plRes = await dbQuery("SELECT user_id FROM playlists WHERE id = $1 LIMIT 1", [playlistId]);
-    if (!plRes.rows[0] || plRes.rows[0].user_id !== userId) {
-      return res.status(403).json({ error: "Forbidden" });
-    }
+  const result = await dbModule.withTransaction(async (client) => {
+    // owner or editor
+    const access = await requirePlaylistRole(playlistId, userId, "editor", { client, forUpdate: true });
+    if (access.error) return access;
 
-    const del = await dbQuery("DELETE FROM playlist_songs WHERE playlist_id = $1 AND track_id = $2", [playlistId, trackId]);
+    const del = Number.isInteger(entryId)
+      ? await client.query(
+          "DELETE FROM playlist_songs WHERE playlist_id = $1 AND id = $2 RETURNING track_id",
+          [playlistId, entryId]
+        )
+      : await client.query(
+          "DELETE FROM playlist_songs WHERE playlist_id = $1 AND track_id = $2 RETURNING track_id",
+          [playlistId, trackId]
+        );
 
-    // emit socket
-    try {
-      const io = req.app?.get("io");
-      if (io) io.emit("playlist-updated", { playlistId, trackId, removed: true });
-    } catch (e) {
-      console.warn("Could not emit socket playlist-updated:", e);
+    // close the gaps left behind
+    if (del.rowCount > 0) {
+      await writeEntryOrder(client, playlistId, await getEntryOrder(client, playlistId));
     }
+    return { deletedRows: del.rowCount, trackId: del.rows[0]?.track_id ?? trackId };
+  });
+  if (result.error) throw new ApiError(result.status, result.error);
 
-    res.json({ success: true, deletedRows: del.rowCount ?? (del.rows ? del.rows.length : null) });
-  } catch (err) {
-    console.error("REMOVE TRACK error:", err);
-    res.status(500).json({ error: "Failed to remove track from playlist" });
-  }
+  // emit socket
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    trackId: result.trackId,
+    entryId: Number.isInteger(entryId) ? entryId : undefined,
+    removed: true,
+    by: userId,
+  });
+
+  res.json({ success: true, deletedRows: result.deletedRows });
 }
 
+// ---------------------------
+// POST /api/playlists/:playlistId/move-track
+// body: { entryId, position } -> move one slot to a new index
+// ---------------------------
+const moveTrackRequest = validate({
+  summary: "Move one playlist entry to a new position",
+  params: playlistParams,
+  body: t.object(
+    { entryId: t.id("Playlist entry id"), position: t.integer({ min: 0, description: "0-based index" }) },
+    { required: ["entryId", "position"] }
+  ),
+});
+router.post("/:playlistId/move-track", requireAuth, moveTrackRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+  const { entryId } = req.body;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const access = await requirePlaylistRole(playlistId, userId, "editor", { client, forUpdate: true });
+    if (access.error) return access;
+
+    // indexes count the entries the caller can see; hidden ones stay put
+    const order = await getEntryOrder(client, playlistId);
+    const visibleIds = await getVisibleEntryIds(client, playlistId, userId);
+    const visible = order.filter((id) => visibleIds.has(id));
+    const from = visible.indexOf(entryId);
+    if (from === -1) return { status: 404, error: "Entry not found in playlist" };
+
+    visible.splice(from, 1);
+    const index = clampIndex(req.body.position, visible.length);
+    visible.splice(index, 0, entryId);
+
+    await writeEntryOrder(client, playlistId, mergeVisibleOrder(order, visibleIds, visible));
+    return { from, position: index };
+  });
+  if (result.error) throw new ApiError(result.status, result.error);
+
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    entryId,
+    moved: true,
+    from: result.from,
+    position: result.position,
+    by: userId,
+  });
+  res.json({ success: true, from: result.from, position: result.position });
+});
+
+// ---------------------------
+// PUT /api/playlists/:playlistId/order
+// body: { entryIds: [...] } -> full drag-reorder; must list every entry the caller
+// can see exactly once (entries of hidden tracks keep their slots)
+// ---------------------------
+const reorderPlaylistRequest = validate({
+  summary: "Reorder a whole playlist",
+  params: playlistParams,
+  body: t.object(
+    { entryIds: t.array(t.id(), { description: "Every listed entry id, in the new order" }) },
+    { required: ["entryIds"] }
+  ),
+});
+router.put("/:playlistId/order", requireAuth, reorderPlaylistRequest, async (req, res) => {
+  const userId = req.user.id;
+  const { playlistId } = req.params;
+  const { entryIds } = req.body;
+
+  const result = await dbModule.withTransaction(async (client) => {
+    const access = await requirePlaylistRole(playlistId, userId, "editor", { client, forUpdate: true });
+    if (access.error) return access;
+
+    const order = await getEntryOrder(client, playlistId);
+    const visibleIds = await getVisibleEntryIds(client, playlistId, userId);
+    const sameSet =
+      visibleIds.size === entryIds.length &&
+      new Set(entryIds).size === entryIds.length &&
+      entryIds.every((id) => visibleIds.has(id));
+    if (!sameSet) {
+      return { status: 409, error: "entryIds must match the playlist's current entries" };
+    }
+
+    await writeEntryOrder(client, playlistId, mergeVisibleOrder(order, visibleIds, entryIds));
+    return {};
+  });
+  if (result.error) throw new ApiError(result.status, result.error);
+
+  await notifyPlaylistMembers(req, playlistId, "playlist-updated", {
+    playlistId,
+    reordered: true,
+    entryIds,
+    by: userId,
+  });
+  res.json({ success: true, tracks: await fetchPlaylistTracks(playlistId, userId) });
+});
+
 // preferred
-router.post("/:playlistId/add-track", handleAddTrack);
-router.post("/:playlistId/remove-track", handleRemoveTrack);
+router.post("/:playlistId/add-track", requireAuth, addTrackRequest, handleAddTrack);
+router.post("/:playlistId/remove-track", requireAuth, removeTrackRequest, handleRemoveTrack);
 
 // backward-compatible (older clients)
-router.post("/:playlistId/add", handleAddTrack);
-router.post("/:playlistId/remove", handleRemoveTrack);
+router.post("/:playlistId/add", requireAuth, addTrackRequest, handleAddTrack);
+router.post("/:playlistId/remove", requireAuth, removeTrackRequest, handleRemoveTrack);
 
 module.exports = router;
@@ -0,0 +1,159 @@
+const express = require("express");
+const router = express.Router();
+const dbModule = require("../db");
+const { fetchFeed } = require("../lib/activity");
+const { requireAuth } = require("../lib/auth");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+
+const FEED_PAGE_SIZE = 30;
+const FEED_MAX_PAGE_SIZE = 100;
+
+const userParams = t.object({ userId: t.id("users.id") });
+const artistParams = t.object({
+  artist: t.string({ min: 1, max: 200, description: "Artist id or any spelling of its name" }),
+});
+
+router.use(requireAuth);
+
+// ---------------------------
+// GET /api/me/following -> accounts and artists the caller follows
+// ---------------------------
+const listFollowingRequest = validate({ summary: "Accounts and artists the caller follows" });
+router.get("/following", listFollowingRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const { rows } = await dbModule.query(
+    `SELECT f.followee_id, u.name AS user_name, f.artist_id, a.name AS artist_name, a.image_url, f.created_at
+     FROM follows f
+     LEFT JOIN users u ON u.id = f.followee_id
+     LEFT JOIN artists a ON a.id = f.artist_id
+     WHERE f.follower_id = $1
+     ORDER BY f.created_at DESC, f.id DESC`,
+    [userId]
+  );
+
+  res.json({
+    users: rows
+      .filter((r) => r.followee_id)
+      .map((r) => ({ id: r.followee_id, name: r.user_name, followed_at: r.created_at })),
+    artists: rows
+      .filter((r) => r.artist_id)
+      .map((r) => ({ id: r.artist_id, name: r.artist_name, image_url: r.image_url, followed_at: r.created_at })),
+  });
+});
+
+// ---------------------------
+// PUT /api/me/following/users/:userId    -> follow an uploader
+// DELETE /api/me/following/users/:userId -> unfollow
+// ---------------------------
+const followUserRequest = validate({ summary: "Follow an uploader", params: userParams });
+router.put("/following/users/:userId", followUserRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const followeeId = req.params.userId;
+  if (followeeId === userId) throw fieldError({ userId: "You can't follow yourself" });
+
+  const user = await dbModule.query("SELECT id, name FROM users WHERE id = $1 LIMIT 1", [followeeId]);
+  if (!user.rows[0]) throw new ApiError(404, "User not found");
+
+  await dbModule.query(
+    `INSERT INTO follows (follower_id, followee_id) VALUES ($1, $2)
+     ON CONFLICT (follower_id, followee_id) WHERE followee_id IS NOT NULL DO NOTHING`,
+    [userId, followeeId]
+  );
+  res.json({ following: true, user: user.rows[0] });
+});
+
+const unfollowUserRequest = validate({ summary: "Unfollow an uploader", params: userParams });
+router.delete("/following/users/:userId", unfollowUserRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const followeeId = req.params.userId;
+  await dbModule.query("DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2", [userId, followeeId]);
+  res.json({ following: false });
+});
+
+// ":artist" is an artist id, or a name resolved through the artist's aliases
+async function findArtistId(param) {
+  if (/^\d+$/.test(param)) {
+    const { rows } = await dbModule.query("SELECT id FROM artists WHERE id = $1", [parseInt(param, 10)]);
+    return rows[0]?.id ?? null;
+  }
+  const { rows } = await dbModule.query(
+    "SELECT artist_id FROM artist_aliases WHERE alias_key = artist_name_key($1)",
+    [String(param)]
+  );
+  return rows[0]?.artist_id ?? null;
+}
+
+// ---------------------------
+// PUT /api/me/following/artists/:artist    -> follow an artist (id or any spelling of its name)
+// DELETE /api/me/following/artists/:artist -> unfollow
+// ---------------------------
+const followArtistRequest = validate({ summary: "Follow an artist", params: artistParams });
+router.put("/following/artists/:artist", followArtistRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const artistId = await findArtistId(req.params.artist);
+  if (!artistId) throw new ApiError(404, "Artist not found");
+
+  await dbModule.query(
+    `INSERT INTO follows (follower_id, artist_id) VALUES ($1, $2)
+     ON CONFLICT (follower_id, artist_id) WHERE artist_id IS NOT NULL DO NOTHING`,
+    [userId, artistId]
+  );
+  const { rows } = await dbModule.query("SELECT id, name FROM artists WHERE id = $1", [artistId]);
+  res.json({ following: true, artist: rows[0] });
+});
+
+const unfollowArtistRequest = validate({ summary: "Unfollow an artist", params: artistParams });
+router.delete("/following/artists/:artist", unfollowArtistRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const artistId = await findArtistId(req.params.artist);
+  if (artistId) {
+    await dbModule.query("DELETE FROM follows WHERE follower_id = $1 AND artist_id = $2", [userId, artistId]);
+  }
+  res.json({ following: false });
+});
+
+// ---------------------------
+// GET /api/me/feed -> new uploads and public playlist updates from followed
+// accounts and artists, newest first
+// query: limit (default 30, max 100), cursor (next_cursor from the previous page)
+// new items also arrive live as the `feed-item` socket event
+// ---------------------------
+const feedRequest = validate({
+  summary: "Activity from followed accounts and artists",
+  query: t.object({ limit: t.limit(FEED_PAGE_SIZE, FEED_MAX_PAGE_SIZE), cursor: t.cursor() }),
+});
+router.get("/feed", feedRequest, async (req, res) => {
+  const userId = req.user.id;
+
+  const { limit } = req.query;
+
+  // opaque to clients: base64url JSON of { id } of the last item
+  let before = null;
+  if (req.query.cursor !== undefined) {
+    try {
+      before = JSON.parse(Buffer.from(String(req.query.cursor), "base64url").toString("utf8"))?.id;
+    } catch (e) {
+      before = null;
+    }
+    if (!Number.isInteger(before)) throw fieldError({ cursor: "Invalid cursor" });
+  }
+
+  const items = await fetchFeed(userId, { limit: limit + 1, before });
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+
+  res.json({
+    items: page,
+    next_cursor: hasMore
+      ? Buffer.from(JSON.stringify({ id: page[page.length - 1].id })).toString("base64url")
+      : null,
+  });
+});
+
+module.exports = router;
@@ -1,281 +1,170 @@
 
 const express = require("express");
 const multer = require("multer");
-const path = require("path");
-const supabase = require("../supabaseClient");
-const pool = require("../db");
+const { extractAudioMetadata } = require("../lib/audioMetadata");
+const { makeSafeName, putObject, removeObjects, storageDriverName } = require("../lib/storage");
+const { COVER_MAX_BYTES, validateAudio, validateCover, formatBytes, sha256 } = require("../lib/mediaValidation");
+const {
+  uploadFields,
+  resolveTrackFields,
+  resolveUploader,
+  storeCover,
+  insertTrack,
+  findTrackByHash,
+  duplicateResponse,
+  uploadedTrack,
+  announceTrack,
+} = require("../lib/trackUpload");
+const { queueTrackProcessing } = require("../lib/jobHandlers");
+const { recordTrackUpload } = require("../lib/activity");
+const { recordUploadBytes } = require("../lib/metrics");
+const { requireAuth } = require("../lib/auth");
+const { checkUploadQuota } = require("../lib/quotas");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
 
 const router = express.Router();
 
-// Multer memory upload
-const upload = multer({ storage: multer.memoryStorage() });
-
-// Local fallback for testing (from your environment)
-const LOCAL_TEST_PATH = "/mnt/data/Screenshot 2025-11-25 at 10.04.22 PM.png";
-
-// Make filenames safe
-function makeSafeName(name) {
-  return String(name || "file")
-    .replace(/\s+/g, "_")
-    // allow letters, numbers, underscores, hyphens and dots
-    .replace(/[^a-zA-Z0-9_\-\.]/g, "");
-}
-
-// Send JSON error
-function sendJsonError(res, status = 500, payload = {}) {
-  return res.status(status).json(payload);
-}
-
-// Upload helper (Supabase)
-// returns publicUrl (string) or throws on error
-async function uploadBuffer(bucket, filePath, buffer, mime) {
-  const { error } = await supabase.storage.from(bucket).upload(filePath, buffer, {
-    contentType: mime,
-    upsert: false,
+// one-shot uploads are buffered in memory, so they are capped;
+// anything bigger goes through the resumable /api/uploads sessions
+const DIRECT_UPLOAD_MAX_BYTES =
+  parseInt(process.env.DIRECT_UPLOAD_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+// Multer memory upload; multer has one limit for every file, the per-field
+// limits are checked after parsing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.max(DIRECT_UPLOAD_MAX_BYTES, COVER_MAX_BYTES), files: 2 },
+}).fields([
+  { name: "audio", maxCount: 1 },
+  { name: "cover", maxCount: 1 },
+]);
+
+// multer's size error names the field and the limit that applies to it
+function parseUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      const message =
+        err.field === "cover"
+          ? `The cover image must be at most ${formatBytes(COVER_MAX_BYTES)}`
+          : `File too large for a direct upload (max ${formatBytes(DIRECT_UPLOAD_MAX_BYTES)}); use /api/uploads`;
+      return next(fieldError({ [err.field || "audio"]: message }, 413));
+    }
+    next(err);
   });
-
-  if (error) throw error;
-
-  const { data } = supabase.storage.from(bucket).getPublicUrl(filePath);
-  return data?.publicUrl || null;
 }
 
 // ----------------------
 // POST /api/upload-track
+// signed in only: uploads count against the caller's quota (lib/quotas.js)
 // ----------------------
-router.post(
-  "/upload-track",
-  upload.fields([
-    { name: "audio", maxCount: 1 },
-    { name: "cover", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    try {
-      const audio = req.files?.audio?.[0];
-      const cover = req.files?.cover?.[0];
-
-      const title = (req.body?.title || "").trim();
-      // artist comes from the form as artist_name OR artist
-      const artistInput = (req.body?.artist_name || req.body?.artist || "").trim();
-      const artistName = artistInput || "Unknown Artist";
-
-      if (!audio || !title) {
-        return sendJsonError(res, 400, {
-          error: "Title and audio file are required.",
-        });
-      }
-
-      // --- Resolve uploader name & auth user ---
-      let authUserId = null;   // supabase auth user id (uuid)
-      let legacyUserId = null; // old numeric user id if you ever send it
-
-      // 1) try body.uploader_name (if frontend ever sends one)
-      let uploaderName = (req.body?.uploader_name || "").trim() || null;
-
-      // 2) try Supabase auth user (if token present)
-      try {
-        const token = req.headers.authorization?.split(" ")[1];
-        if (token) {
-          const { data: userData } = await supabase.auth.getUser(token);
-          if (userData?.user) {
-            authUserId = userData.user.id || null;
-            if (!uploaderName) {
-              uploaderName =
-                userData.user.user_metadata?.name ||
-                userData.user.email ||
-                null;
-            }
-          }
-        }
-      } catch (e) {
-        console.warn("uploader resolve failed (supabase):", e?.message || e);
-      }
-
-      // 3) try Google OAuth cookie set by /auth/google/callback
-      if (!uploaderName && req.cookies?.user) {
-        try {
-          const cookieUser = JSON.parse(req.cookies.user);
-          uploaderName =
-            cookieUser.name ||
-            cookieUser.email ||
-            uploaderName;
-        } catch (e) {
-          console.warn("Failed to parse user cookie:", e?.message || e);
-        }
-      }
-
-      // 4) legacy numeric user id (optional, sent by frontend)
-      if (req.body?.userId) {
-        const n = parseInt(req.body.userId, 10);
-        legacyUserId = Number.isFinite(n) ? n : null;
-      }
-
-      // 5) final fallback: if still nothing, use artistName
-      if (!uploaderName) {
-        uploaderName = artistName;
-      }
-
-      // --- Upload audio to Supabase storage ---
-      const timestamp = Date.now();
-      const safeAudio = makeSafeName(audio.originalname);
-      const audioPath = `tracks/${timestamp}_${safeAudio}`;
+const uploadTrackRequest = validate({
+  summary: "Upload a track in one request",
+  description:
+    "Files above the direct upload limit go through the resumable /api/uploads sessions. " +
+    "Counts against the caller's storage and daily upload quota (GET /api/me/quota).",
+  tag: "uploads",
+  multipart: true,
+  body: t.object(uploadFields),
+  files: { audio: "The audio file (required)", cover: "Cover image (JPEG, PNG or WebP)" },
+  responses: { 200: "Uploaded, or already uploaded by the caller" },
+});
+router.post("/upload-track", requireAuth, parseUpload, uploadTrackRequest, async (req, res) => {
+  const audio = req.files?.audio?.[0];
+  let cover = req.files?.cover?.[0];
+  recordUploadBytes("direct", (audio?.size || 0) + (cover?.size || 0));
+
+  // --- Validate the files by content, not by the client's mimetype ---
+  const errors = {};
+  let audioFormat = null;
+  if (!audio) {
+    errors.audio = "An audio file is required";
+  } else {
+    const checked = validateAudio(audio.buffer, DIRECT_UPLOAD_MAX_BYTES);
+    if (checked.error) errors.audio = checked.error;
+    else audioFormat = checked.format;
+  }
+  if (cover) {
+    const checked = validateCover(cover.buffer);
+    if (checked.error) errors.cover = checked.error;
+    else cover = { ...cover, mimetype: checked.format.mime };
+  }
+  if (errors.audio) throw fieldError(errors);
 
-      let audioUrl = null;
-      let audioStorageKey = audioPath;
-      let sizeBytes = audio.size || null;
-      let mimeType = audio.mimetype || null;
+  // --- Identical file already uploaded? ---
+  const contentHash = sha256(audio.buffer);
+  const existing = await findTrackByHash(contentHash);
+  if (existing) return res.json(duplicateResponse(existing, req.user));
 
-      try {
-        audioUrl = await uploadBuffer("Tracks", audioPath, audio.buffer, audio.mimetype);
-      } catch (err) {
-        console.error("Audio upload error (supabase):", err?.message || err);
-        audioUrl = LOCAL_TEST_PATH; // debug fallback
-        audioStorageKey = `debug/${timestamp}_${safeAudio}`;
-      }
+  // --- File size, storage and daily upload limits of the caller's tier ---
+  await checkUploadQuota(req.user, audio.size);
 
-      // --- Upload cover (optional) ---
-      let coverPath = null;
-      let coverUrl = null;
-      let coverMime = null;
-      let coverSize = null;
+  // --- Read duration / stream info / tags from the audio itself ---
+  const audioMeta = await extractAudioMetadata(audio.buffer, audioFormat.mime, audio.size);
 
-      if (cover) {
-        try {
-          const safeCover = makeSafeName(cover.originalname);
-          coverPath = `covers/${timestamp}_${safeCover}`;
-          coverUrl = await uploadBuffer("Tracks", coverPath, cover.buffer, cover.mimetype);
-          coverMime = cover.mimetype;
-          coverSize = cover.size;
-        } catch (err) {
-          console.warn("Cover upload error (supabase):", err?.message || err);
-          coverUrl = LOCAL_TEST_PATH;
-          coverPath = `debug/covers/${timestamp}_${makeSafeName(cover.originalname)}`;
-        }
-      } else {
-        coverUrl = LOCAL_TEST_PATH;
-      }
+  const resolved = resolveTrackFields(req.body, audioMeta);
+  if (resolved.errors) Object.assign(errors, resolved.errors);
+  if (Object.keys(errors).length > 0) throw fieldError(errors);
+  const { fields } = resolved;
+  const uploader = resolveUploader(req.body, req.user, fields.artistName);
 
-      // --- Insert into DB: includes uploader_name ---
-      let inserted;
-      try {
-        const result = await pool.query(
-          `INSERT INTO tracks
-            (title,
-             artist_name,
-             uploader_name,
-             storage_key,
-             public_url,
-             cover_path,
-             cover_url,
-             size_bytes,
-             mime_type,
-             auth_user_id,
-             user_id,
-             created_at)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,NOW())
-           RETURNING *`,
-          [
-            title,
-            artistName,
-            uploaderName,
-            audioStorageKey,
-            audioUrl,
-            coverPath,
-            coverUrl,
-            sizeBytes,
-            mimeType,
-            authUserId,
-            legacyUserId,
-          ]
-        );
-        inserted = result.rows[0];
-      } catch (err) {
-        console.error("DB insert error:", err);
-        return sendJsonError(res, 500, {
-          error: "Database insert failed",
-          detail: err.message,
-          code: err.code || null,
-        });
-      }
+  // --- Upload audio to the configured storage driver ---
+  const timestamp = Date.now();
+  const audioStorageKey = `tracks/${timestamp}_${makeSafeName(audio.originalname)}`;
 
-      // --- Final normalized track object (includes uploader_name) ---
-      const track = {
-        id: inserted.id,
-        title: inserted.title,
-        artist_name: inserted.artist_name,
-        uploader_name: inserted.uploader_name || uploaderName || artistName,
-        public_url: inserted.public_url || audioUrl || LOCAL_TEST_PATH,
-        cover_url: inserted.cover_url || coverUrl || LOCAL_TEST_PATH,
-        storage_key: inserted.storage_key || audioStorageKey,
-        size_bytes: inserted.size_bytes || sizeBytes,
-        mime_type: inserted.mime_type || mimeType,
-        created_at: inserted.created_at,
-        auth_user_id: inserted.auth_user_id || authUserId,
-        user_id: inserted.user_id || legacyUserId,
-      };
+  let audioUrl;
+  try {
+    audioUrl = await putObject(audioStorageKey, audio.buffer, audioFormat.mime);
+  } catch (err) {
+    console.error(`[${req.id}] Audio upload error (${storageDriverName()}):`, err?.message || err);
+    throw new ApiError(502, "Could not store the audio file, try again later");
+  }
 
-      // --- Emit realtime event to ALL users (Socket.IO) ---
-      try {
-        const io = req.app.get("io");
-        if (io) {
-          io.emit("new-track", track);
-        }
-      } catch (emitErr) {
-        console.warn("Socket emit failed:", emitErr);
-      }
+  // --- Upload cover (optional) ---
+  const storedCover = await storeCover(timestamp, cover, audioMeta.picture);
 
-      // --- Return response to uploader ---
-      return res.json({
-        message: "Track uploaded successfully",
-        track,
-      });
-    } catch (err) {
-      console.error("Upload error:", err);
-      return sendJsonError(res, 500, {
-        error: err?.message || "Upload failed",
-      });
+  // --- Insert into DB: includes uploader_name ---
+  let inserted;
+  try {
+    inserted = await insertTrack({
+      fields,
+      uploader,
+      audio: {
+        storageKey: audioStorageKey,
+        url: audioUrl,
+        sizeBytes: audio.size || null,
+        mimeType: audioFormat.mime,
+        contentHash,
+      },
+      cover: storedCover,
+      audioMeta,
+    });
+  } catch (err) {
+    await removeObjects([audioStorageKey, storedCover.coverPath]);
+    // lost a race with an identical upload
+    if (err.code === "23505" && err.constraint === "tracks_content_hash_key") {
+      return res.json(duplicateResponse(await findTrackByHash(contentHash), req.user));
     }
+    throw err;
   }
-);
 
-// ----------------------
-// Optional: GET /api/tracks from this router
-// (you also have a dedicated getTracks route file)
-// ----------------------
-router.get("/tracks", async (req, res) => {
-  try {
-    const { limit = 50 } = req.query;
-    const sql = `
-      SELECT id, title, artist_name, uploader_name,
-             artist_id, public_url, cover_url,
-             storage_key, size_bytes, mime_type, created_at
-      FROM tracks
-      ORDER BY created_at DESC
-      LIMIT $1
-    `;
-    const result = await pool.query(sql, [parseInt(limit, 10) || 50]);
+  const track = uploadedTrack(inserted);
 
-    const rows = result.rows.map((r) => ({
-      id: r.id,
-      title: r.title,
-      artist_name: r.artist_name,
-      uploader_name: r.uploader_name,
-      public_url: r.public_url || LOCAL_TEST_PATH,
-      cover_url: r.cover_url || LOCAL_TEST_PATH,
-      storage_key: r.storage_key,
-      size_bytes: r.size_bytes,
-      mime_type: r.mime_type,
-      created_at: r.created_at,
-    }));
+  // --- Emit realtime event to ALL users (Socket.IO) ---
+  announceTrack(req.app.get("io"), track);
+  // --- Feed item for followers of the uploader / artist ---
+  await recordTrackUpload(req.app.get("io"), track);
 
-    return res.json({ tracks: rows });
-  } catch (err) {
-    console.error("GET /tracks error:", err);
-    return sendJsonError(res, 500, {
-      error: "Failed to fetch tracks",
-      detail: err.message,
-    });
-  }
+  // --- Waveform etc. run in the background job queue ---
+  const waveformJob = await queueTrackProcessing(track, req.user.id);
+
+  // --- Return response to uploader ---
+  res.json({
+    message: "Track uploaded successfully",
+    track,
+    waveform_job_id: waveformJob?.id ?? null,
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,433 @@
+// Resumable uploads for large audio files.
+//
+//   POST   /api/uploads                   start a session (file info + track fields)
+//   PUT    /api/uploads/:id/chunks/:index raw chunk body (application/octet-stream)
+//   GET    /api/uploads/:id               progress: received / missing chunks
+//   POST   /api/uploads/:id/complete      assemble, verify checksum, create the track
+//   DELETE /api/uploads/:id               abort
+//
+// Progress is also pushed to the uploader's sockets as upload-progress,
+// upload-complete and upload-failed.
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const dbModule = require("../db");
+const { requireAuth } = require("../lib/auth");
+const { emitToUser } = require("../lib/realtime");
+const { parseMoodFields } = require("../lib/moods");
+const { extractAudioMetadataFromStream } = require("../lib/audioMetadata");
+const { makeSafeName, getObjectStream, getPublicUrl, removeObjects } = require("../lib/storage");
+const { sniffAudio } = require("../lib/mediaValidation");
+const {
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  DEFAULT_CHUNK_SIZE,
+  MAX_UPLOAD_BYTES,
+  SESSION_TTL_HOURS,
+  expectedChunkSize,
+  formatSession,
+  loadChunks,
+  storeChunk,
+  assembleChunks,
+  discardChunks,
+} = require("../lib/uploadSessions");
+const {
+  uploadFields,
+  resolveTrackFields,
+  resolveUploader,
+  storeCover,
+  insertTrack,
+  findTrackByHash,
+  duplicateResponse,
+  uploadedTrack,
+  announceTrack,
+} = require("../lib/trackUpload");
+const { queueTrackProcessing } = require("../lib/jobHandlers");
+const { recordTrackUpload } = require("../lib/activity");
+const { recordUploadBytes } = require("../lib/metrics");
+const { checkUploadQuota } = require("../lib/quotas");
+const { ApiError, fieldError } = require("../lib/errors");
+const { t, validate } = require("../lib/validation");
+
+// track fields accepted at start (and again, as overrides, on complete)
+const TRACK_FIELDS = Object.keys(uploadFields);
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(requireAuth);
+
+const uploadParams = t.object({ uploadId: t.string({ description: "Upload session id (UUID)" }) });
+
+function pickTrackFields(body) {
+  const out = {};
+  for (const key of TRACK_FIELDS) {
+    if (body?.[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+function notify(req, userId, event, payload) {
+  try {
+    emitToUser(req.app.get("io"), userId, event, payload);
+  } catch (e) {
+    console.warn(`Could not emit socket ${event}:`, e);
+  }
+}
+
+// Load the caller's session; throws 404 (or 409/410 for a closed one with activeOnly)
+async function loadSession(req, { activeOnly = false } = {}) {
+  if (!UUID_RE.test(req.params.uploadId)) throw new ApiError(404, "Upload not found");
+  const { rows } = await dbModule.query(
+    "SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2 LIMIT 1",
+    [req.params.uploadId, req.user.id]
+  );
+  const session = rows[0];
+  if (!session) throw new ApiError(404, "Upload not found");
+  if (activeOnly) {
+    if (session.status === "active" && new Date(session.expires_at) < new Date()) {
+      throw new ApiError(410, "Upload session has expired");
+    }
+    if (session.status !== "active") {
+      const status = session.status === "expired" ? 410 : 409;
+      throw new ApiError(status, `Upload is ${session.status}`, { details: { status: session.status } });
+    }
+  }
+  return session;
+}
+
+// Close a session (completed or aborted) and free its chunks
+async function finishSession(uploadId, trackId, status) {
+  await dbModule.query(
+    "UPDATE upload_sessions SET status = $3, track_id = $2, updated_at = NOW() WHERE id = $1",
+    [uploadId, trackId, status]
+  );
+  await discardChunks(uploadId);
+}
+
+// The assembled file already exists as a track: the uploader's own copy completes
+// the session (returns the 200 body), someone else's ends it (throws the 409)
+async function settleDuplicate(uploadId, existing, user) {
+  let body;
+  try {
+    body = duplicateResponse(existing, user);
+  } catch (err) {
+    await finishSession(uploadId, null, "aborted");
+    throw err;
+  }
+  await finishSession(uploadId, existing.id, "completed");
+  return body;
+}
+
+// -----------------------------------------
+// POST /api/uploads
+// body: { filename, mime_type, size_bytes, chunk_size?, sha256?, ...track fields }
+// -----------------------------------------
+const startUploadRequest = validate({
+  summary: "Start a resumable upload",
+  body: t.object(
+    {
+      filename: t.string({ min: 1, max: 500 }),
+      mime_type: t.string({ max: 100, description: "Only a hint; the format is read from chunk 0" }),
+      size_bytes: t.integer({
+        min: 1,
+        max: MAX_UPLOAD_BYTES,
+        message: `size_bytes must be between 1 and ${MAX_UPLOAD_BYTES}`,
+      }),
+      chunk_size: t.integer({
+        min: MIN_CHUNK_SIZE,
+        max: MAX_CHUNK_SIZE,
+        default: DEFAULT_CHUNK_SIZE,
+        message: `chunk_size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE}`,
+      }),
+      sha256: t.string({ pattern: "^[a-fA-F0-9]{64}$", message: "sha256 must be a hex SHA-256 digest" }),
+      ...uploadFields,
+    },
+    { required: ["filename", "mime_type", "size_bytes"] }
+  ),
+  description: "The declared size_bytes counts against the caller's storage quota while the session is open.",
+  responses: { 200: "Already uploaded by the caller", 201: "Session started" },
+});
+router.post("/", startUploadRequest, async (req, res) => {
+  const body = req.body;
+  const { filename, size_bytes: sizeBytes, chunk_size: chunkSize } = body;
+  const mimeType = body.mime_type.toLowerCase();
+  const sha256 = body.sha256 ? body.sha256.toLowerCase() : null;
+
+  const errors = {};
+  if (!mimeType.startsWith("audio/")) errors.mime_type = "mime_type must be an audio type";
+  // reject bad moods now rather than after the whole file is sent
+  const fields = pickTrackFields(body);
+  const moodFields = parseMoodFields(fields);
+  if (moodFields.error) errors[moodFields.field] = moodFields.error;
+  if (Object.keys(errors).length > 0) throw fieldError(errors);
+
+  // a declared checksum lets a re-upload be answered before any bytes are sent
+  if (sha256) {
+    const existing = await findTrackByHash(sha256);
+    if (existing) return res.json(duplicateResponse(existing, req.user));
+  }
+
+  // the declared size is held against the quota until the session closes
+  await checkUploadQuota(req.user, sizeBytes);
+
+  const totalChunks = Math.ceil(sizeBytes / chunkSize);
+  const { rows } = await dbModule.query(
+    `INSERT INTO upload_sessions
+       (id, user_id, filename, mime_type, size_bytes, chunk_size, total_chunks, sha256, fields, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(hours => $10))
+     RETURNING *`,
+    [
+      crypto.randomUUID(),
+      req.user.id,
+      filename,
+      mimeType,
+      sizeBytes,
+      chunkSize,
+      totalChunks,
+      sha256,
+      JSON.stringify(fields),
+      SESSION_TTL_HOURS,
+    ]
+  );
+
+  res.status(201).json({ upload: formatSession(rows[0]) });
+});
+
+// -----------------------------------------
+// GET /api/uploads/:uploadId
+// -----------------------------------------
+const uploadProgressRequest = validate({ summary: "Progress of a resumable upload", params: uploadParams });
+router.get("/:uploadId", uploadProgressRequest, async (req, res) => {
+  const session = await loadSession(req);
+  res.json({ upload: formatSession(session, await loadChunks(session.id)) });
+});
+
+// -----------------------------------------
+// PUT /api/uploads/:uploadId/chunks/:index
+// raw body; optional X-Chunk-SHA256 header is verified
+// re-sending an index replaces the earlier copy
+// -----------------------------------------
+const uploadChunkRequest = validate({
+  summary: "Send one chunk of a resumable upload",
+  description: "An optional X-Chunk-SHA256 header is checked against the received bytes.",
+  params: t.object({ ...uploadParams.properties, index: t.integer({ min: 0, description: "0-based chunk index" }) }),
+  raw: "application/octet-stream",
+});
+router.put("/:uploadId/chunks/:index", uploadChunkRequest, async (req, res) => {
+  let stored = null;
+  try {
+    const session = await loadSession(req, { activeOnly: true });
+
+    const { index } = req.params;
+    if (index >= session.total_chunks) {
+      throw fieldError({ index: `Chunk index must be between 0 and ${session.total_chunks - 1}` });
+    }
+    const expected = expectedChunkSize(session, index);
+    const declared = req.headers["content-length"];
+    if (declared !== undefined && Number(declared) !== expected) {
+      throw new ApiError(400, `Chunk ${index} must be exactly ${expected} bytes`);
+    }
+
+    stored = await storeChunk(session, index, req);
+    recordUploadBytes("chunk", stored.bytes);
+
+    // chunk 0 decides the real format; the declared mime_type was only a hint
+    if (index === 0) {
+      const format = sniffAudio(stored.head);
+      if (!format) {
+        await removeObjects([stored.storageKey]);
+        stored = null;
+        throw fieldError({ audio: "Unsupported audio format (use MP3, AAC/M4A, FLAC, WAV, AIFF, Ogg or WebM)" });
+      }
+      session.mime_type = format.mime;
+    }
+
+    const checksum = req.headers["x-chunk-sha256"];
+    if (checksum && String(checksum).toLowerCase() !== stored.sha256) {
+      await removeObjects([stored.storageKey]);
+      stored = null;
+      throw new ApiError(422, `Checksum mismatch for chunk ${index}`);
+    }
+
+    const previous = await dbModule.withTransaction(async (client) => {
+      const old = await client.query(
+        "SELECT storage_key FROM upload_chunks WHERE upload_id = $1 AND chunk_index = $2 FOR UPDATE",
+        [session.id, index]
+      );
+      await client.query(
+        `INSERT INTO upload_chunks (upload_id, chunk_index, size_bytes, sha256, storage_key)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (upload_id, chunk_index)
+         DO UPDATE SET size_bytes = EXCLUDED.size_bytes, sha256 = EXCLUDED.sha256,
+                       storage_key = EXCLUDED.storage_key, received_at = NOW()`,
+        [session.id, index, stored.bytes, stored.sha256, stored.storageKey]
+      );
+      await client.query(
+        `UPDATE upload_sessions
+         SET mime_type = $3, updated_at = NOW(), expires_at = NOW() + make_interval(hours => $2)
+         WHERE id = $1`,
+        [session.id, SESSION_TTL_HOURS, session.mime_type]
+      );
+      return old.rows[0]?.storage_key || null;
+    });
+    if (previous) await removeObjects([previous]);
+
+    const progress = formatSession(session, await loadChunks(session.id));
+    const payload = {
+      upload_id: session.id,
+      chunk_index: index,
+      received_chunks: progress.received_chunks.length,
+      total_chunks: progress.total_chunks,
+      received_bytes: progress.received_bytes,
+      size_bytes: progress.size_bytes,
+    };
+    notify(req, req.user.id, "upload-progress", payload);
+    res.json({ ...payload, sha256: stored.sha256 });
+  } catch (err) {
+    if (stored) await removeObjects([stored.storageKey]);
+    throw err;
+  }
+});
+
+// -----------------------------------------
+// POST /api/uploads/:uploadId/complete
+// body: optional track field overrides (e.g. a title when the file has no tags)
+// -----------------------------------------
+const completeUploadRequest = validate({
+  summary: "Assemble a resumable upload into a track",
+  params: uploadParams,
+  body: t.object(uploadFields),
+  responses: { 200: "Already uploaded by the caller", 201: "Track created" },
+});
+router.post("/:uploadId/complete", completeUploadRequest, async (req, res) => {
+  const userId = req.user.id;
+  const session = await loadSession(req, { activeOnly: true });
+
+  const chunks = await loadChunks(session.id);
+  if (chunks.length !== session.total_chunks) {
+    throw new ApiError(409, "Upload is missing chunks", { details: { upload: formatSession(session, chunks) } });
+  }
+
+  // claim the session so concurrent completes can't both assemble it
+  const claimed = await dbModule.query(
+    "UPDATE upload_sessions SET status = 'completing', updated_at = NOW() WHERE id = $1 AND status = 'active' RETURNING id",
+    [session.id]
+  );
+  if (!claimed.rows[0]) throw new ApiError(409, "Upload is already completing");
+
+  let finalKey = null;
+  try {
+    const timestamp = Date.now();
+    finalKey = `tracks/${timestamp}_${makeSafeName(session.filename)}`;
+    const assembled = await assembleChunks(chunks, finalKey, session.mime_type);
+
+    // a wrong size points at a bad chunk; a wrong hash at the right size means starting over
+    const mismatch = {};
+    const details = {};
+    if (assembled.bytes !== Number(session.size_bytes)) {
+      mismatch.size_bytes = `Size mismatch: declared ${session.size_bytes} bytes, received ${assembled.bytes}`;
+      details.size_bytes = { expected: Number(session.size_bytes), actual: assembled.bytes };
+    }
+    if (session.sha256 && assembled.sha256 !== session.sha256) {
+      mismatch.sha256 = "Checksum mismatch: the assembled file does not match the declared sha256";
+      details.sha256 = { expected: session.sha256, actual: assembled.sha256 };
+    }
+    if (Object.keys(mismatch).length > 0) {
+      const error = Object.values(mismatch)[0];
+      notify(req, userId, "upload-failed", { upload_id: session.id, error });
+      throw fieldError(mismatch, 422, { details });
+    }
+
+    // --- Identical file already uploaded? ---
+    const existing = await findTrackByHash(assembled.sha256);
+    if (existing) {
+      await removeObjects([finalKey]);
+      finalKey = null;
+      return res.json(await settleDuplicate(session.id, existing, req.user));
+    }
+
+    // --- Limits again: other uploads may have finished since the session started ---
+    await checkUploadQuota(req.user, assembled.bytes, { excludeUploadId: session.id });
+
+    // --- Read duration / stream info / tags from the stored file ---
+    const { stream } = await getObjectStream(finalKey);
+    const audioMeta = await extractAudioMetadataFromStream(stream, session.mime_type, assembled.bytes);
+    stream.destroy();
+
+    const trackBody = { ...(session.fields || {}), ...pickTrackFields(req.body) };
+    const resolved = resolveTrackFields(trackBody, audioMeta);
+    if (resolved.errors) throw fieldError(resolved.errors);
+    const { fields } = resolved;
+
+    const storedCover = await storeCover(timestamp, null, audioMeta.picture);
+    let inserted;
+    try {
+      inserted = await insertTrack({
+        fields,
+        uploader: resolveUploader(trackBody, req.user, fields.artistName),
+        audio: {
+          storageKey: finalKey,
+          url: getPublicUrl(finalKey),
+          sizeBytes: assembled.bytes,
+          mimeType: session.mime_type,
+          contentHash: assembled.sha256,
+        },
+        cover: storedCover,
+        audioMeta,
+      });
+    } catch (err) {
+      await removeObjects([storedCover.coverPath]);
+      // lost a race with an identical upload
+      if (err.code === "23505" && err.constraint === "tracks_content_hash_key") {
+        await removeObjects([finalKey]);
+        finalKey = null;
+        return res.json(await settleDuplicate(session.id, await findTrackByHash(assembled.sha256), req.user));
+      }
+      throw err;
+    }
+
+    finalKey = null;
+    await finishSession(session.id, inserted.id, "completed");
+
+    const track = uploadedTrack(inserted);
+    announceTrack(req.app.get("io"), track);
+    await recordTrackUpload(req.app.get("io"), track);
+    notify(req, userId, "upload-complete", { upload_id: session.id, track });
+    const waveformJob = await queueTrackProcessing(track, userId);
+
+    res.status(201).json({
+      message: "Track uploaded successfully",
+      track,
+      waveform_job_id: waveformJob?.id ?? null,
+    });
+  } catch (err) {
+    if (finalKey) await removeObjects([finalKey]);
+    // back to 'active' so the client can fix the problem and retry
+    await dbModule
+      .query(
+        "UPDATE upload_sessions SET status = 'active', updated_at = NOW() WHERE id = $1 AND status = 'completing'",
+        [session.id]
+      )
+      .catch(() => {});
+    // client errors are in the response; the socket only hears about failures on our side
+    if (!(err instanceof ApiError)) {
+      notify(req, userId, "upload-failed", { upload_id: session.id, error: "Failed to complete upload" });
+    }
+    throw err;
+  }
+});
+
+// -----------------------------------------
+// DELETE /api/uploads/:uploadId  -> abort and free the chunks
+// -----------------------------------------
+const abortUploadRequest = validate({ summary: "Abort a resumable upload", params: uploadParams });
+router.delete("/:uploadId", abortUploadRequest, async (req, res) => {
+  const session = await loadSession(req);
+  if (session.status === "completed" || session.status === "completing") {
+    throw new ApiError(409, `Upload is ${session.status}`);
+  }
+
+  await finishSession(session.id, null, "aborted");
+  res.json({ success: true, id: session.id });
+});
+
+module.exports = router;
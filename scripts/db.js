@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Database management CLI.
+//
+//   npm run db -- migrate up [--to <version>]   apply pending migrations
+//   npm run db -- migrate down [--steps <n>]    roll back the newest n (default 1)
+//   npm run db -- migrate status                applied / pending / modified
+//   npm run db -- seed                          demo users, tracks and a playlist
+//   npm run db -- reset [--force]               roll back everything, migrate up, seed
+//
+// reset refuses to run with NODE_ENV=production unless --force is given.
+require("dotenv").config();
+
+const bcrypt = require("bcrypt");
+const dbModule = require("../db");
+const { migrationStatus, migrateUp, migrateDown } = require("../lib/migrations");
+const { resolveArtist } = require("../lib/artists");
+
+const SEED_PASSWORD = "moodstream-demo";
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+async function printStatus() {
+  const rows = await migrationStatus();
+  if (rows.length === 0) return console.log("No migrations found.");
+  for (const m of rows) {
+    let state = m.applied ? `applied ${new Date(m.applied_at).toISOString()}` : "pending";
+    if (m.modified) state += " (file changed since it was applied)";
+    if (m.missing) state += " (file missing)";
+    console.log(`  ${m.version}_${m.name}  ${state}`);
+  }
+  const pending = rows.filter((m) => !m.applied).length;
+  console.log(pending ? `${pending} pending migration(s).` : "Schema is up to date.");
+}
+
+// Placeholder audio: debug/ keys are treated as "not stored" by the stream route
+const SEED_TRACKS = [
+  { title: "Morning Haze", artist: "Lumen Drift", moods: ["chill", "dreamy"], energy: 0.3, valence: 0.6 },
+  { title: "Static Bloom", artist: "Lumen Drift", moods: ["focus", "calm"], energy: 0.4, valence: 0.5 },
+  { title: "Neon Run", artist: "Pulse Theory", moods: ["energetic", "party"], energy: 0.9, valence: 0.8 },
+  { title: "Paper Boats", artist: "Wren & Ash", moods: ["sad", "melancholic"], energy: 0.2, valence: 0.2 },
+  { title: "Gold Hour", artist: "Wren & Ash", moods: ["happy", "uplifting"], energy: 0.6, valence: 0.9 },
+];
+
+async function seed() {
+  const existing = await dbModule.query("SELECT id FROM users WHERE lower(email) = 'demo@moodstream.dev' LIMIT 1");
+  if (existing.rows.length > 0) {
+    console.log("Seed data already present (demo@moodstream.dev exists).");
+    return;
+  }
+  const passwordHash = await bcrypt.hash(SEED_PASSWORD, 12);
+
+  await dbModule.withTransaction(async (client) => {
+    const users = await client.query(
+      `INSERT INTO users (name, email, password_hash, email_verified_at)
+       VALUES ('Demo Listener', 'demo@moodstream.dev', $1, NOW()), ('Demo Artist', 'artist@moodstream.dev', $1, NOW())
+       RETURNING id`,
+      [passwordHash]
+    );
+    const [listenerId, artistUserId] = users.rows.map((r) => r.id);
+
+    const trackIds = [];
+    for (const [i, t] of SEED_TRACKS.entries()) {
+      const trackArtistId = await resolveArtist(t.artist, { client });
+      const { rows } = await client.query(
+        `INSERT INTO tracks (title, artist_name, artist_id, uploader_name, storage_key, mime_type, user_id, moods, energy, valence, duration_seconds)
+         VALUES ($1, $2, $3, 'Demo Artist', $4, 'audio/mpeg', $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [
+          t.title,
+          t.artist,
+          trackArtistId,
+          `debug/seed-${i + 1}.mp3`,
+          artistUserId,
+          t.moods,
+          t.energy,
+          t.valence,
+          180 + i * 20,
+        ]
+      );
+      trackIds.push(rows[0].id);
+    }
+
+    const playlist = await client.query(
+      "INSERT INTO playlists (user_id, name, visibility) VALUES ($1, 'Demo Mix', 'public') RETURNING id",
+      [listenerId]
+    );
+    for (const [position, trackId] of trackIds.slice(0, 3).entries()) {
+      await client.query(
+        "INSERT INTO playlist_songs (playlist_id, track_id, position, added_by) VALUES ($1, $2, $3, $4)",
+        [playlist.rows[0].id, trackId, position, listenerId]
+      );
+    }
+  });
+  console.log(`Seeded demo@moodstream.dev and artist@moodstream.dev (password "${SEED_PASSWORD}"), ${SEED_TRACKS.length} tracks and a playlist.`);
+}
+
+async function main(args) {
+  const [command, sub] = args;
+  if (command === "migrate" && sub === "up") {
+    console.log("Applying migrations...");
+    const done = await migrateUp({ to: option(args, "--to") });
+    console.log(done.length ? `Applied ${done.length} migration(s).` : "Nothing to apply.");
+  } else if (command === "migrate" && sub === "down") {
+    const steps = parseInt(option(args, "--steps") || "1", 10);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error("--steps must be a positive integer");
+    console.log("Rolling back...");
+    const done = await migrateDown({ steps });
+    console.log(done.length ? `Rolled back ${done.length} migration(s).` : "Nothing to roll back.");
+  } else if (command === "migrate" && (sub === "status" || !sub)) {
+    await printStatus();
+  } else if (command === "seed") {
+    await seed();
+  } else if (command === "reset") {
+    if (process.env.NODE_ENV === "production" && !args.includes("--force")) {
+      throw new Error("Refusing to reset a production database (pass --force if you really mean it)");
+    }
+    console.log("Rolling back every migration...");
+    await migrateDown({ steps: Infinity });
+    console.log("Applying migrations...");
+    await migrateUp();
+    await seed();
+  } else {
+    console.log("Usage: npm run db -- <migrate up [--to <version>] | migrate down [--steps <n>] | migrate status | seed | reset [--force]>");
+    process.exitCode = command ? 1 : 0;
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => dbModule.pool.end());
@@ -0,0 +1,40 @@
+// Standalone job worker: `npm run worker`.
+// Runs the same queue as the API server, so it can share the load or take it
+// over entirely (set RUN_JOBS_IN_SERVER=false on the API server).
+require("dotenv").config();
+
+const { shutdownPool } = require("./db");
+const { startWorker, stopWorker } = require("./lib/jobs");
+const { registerJobHandlers } = require("./lib/jobHandlers");
+const { startDailyMixScheduler, stopDailyMixScheduler } = require("./lib/dailyMix");
+const { assertSchemaCurrent } = require("./lib/migrations");
+
+registerJobHandlers();
+
+assertSchemaCurrent()
+  .then(() => {
+    startWorker({
+      concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+      // JOB_TYPES=waveform,... limits this worker to some job types
+      types: process.env.JOB_TYPES ? process.env.JOB_TYPES.split(",").map((t) => t.trim()) : undefined,
+    });
+    startDailyMixScheduler();
+  })
+  .catch((err) => {
+    console.error("Worker not started:", err?.message || err);
+    process.exit(1);
+  });
+
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`${signal} received, finishing running jobs...`);
+  stopDailyMixScheduler();
+  await stopWorker();
+  await shutdownPool();
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));